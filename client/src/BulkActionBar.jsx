@@ -0,0 +1,121 @@
+import { useState } from "react";
+
+// Actions for the tasks selected in the list. `onApply(changes)` updates all
+// of them the same way and `onDelete()` moves them to the trash; the server
+// does either in one go or not at all.
+export default function BulkActionBar({
+  count,
+  projects,
+  busy,
+  onApply,
+  onDelete,
+  onSelectAll,
+  onClear,
+}) {
+  const [dueDate, setDueDate] = useState("");
+
+  return (
+    <div className="bulk-bar" role="toolbar" aria-label="Selected tasks">
+      <span className="bulk-count">{count} selected</span>
+
+      <button
+        className="btn btn-soft"
+        type="button"
+        onClick={() => onApply({ completed: true })}
+        disabled={busy}
+      >
+        Complete
+      </button>
+      <button
+        className="btn btn-soft"
+        type="button"
+        onClick={() => onApply({ completed: false })}
+        disabled={busy}
+      >
+        Reopen
+      </button>
+
+      <select
+        className="move-select"
+        value=""
+        onChange={(e) => onApply({ priority: e.target.value })}
+        disabled={busy}
+        title="Set priority"
+      >
+        <option value="" disabled>
+          Priority…
+        </option>
+        <option value="high">High</option>
+        <option value="medium">Medium</option>
+        <option value="low">Low</option>
+      </select>
+
+      <select
+        className="move-select"
+        value=""
+        onChange={(e) => onApply({ status: e.target.value })}
+        disabled={busy}
+        title="Set status"
+      >
+        <option value="" disabled>
+          Status…
+        </option>
+        <option value="todo">To do</option>
+        <option value="in_progress">In progress</option>
+        <option value="done">Done</option>
+      </select>
+
+      <form
+        className="bulk-due"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onApply({ dueDate: dueDate || null });
+        }}
+      >
+        <input
+          type="date"
+          value={dueDate}
+          onChange={(e) => setDueDate(e.target.value)}
+          title="Due date (leave empty to clear)"
+        />
+        <button className="btn btn-soft" type="submit" disabled={busy}>
+          {dueDate ? "Set due date" : "Clear due date"}
+        </button>
+      </form>
+
+      <select
+        className="move-select"
+        value=""
+        onChange={(e) =>
+          onApply({ projectId: e.target.value === "inbox" ? null : Number(e.target.value) })
+        }
+        disabled={busy}
+        title="Move to project"
+      >
+        <option value="" disabled>
+          Move to…
+        </option>
+        <option value="inbox">Inbox</option>
+        {projects
+          .filter((project) => !project.archived_at && project.role !== "viewer")
+          .map((project) => (
+            <option key={project.id} value={project.id}>
+              {project.name}
+            </option>
+          ))}
+      </select>
+
+      <button className="btn btn-danger" type="button" onClick={onDelete} disabled={busy}>
+        Delete
+      </button>
+
+      <span className="bulk-spacer" />
+      <button className="btn btn-soft" type="button" onClick={onSelectAll} disabled={busy}>
+        Select all
+      </button>
+      <button className="btn btn-soft" type="button" onClick={onClear} disabled={busy}>
+        Clear
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,222 @@
+import { useEffect, useState } from "react";
+import { apiFetch, readResponse, saveTask } from "./api.js";
+
+function progressOf(items) {
+  return {
+    checklist_total: items.length,
+    checklist_done: items.filter((item) => item.completed).length,
+  };
+}
+
+export default function ChecklistPanel({ task, editable, onTaskChange, onError }) {
+  const [items, setItems] = useState([]);
+  const [title, setTitle] = useState("");
+
+  useEffect(() => {
+    async function loadItems() {
+      const res = await apiFetch(`/api/tasks/${task.id}/items`);
+      const data = await readResponse(res);
+
+      if (!res.ok) {
+        onError(data.error || "Failed to load checklist");
+        return;
+      }
+
+      setItems(data);
+    }
+
+    void loadItems();
+  }, [task.id, onError]);
+
+  function applyItems(nextItems, taskCompleted, nextTask) {
+    setItems(nextItems);
+    onTaskChange(
+      {
+        ...progressOf(nextItems),
+        ...(taskCompleted ? { completed: true, status: "done" } : {}),
+      },
+      nextTask,
+    );
+    if (taskCompleted) void reloadTask();
+  }
+
+  // Completing the task gave it a new version; fetch it so the next edit is
+  // not refused as a conflict.
+  async function reloadTask() {
+    const res = await apiFetch(`/api/tasks/${task.id}`);
+    const data = await readResponse(res);
+    if (res.ok) onTaskChange({ version: data.version });
+  }
+
+  async function addItem(e) {
+    e.preventDefault();
+    const trimmed = title.trim();
+    if (!trimmed) return;
+
+    onError("");
+
+    const res = await apiFetch(`/api/tasks/${task.id}/items`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ title: trimmed }),
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to add checklist item");
+      return;
+    }
+
+    applyItems([...items, data], false);
+    setTitle("");
+  }
+
+  async function toggleItem(item) {
+    onError("");
+
+    const res = await apiFetch(`/api/tasks/${task.id}/items/${item.id}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ completed: !item.completed }),
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to update checklist item");
+      return;
+    }
+
+    applyItems(
+      items.map((current) => (current.id === item.id ? data.item : current)),
+      data.taskCompleted,
+      data.nextTask,
+    );
+  }
+
+  async function deleteItem(item) {
+    onError("");
+
+    const res = await apiFetch(`/api/tasks/${task.id}/items/${item.id}`, {
+      method: "DELETE",
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to delete checklist item");
+      return;
+    }
+
+    applyItems(
+      items.filter((current) => current.id !== item.id),
+      data.taskCompleted,
+      data.nextTask,
+    );
+  }
+
+  async function moveItem(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= items.length) return;
+
+    const reordered = [...items];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+
+    onError("");
+
+    const res = await apiFetch(`/api/tasks/${task.id}/items/order`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ itemIds: reordered.map((item) => item.id) }),
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to reorder checklist");
+      return;
+    }
+
+    setItems(reordered);
+  }
+
+  async function toggleAutoComplete() {
+    onError("");
+
+    const res = await saveTask(task, { autoComplete: !task.auto_complete });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      // On a conflict, show the task as the server has it now.
+      if (res.status === 412 && data.task) onTaskChange(data.task);
+      onError(data.error || "Failed to update task");
+      return;
+    }
+
+    // The server completes the task itself if every item is already done.
+    onTaskChange(data.task, data.nextTask);
+  }
+
+  return (
+    <div className="checklist-panel">
+      <ul className="checklist">
+        {items.map((item, index) => (
+          <li className="checklist-item" key={item.id}>
+            <label className={item.completed ? "done" : ""}>
+              <input
+                type="checkbox"
+                checked={item.completed}
+                onChange={() => toggleItem(item)}
+                disabled={!editable}
+              />
+              <span>{item.title}</span>
+            </label>
+
+            {editable ? (
+              <div className="checklist-actions">
+                <button
+                  type="button"
+                  onClick={() => moveItem(index, -1)}
+                  disabled={index === 0}
+                  title="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveItem(index, 1)}
+                  disabled={index === items.length - 1}
+                  title="Move down"
+                >
+                  ↓
+                </button>
+                <button type="button" onClick={() => deleteItem(item)} title="Remove">
+                  ×
+                </button>
+              </div>
+            ) : null}
+          </li>
+        ))}
+      </ul>
+
+      {editable ? (
+        <>
+          <form onSubmit={addItem}>
+            <input
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              placeholder="Add a step"
+              maxLength={200}
+            />
+          </form>
+
+          <label className="checklist-option">
+            <input
+              type="checkbox"
+              checked={!!task.auto_complete}
+              onChange={toggleAutoComplete}
+            />
+            <span>Complete the task when every step is done</span>
+          </label>
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import { useState } from "react";
+import { apiFetch, getCurrentUser, readResponse } from "./api.js";
+
+export default function MembersCard({
+  project,
+  members,
+  setMembers,
+  onClose,
+  onLeft,
+  onError,
+}) {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("editor");
+
+  const isOwner = project.role === "owner";
+  const currentUserId = getCurrentUser()?.id;
+
+  async function invite(e) {
+    e.preventDefault();
+    const trimmed = email.trim();
+    if (!trimmed) return;
+
+    onError("");
+
+    const res = await apiFetch(`/api/projects/${project.id}/members`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email: trimmed, role }),
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to invite member");
+      return;
+    }
+
+    setMembers((prev) => [...prev, data]);
+    setEmail("");
+  }
+
+  async function changeRole(member, nextRole) {
+    onError("");
+
+    const res = await apiFetch(`/api/projects/${project.id}/members/${member.user_id}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ role: nextRole }),
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to change role");
+      return;
+    }
+
+    setMembers((prev) =>
+      prev.map((item) =>
+        item.user_id === member.user_id ? { ...item, role: nextRole } : item,
+      ),
+    );
+  }
+
+  async function removeMember(member) {
+    const leaving = member.user_id === currentUserId;
+    const question = leaving
+      ? `Leave "${project.name}"? You will lose access to its tasks.`
+      : `Remove ${member.email} from "${project.name}"?`;
+    if (!window.confirm(question)) return;
+
+    onError("");
+
+    const res = await apiFetch(`/api/projects/${project.id}/members/${member.user_id}`, {
+      method: "DELETE",
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to remove member");
+      return;
+    }
+
+    if (leaving) {
+      onLeft();
+      return;
+    }
+
+    setMembers((prev) => prev.filter((item) => item.user_id !== member.user_id));
+  }
+
+  return (
+    <section className="card sessions-card">
+      <div className="card-heading">
+        <div>
+          <p className="card-kicker">Sharing</p>
+          <h3>Members of {project.name}</h3>
+        </div>
+        <div className="actions">
+          <button className="btn btn-soft" type="button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      {isOwner ? (
+        <form className="invite-form" onSubmit={invite}>
+          <input
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            type="email"
+            placeholder="teammate@example.com"
+            required
+          />
+          <select value={role} onChange={(e) => setRole(e.target.value)}>
+            <option value="editor">Editor</option>
+            <option value="viewer">Viewer</option>
+          </select>
+          <button className="btn btn-primary" type="submit">
+            Invite
+          </button>
+        </form>
+      ) : null}
+
+      <ul className="list">
+        {members.map((member) => {
+          const isSelf = member.user_id === currentUserId;
+          const canRemove = member.role !== "owner" && (isOwner || isSelf);
+
+          return (
+            <li className="item" key={member.user_id}>
+              <div className="task-copy">
+                <strong>
+                  {member.email}
+                  {isSelf ? " (you)" : ""}
+                </strong>
+                {isOwner && member.role !== "owner" ? null : (
+                  <div className="meta-row">
+                    <span className="pill pill-neutral">{member.role}</span>
+                  </div>
+                )}
+              </div>
+
+              <div className="actions">
+                {isOwner && member.role !== "owner" ? (
+                  <select
+                    className="move-select"
+                    value={member.role}
+                    onChange={(e) => changeRole(member, e.target.value)}
+                  >
+                    <option value="editor">Editor</option>
+                    <option value="viewer">Viewer</option>
+                  </select>
+                ) : null}
+                {canRemove ? (
+                  <button
+                    className="btn btn-danger"
+                    type="button"
+                    onClick={() => removeMember(member)}
+                  >
+                    {isSelf ? "Leave" : "Remove"}
+                  </button>
+                ) : null}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
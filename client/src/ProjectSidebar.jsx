@@ -0,0 +1,234 @@
+import { useState } from "react";
+import { apiFetch, readResponse } from "./api.js";
+
+export default function ProjectSidebar({
+  projects,
+  setProjects,
+  selected,
+  onSelect,
+  onChanged,
+  onOpenMembers,
+  onError,
+}) {
+  const [name, setName] = useState("");
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState("");
+  const [showArchived, setShowArchived] = useState(false);
+
+  const activeProjects = projects.filter((project) => !project.archived_at);
+  const archivedProjects = projects.filter((project) => project.archived_at);
+
+  async function createProject(e) {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    onError("");
+
+    const res = await apiFetch("/api/projects", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name: trimmed }),
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to create project");
+      return;
+    }
+
+    setProjects((prev) => [...prev, data]);
+    setName("");
+    onSelect(data.id);
+  }
+
+  async function updateProject(id, changes, fallbackError) {
+    onError("");
+
+    const res = await apiFetch(`/api/projects/${id}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(changes),
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || fallbackError);
+      return false;
+    }
+
+    setProjects((prev) =>
+      prev.map((project) => (project.id === id ? { ...project, ...data } : project)),
+    );
+    return true;
+  }
+
+  async function saveRename(id) {
+    const trimmed = renameValue.trim();
+    if (!trimmed) return;
+
+    if (await updateProject(id, { name: trimmed }, "Failed to rename project")) {
+      setRenamingId(null);
+      setRenameValue("");
+    }
+  }
+
+  async function setArchived(project, archived) {
+    const ok = await updateProject(
+      project.id,
+      { archived },
+      archived ? "Failed to archive project" : "Failed to restore project",
+    );
+    if (ok) onChanged();
+  }
+
+  async function deleteProject(project) {
+    if (!window.confirm(`Delete "${project.name}"?`)) return;
+
+    onError("");
+
+    const res = await apiFetch(`/api/projects/${project.id}`, { method: "DELETE" });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to delete project");
+      return;
+    }
+
+    setProjects((prev) => prev.filter((item) => item.id !== project.id));
+    if (selected === project.id) onSelect("all");
+    else onChanged();
+  }
+
+  function renderProject(project) {
+    if (renamingId === project.id) {
+      return (
+        <li className="project-row" key={project.id}>
+          <input
+            className="editInput"
+            value={renameValue}
+            onChange={(e) => setRenameValue(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") saveRename(project.id);
+              if (e.key === "Escape") setRenamingId(null);
+            }}
+            autoFocus
+          />
+        </li>
+      );
+    }
+
+    return (
+      <li className="project-row" key={project.id}>
+        <button
+          type="button"
+          className={`project-link ${selected === project.id ? "active" : ""}`}
+          onClick={() => onSelect(project.id)}
+        >
+          <span>
+            {project.name}
+            {project.member_count > 1 ? (
+              <small className="project-role">
+                {project.role === "owner" ? "shared" : project.role}
+              </small>
+            ) : null}
+          </span>
+          {project.open_count ? (
+            <span className="project-count">{project.open_count}</span>
+          ) : null}
+        </button>
+
+        {selected === project.id ? (
+          <div className="project-actions">
+            <button type="button" onClick={() => onOpenMembers(project)}>
+              Members
+            </button>
+            {project.role === "owner" ? (
+              <>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setRenamingId(project.id);
+                    setRenameValue(project.name);
+                  }}
+                >
+                  Rename
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setArchived(project, !project.archived_at)}
+                >
+                  {project.archived_at ? "Restore" : "Archive"}
+                </button>
+                <button type="button" onClick={() => deleteProject(project)}>
+                  Delete
+                </button>
+              </>
+            ) : null}
+          </div>
+        ) : null}
+      </li>
+    );
+  }
+
+  return (
+    <aside className="card project-sidebar">
+      <p className="card-kicker">Projects</p>
+
+      <ul className="project-list">
+        <li className="project-row">
+          <button
+            type="button"
+            className={`project-link ${selected === "all" ? "active" : ""}`}
+            onClick={() => onSelect("all")}
+          >
+            All tasks
+          </button>
+        </li>
+        <li className="project-row">
+          <button
+            type="button"
+            className={`project-link ${selected === "inbox" ? "active" : ""}`}
+            onClick={() => onSelect("inbox")}
+          >
+            Inbox
+          </button>
+        </li>
+        <li className="project-row">
+          <button
+            type="button"
+            className={`project-link ${selected === "assigned" ? "active" : ""}`}
+            onClick={() => onSelect("assigned")}
+          >
+            Assigned to me
+          </button>
+        </li>
+        {activeProjects.map(renderProject)}
+      </ul>
+
+      <form className="col" onSubmit={createProject}>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="New project"
+          maxLength={80}
+        />
+      </form>
+
+      {archivedProjects.length ? (
+        <>
+          <button
+            type="button"
+            className="project-toggle"
+            onClick={() => setShowArchived((open) => !open)}
+          >
+            {showArchived ? "Hide" : "Show"} archived ({archivedProjects.length})
+          </button>
+          {showArchived ? (
+            <ul className="project-list">{archivedProjects.map(renderProject)}</ul>
+          ) : null}
+        </>
+      ) : null}
+    </aside>
+  );
+}
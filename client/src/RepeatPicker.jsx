@@ -0,0 +1,79 @@
+import { WEEKDAYS } from "./recurrence.js";
+
+export default function RepeatPicker({ value, onChange }) {
+  function update(changes) {
+    onChange({ ...value, ...changes });
+  }
+
+  function toggleDay(code) {
+    update({
+      days: value.days.includes(code)
+        ? value.days.filter((day) => day !== code)
+        : [...value.days, code],
+    });
+  }
+
+  const showDays =
+    value.mode === "weekly" || (value.mode === "custom" && value.unit === "WEEKLY");
+
+  return (
+    <div className="repeat-picker">
+      <label className="field">
+        <span>Repeat</span>
+        <select value={value.mode} onChange={(e) => update({ mode: e.target.value })}>
+          <option value="none">Does not repeat</option>
+          <option value="daily">Daily</option>
+          <option value="weekdays">Every weekday</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+          <option value="yearly">Yearly</option>
+          <option value="custom">Custom interval</option>
+          <option value="rrule">RRULE</option>
+        </select>
+      </label>
+
+      {value.mode === "custom" ? (
+        <div className="repeat-interval">
+          <span>Every</span>
+          <input
+            type="number"
+            min={1}
+            max={365}
+            value={value.interval}
+            onChange={(e) => update({ interval: Math.max(1, Number(e.target.value) || 1) })}
+          />
+          <select value={value.unit} onChange={(e) => update({ unit: e.target.value })}>
+            <option value="DAILY">days</option>
+            <option value="WEEKLY">weeks</option>
+            <option value="MONTHLY">months</option>
+            <option value="YEARLY">years</option>
+          </select>
+        </div>
+      ) : null}
+
+      {showDays ? (
+        <div className="repeat-days" role="group" aria-label="Repeat on">
+          {WEEKDAYS.map((day) => (
+            <button
+              key={day.code}
+              type="button"
+              className={value.days.includes(day.code) ? "active" : ""}
+              aria-pressed={value.days.includes(day.code)}
+              onClick={() => toggleDay(day.code)}
+            >
+              {day.label}
+            </button>
+          ))}
+        </div>
+      ) : null}
+
+      {value.mode === "rrule" ? (
+        <input
+          value={value.rule}
+          onChange={(e) => update({ rule: e.target.value })}
+          placeholder="FREQ=MONTHLY;BYDAY=-1FR"
+        />
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import { useEffect, useState } from "react";
+import { apiFetch, readResponse } from "./api.js";
+
+function formatDate(value) {
+  return new Date(value).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+export default function SessionsCard({ onClose, onError }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function loadSessions() {
+      const res = await apiFetch("/api/auth/sessions");
+      const data = await readResponse(res);
+      setLoading(false);
+
+      if (!res.ok) {
+        onError(data.error || "Failed to load sessions");
+        return;
+      }
+
+      setSessions(data);
+    }
+
+    void loadSessions();
+  }, [onError]);
+
+  async function signOut(id) {
+    onError("");
+
+    const res = await apiFetch(`/api/auth/sessions/${id}`, { method: "DELETE" });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to sign out device");
+      return;
+    }
+
+    setSessions((prev) => prev.filter((session) => session.id !== id));
+  }
+
+  async function signOutOthers() {
+    onError("");
+
+    const res = await apiFetch("/api/auth/sessions", { method: "DELETE" });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to sign out other devices");
+      return;
+    }
+
+    setSessions((prev) => prev.filter((session) => session.current));
+  }
+
+  const hasOthers = sessions.some((session) => !session.current);
+
+  return (
+    <section className="card sessions-card">
+      <div className="card-heading">
+        <div>
+          <p className="card-kicker">Security</p>
+          <h3>Signed-in devices</h3>
+        </div>
+        <div className="actions">
+          {hasOthers ? (
+            <button className="btn btn-danger" type="button" onClick={signOutOthers}>
+              Sign out other devices
+            </button>
+          ) : null}
+          <button className="btn btn-soft" type="button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      {loading ? <p className="hint">Loading sessions…</p> : null}
+
+      <ul className="list">
+        {sessions.map((session) => (
+          <li className="item" key={session.id}>
+            <div className="task-copy">
+              <strong>{session.user_agent}</strong>
+              <div className="meta-row">
+                {session.current ? <span className="pill pill-low">This device</span> : null}
+                {session.ip ? <span className="pill pill-neutral">{session.ip}</span> : null}
+                <span className="pill pill-neutral">
+                  last active {formatDate(session.last_used_at)}
+                </span>
+              </div>
+            </div>
+
+            {session.current ? null : (
+              <div className="actions">
+                <button
+                  className="btn btn-danger"
+                  type="button"
+                  onClick={() => signOut(session.id)}
+                >
+                  Sign out
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
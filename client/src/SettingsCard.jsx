@@ -0,0 +1,80 @@
+import { useState } from "react";
+import { apiFetch, readResponse } from "./api.js";
+import { browserTimeZone, timeZoneOptions } from "./dueDates.js";
+
+export default function SettingsCard({ account, onSaved, onClose, onError }) {
+  const [selected, setSelected] = useState(account.time_zone);
+  const [emailDigest, setEmailDigest] = useState(account.email_digest);
+  const [saving, setSaving] = useState(false);
+
+  const detected = browserTimeZone();
+
+  async function save(e) {
+    e.preventDefault();
+    onError("");
+    setSaving(true);
+
+    const res = await apiFetch("/api/account", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ timeZone: selected, emailDigest }),
+    });
+    const data = await readResponse(res);
+    setSaving(false);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to save settings");
+      return;
+    }
+
+    onSaved(data);
+  }
+
+  return (
+    <section className="card sessions-card">
+      <div className="card-heading">
+        <div>
+          <p className="card-kicker">Settings</p>
+          <h3>Time zone and email</h3>
+        </div>
+        <div className="actions">
+          <button className="btn btn-soft" type="button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      <form className="settings-form" onSubmit={save}>
+        <select value={selected} onChange={(e) => setSelected(e.target.value)}>
+          {timeZoneOptions(selected).map((zone) => (
+            <option key={zone} value={zone}>
+              {zone.replaceAll("_", " ")}
+            </option>
+          ))}
+        </select>
+        {detected !== selected ? (
+          <button className="btn btn-soft" type="button" onClick={() => setSelected(detected)}>
+            Use {detected.replaceAll("_", " ")}
+          </button>
+        ) : null}
+        <label className="check-field">
+          <input
+            type="checkbox"
+            checked={emailDigest}
+            onChange={(e) => setEmailDigest(e.target.checked)}
+          />
+          <span>Email me a morning digest of overdue and due-today tasks</span>
+        </label>
+        <button className="btn btn-primary" type="submit" disabled={saving}>
+          Save
+        </button>
+      </form>
+
+      <p className="hint">
+        Due times and reminders follow this zone. Tasks due on a day without a time remind you at
+        9:00 on that day.
+        {account.email_verified ? "" : " Digests start once you confirm your email."}
+      </p>
+    </section>
+  );
+}
@@ -0,0 +1,24 @@
+// Toggleable tag chips, used wherever a set of the user's tags is picked.
+export default function TagChips({ tags, selected, onToggle, label }) {
+  if (!tags.length) return null;
+
+  return (
+    <div className="tag-chips" role="group" aria-label={label}>
+      {tags.map((tag) => {
+        const active = selected.includes(tag.id);
+        return (
+          <button
+            key={tag.id}
+            type="button"
+            className={`tag-chip ${active ? "active" : ""}`}
+            style={{ "--tag-color": tag.color }}
+            aria-pressed={active}
+            onClick={() => onToggle(tag.id)}
+          >
+            {tag.name}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import { useState } from "react";
+import { apiFetch, readResponse } from "./api.js";
+
+const DEFAULT_TAG_COLOR = "#1f8f78";
+
+function sortTags(tags) {
+  return tags.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }));
+}
+
+export default function TagManager({ tags, setTags, onChanged, onError }) {
+  const [name, setName] = useState("");
+  const [color, setColor] = useState(DEFAULT_TAG_COLOR);
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState("");
+
+  async function createTag(e) {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    onError("");
+
+    const res = await apiFetch("/api/tags", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name: trimmed, color }),
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to create tag");
+      return;
+    }
+
+    setTags((prev) => sortTags([...prev, data]));
+    setName("");
+  }
+
+  async function renameTag(tag, nextName) {
+    onError("");
+
+    const res = await apiFetch(`/api/tags/${tag.id}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name: nextName }),
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to rename tag");
+      return false;
+    }
+
+    setTags((prev) =>
+      sortTags(prev.map((item) => (item.id === tag.id ? { ...item, ...data } : item))),
+    );
+    onChanged();
+    return true;
+  }
+
+  async function saveRename(tag) {
+    const trimmed = editName.trim();
+    if (!trimmed) return;
+
+    if (await renameTag(tag, trimmed)) {
+      setEditingId(null);
+      setEditName("");
+    }
+  }
+
+  async function deleteTag(tag) {
+    if (!window.confirm(`Delete the tag "${tag.name}"? Tasks keep everything else.`)) return;
+
+    onError("");
+
+    const res = await apiFetch(`/api/tags/${tag.id}`, { method: "DELETE" });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to delete tag");
+      return;
+    }
+
+    setTags((prev) => prev.filter((item) => item.id !== tag.id));
+    onChanged();
+  }
+
+  return (
+    <section className="card project-sidebar">
+      <p className="card-kicker">Tags</p>
+
+      <ul className="project-list">
+        {tags.map((tag) =>
+          editingId === tag.id ? (
+            <li className="project-row" key={tag.id}>
+              <input
+                className="editInput"
+                value={editName}
+                onChange={(e) => setEditName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") saveRename(tag);
+                  if (e.key === "Escape") setEditingId(null);
+                }}
+                maxLength={40}
+                autoFocus
+              />
+            </li>
+          ) : (
+            <li className="tag-row" key={tag.id}>
+              <span className="tag-dot" style={{ "--tag-color": tag.color }} />
+              <span className="tag-name">{tag.name}</span>
+              {tag.task_count ? <span className="project-count">{tag.task_count}</span> : null}
+              <div className="project-actions">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setEditingId(tag.id);
+                    setEditName(tag.name);
+                  }}
+                >
+                  Rename
+                </button>
+                <button type="button" onClick={() => deleteTag(tag)}>
+                  Delete
+                </button>
+              </div>
+            </li>
+          ),
+        )}
+      </ul>
+
+      <form className="tag-form" onSubmit={createTag}>
+        <input
+          type="color"
+          className="tag-color"
+          value={color}
+          onChange={(e) => setColor(e.target.value)}
+          title="Tag color"
+        />
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="New tag"
+          maxLength={40}
+        />
+      </form>
+    </section>
+  );
+}
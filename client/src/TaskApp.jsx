@@ -1,82 +1,666 @@
-import { useEffect, useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { Link } from "react-router-dom";
+import {
+  API,
+  apiFetch,
+  endSession,
+  getCurrentUser,
+  getToken,
+  onSessionExpired,
+  readResponse,
+  saveTask,
+  storeSession,
+} from "./api.js";
+import BulkActionBar from "./BulkActionBar.jsx";
+import ChecklistPanel from "./ChecklistPanel.jsx";
+import { browserTimeZone, formatDue, REMINDER_OPTIONS } from "./dueDates.js";
+import MembersCard from "./MembersCard.jsx";
+import ProjectSidebar from "./ProjectSidebar.jsx";
+import { subscribeToEvents } from "./liveUpdates.js";
+import {
+  clearOfflineData,
+  readCached,
+  readOutbox,
+  removeFromOutbox,
+  saveCached,
+} from "./offlineStore.js";
+import { applyPending, queueChange, replayOutbox } from "./outbox.js";
+import { buildRecurrence, describeRecurrence, EMPTY_REPEAT } from "./recurrence.js";
+import RepeatPicker from "./RepeatPicker.jsx";
+import SessionsCard from "./SessionsCard.jsx";
+import SettingsCard from "./SettingsCard.jsx";
+import TagChips from "./TagChips.jsx";
+import TagManager from "./TagManager.jsx";
+import TaskBoard from "./TaskBoard.jsx";
+import TaskDrawer from "./TaskDrawer.jsx";
+import TransferCard from "./TransferCard.jsx";
+import TrashCard from "./TrashCard.jsx";
+import TwoFactorCard from "./TwoFactorCard.jsx";
 import "./App.css";
 
-const API = import.meta.env.VITE_API_URL || "http://localhost:3001";
+const SORT_OPTIONS = {
+  newest: { sort: "created", order: "desc" },
+  oldest: { sort: "created", order: "asc" },
+  priority: { sort: "priority" },
+  due_date: { sort: "due_date" },
+  title: { sort: "title" },
+};
 
-async function readResponse(res) {
-  const contentType = res.headers.get("content-type") || "";
+// The board always shows tasks in their dragged order.
+const BOARD_SORT = { sort: "position" };
 
-  if (contentType.includes("application/json")) {
-    return res.json();
+const EMPTY_STATS = { total: 0, completed: 0, active: 0, dueSoon: 0 };
+
+// How long the undo toast stays up after tasks are deleted.
+const UNDO_MS = 8000;
+
+const NOT_SAVED_OFFLINE = "You are offline, and this is not saved on this device yet.";
+
+// Bursts of live updates (a bulk change, an import) reload the list once.
+const LIVE_RELOAD_MS = 300;
+
+// "assigned" and numeric project ids narrow the list; "all" shows everything.
+function applyScope(params, selectedProject) {
+  if (selectedProject === "assigned") params.set("assignee", "me");
+  else if (selectedProject !== "all") params.set("project", selectedProject);
+  return params;
+}
+
+// Whether a task moved to another project still belongs under the selected
+// sidebar entry.
+function fitsScope(task, selectedProject) {
+  if (selectedProject === "inbox") return task.project_id === null;
+  if (typeof selectedProject === "number") return task.project_id === selectedProject;
+  return true;
+}
+
+const AUTH_COPY = {
+  login: {
+    title: "Welcome back",
+    intro: "Pick up where you left off and keep the day under control.",
+    submit: "Login",
+  },
+  register: {
+    title: "Create your workspace",
+    intro: "Start with a clean system for tasks, deadlines, and momentum.",
+    submit: "Create account",
+  },
+  forgot: {
+    title: "Reset your password",
+    intro: "Enter your account email and we will send you a link to choose a new password.",
+    submit: "Send reset link",
+  },
+  reset: {
+    title: "Choose a new password",
+    intro: "Every device signed in to your account will be signed out.",
+    submit: "Set new password",
+  },
+  challenge: {
+    title: "Enter your code",
+    intro: "Type the code from your authenticator app, or one of your recovery codes.",
+    submit: "Verify",
+  },
+};
+
+// Links in verification and reset emails open the app with ?verify= or ?reset=.
+function readEmailLink(name) {
+  return new URLSearchParams(window.location.search).get(name) || "";
+}
+
+function clearEmailLink() {
+  window.history.replaceState(null, "", window.location.pathname);
+}
+
+// Moves a task next to its drop anchor in the loaded list, so the board
+// reflects a drag before the server answers.
+function placeInList(tasks, taskId, status, anchor) {
+  const moving = {
+    ...tasks.find((task) => task.id === taskId),
+    status,
+    completed: status === "done",
+  };
+  const rest = tasks.filter((task) => task.id !== taskId);
+  const index = rest.findIndex((task) => task.id === (anchor.beforeId ?? anchor.afterId));
+  if (index === -1) return tasks.map((task) => (task.id === taskId ? moving : task));
+
+  rest.splice(anchor.beforeId != null ? index : index + 1, 0, moving);
+  return rest;
+}
+
+// Saved GET answers are per user, so another account on the same browser
+// never sees them.
+function cacheKey(path) {
+  return `${getCurrentUser()?.id}:${path}`;
+}
+
+// Every successful answer is saved on the device, and read back when the
+// server cannot be reached. `offline` tells the caller which it got.
+async function fetchCached(path) {
+  try {
+    const res = await apiFetch(path);
+    const data = await readResponse(res);
+    if (res.ok) void saveCached(cacheKey(path), data);
+    return { ok: res.ok, data, offline: false };
+  } catch {
+    const data = await readCached(cacheKey(path));
+    if (data) return { ok: true, data, offline: true };
+    return { ok: false, data: { error: NOT_SAVED_OFFLINE }, offline: true };
   }
+}
 
-  const text = await res.text();
-  return { error: text || `Request failed with status ${res.status}` };
+function pendingChanges() {
+  return readOutbox(getCurrentUser()?.id);
+}
+
+function toggleId(ids, id) {
+  return ids.includes(id) ? ids.filter((item) => item !== id) : [...ids, id];
 }
 
 export default function TaskApp() {
-  const [token, setToken] = useState(localStorage.getItem("token") || "");
-  const [mode, setMode] = useState("login");
+  const [token, setToken] = useState(getToken);
+  const [mode, setMode] = useState(() => (readEmailLink("reset") ? "reset" : "login"));
+  const [resetToken] = useState(() => readEmailLink("reset"));
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [challenge, setChallenge] = useState("");
+  const [loginCode, setLoginCode] = useState("");
   const [tasks, setTasks] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [stats, setStats] = useState(EMPTY_STATS);
+  const [projects, setProjects] = useState([]);
+  const [selectedProject, setSelectedProject] = useState("all");
+  const [members, setMembers] = useState([]);
+  const [showMembers, setShowMembers] = useState(false);
   const [title, setTitle] = useState("");
   const [priority, setPriority] = useState("medium");
   const [status, setStatus] = useState("todo");
   const [dueDate, setDueDate] = useState("");
+  const [dueTime, setDueTime] = useState("");
+  const [reminder, setReminder] = useState("");
+  const [taskProject, setTaskProject] = useState("");
+  const [taskAssignee, setTaskAssignee] = useState("");
+  const [repeat, setRepeat] = useState(EMPTY_REPEAT);
+  const [taskTags, setTaskTags] = useState([]);
+  const [tags, setTags] = useState([]);
   const [filterStatus, setFilterStatus] = useState("all");
+  const [filterPriority, setFilterPriority] = useState("all");
+  const [filterCompleted, setFilterCompleted] = useState("all");
+  const [filterTags, setFilterTags] = useState([]);
+  const [dueFrom, setDueFrom] = useState("");
+  const [dueTo, setDueTo] = useState("");
+  const [search, setSearch] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
   const [sortBy, setSortBy] = useState("newest");
   const [editingId, setEditingId] = useState(null);
   const [editingTitle, setEditingTitle] = useState("");
+  const [expandedId, setExpandedId] = useState(null);
+  const [detailId, setDetailId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkBusy, setBulkBusy] = useState(false);
   const [error, setError] = useState("");
+  const [showSessions, setShowSessions] = useState(false);
+  const [showTwoFactor, setShowTwoFactor] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showTransfer, setShowTransfer] = useState(false);
+  const [undo, setUndo] = useState(null);
+  const [account, setAccount] = useState(null);
+  const [notice, setNotice] = useState("");
+  const [offline, setOffline] = useState(() => !navigator.onLine);
+  const [pending, setPending] = useState([]);
+  const listVersion = useRef(0);
+  const loadMoreRef = useRef(null);
+  const selectAnchor = useRef(null);
+  const live = useRef(null);
+  const liveReload = useRef({ timer: null, list: false });
+  // The list query the tasks on screen were loaded for, while a new one loads.
+  const loadedQuery = useRef(null);
 
   const isAuthed = !!token;
+  const timeZone = account?.time_zone ?? browserTimeZone();
+  const view = account?.task_view ?? "list";
+
+  // Ignores selected tags that have since been deleted.
+  const activeFilterTags = useMemo(
+    () => filterTags.filter((id) => tags.some((tag) => tag.id === id)),
+    [filterTags, tags],
+  );
 
-  function authHeaders() {
-    return { Authorization: `Bearer ${token}` };
+  const listQuery = useMemo(() => {
+    const params = applyScope(
+      new URLSearchParams(view === "board" ? BOARD_SORT : SORT_OPTIONS[sortBy]),
+      selectedProject,
+    );
+    if (filterStatus !== "all") params.set("status", filterStatus);
+    if (filterPriority !== "all") params.set("priority", filterPriority);
+    if (activeFilterTags.length) params.set("tags", activeFilterTags.join(","));
+    if (filterCompleted !== "all") {
+      params.set("completed", filterCompleted === "completed" ? "true" : "false");
+    }
+    if (dueFrom) params.set("dueFrom", dueFrom);
+    if (dueTo) params.set("dueTo", dueTo);
+    if (debouncedSearch.trim()) params.set("q", debouncedSearch.trim());
+    return params.toString();
+  }, [
+    selectedProject,
+    view,
+    sortBy,
+    filterStatus,
+    filterPriority,
+    activeFilterTags,
+    filterCompleted,
+    dueFrom,
+    dueTo,
+    debouncedSearch,
+  ]);
+
+  const statsQuery = useMemo(() => {
+    return applyScope(new URLSearchParams(), selectedProject).toString();
+  }, [selectedProject]);
+
+  const currentProject = projects.find((project) => project.id === selectedProject);
+  const detailTask = tasks.find((task) => task.id === detailId);
+  const composerMembers = String(selectedProject) === taskProject ? members : [];
+
+  function canEditTask(task) {
+    if (task.project_id == null) return true;
+    const role = projects.find((project) => project.id === task.project_id)?.role;
+    return role === "owner" || role === "editor";
+  }
+
+  // Only loaded tasks count, so a reload quietly drops what is no longer shown.
+  const selectedTasks = tasks.filter((task) => selectedIds.includes(task.id));
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(
+    () =>
+      onSessionExpired(() => {
+        setToken("");
+        setTasks([]);
+        setNextCursor(null);
+        setStats(EMPTY_STATS);
+        setAccount(null);
+        setShowSettings(false);
+        setShowSessions(false);
+        setShowTwoFactor(false);
+        setShowTrash(false);
+        setShowTransfer(false);
+        setUndo(null);
+        setEditingId(null);
+        setError("Your session expired. Please log in again.");
+      }),
+    [],
+  );
+
+  async function loadProjects() {
+    const { ok, data } = await fetchCached("/api/projects");
+    if (ok) setProjects(data);
+  }
+
+  async function loadTags() {
+    const { ok, data } = await fetchCached("/api/tags");
+    if (ok) setTags(data);
+  }
+
+  async function loadStats() {
+    const { ok, data } = await fetchCached(`/api/tasks/stats?${statsQuery}`);
+    if (ok) setStats(data);
+    void loadProjects();
+    void loadTags();
   }
 
   async function loadTasks() {
     if (!token) return;
 
     setError("");
+    listVersion.current += 1;
+    const version = listVersion.current;
 
-    const res = await fetch(`${API}/api/tasks`, {
-      headers: authHeaders(),
-    });
-    const data = await readResponse(res);
+    const { ok, data, offline: cached } = await fetchCached(`/api/tasks?${listQuery}`);
+    const changes = await pendingChanges();
+    if (version !== listVersion.current) return;
 
-    if (!res.ok) {
+    setOffline(cached);
+    if (!ok) {
       setError(data.error || "Failed to load tasks");
       return;
     }
 
-    setTasks(data);
+    loadedQuery.current = listQuery;
+    setTasks(applyPending(data.tasks, changes));
+    // More pages need the server.
+    setNextCursor(cached ? null : data.nextCursor);
+    void loadStats();
   }
 
   useEffect(() => {
     if (!token) return;
 
+    listVersion.current += 1;
+    const version = listVersion.current;
+
     async function syncTasks() {
       setError("");
 
-      const res = await fetch(`${API}/api/tasks`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      const data = await readResponse(res);
+      const { ok, data, offline: cached } = await fetchCached(`/api/tasks?${listQuery}`);
+      const changes = await pendingChanges();
+      if (version !== listVersion.current) return;
 
-      if (!res.ok) {
+      setOffline(cached);
+      if (!ok) {
         setError(data.error || "Failed to load tasks");
         return;
       }
 
-      setTasks(data);
+      loadedQuery.current = listQuery;
+      setTasks(applyPending(data.tasks, changes));
+      setNextCursor(cached ? null : data.nextCursor);
     }
 
     void syncTasks();
+  }, [token, listQuery]);
+
+  useEffect(() => {
+    if (!token) return;
+
+    async function syncStats() {
+      const { ok, data } = await fetchCached(`/api/tasks/stats?${statsQuery}`);
+      if (ok) setStats(data);
+    }
+
+    void syncStats();
+  }, [token, statsQuery]);
+
+  useEffect(() => {
+    if (!token) return;
+
+    async function syncProjects() {
+      const { ok, data } = await fetchCached("/api/projects");
+      if (ok) setProjects(data);
+    }
+
+    void syncProjects();
+  }, [token]);
+
+  useEffect(() => {
+    if (!token) return;
+
+    async function syncTags() {
+      const { ok, data } = await fetchCached("/api/tags");
+      if (ok) setTags(data);
+    }
+
+    void syncTags();
+  }, [token]);
+
+  useEffect(() => {
+    if (!token) return;
+
+    async function syncAccount() {
+      const { ok, data } = await fetchCached("/api/account");
+      if (ok) setAccount(data);
+    }
+
+    void syncAccount();
+  }, [token]);
+
+  // Changes made in other tabs, on other devices or by project members arrive
+  // over the event stream. Tasks on screen are updated in place; a task the
+  // list does not have yet reloads it, since only the server knows whether it
+  // matches the filters and where it sorts.
+  function scheduleLiveReload(list) {
+    const pending = liveReload.current;
+    pending.list ||= list;
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => {
+      const reload = pending.list ? live.current.loadTasks : live.current.loadStats;
+      pending.list = false;
+      void reload();
+    }, LIVE_RELOAD_MS);
+  }
+
+  function applyLiveEvent({ type, data }) {
+    if (type === "resync") {
+      scheduleLiveReload(true);
+    } else if (type === "task.deleted") {
+      if (!tasks.some((task) => task.id === data.id)) return;
+      setTasks((prev) => prev.filter((task) => task.id !== data.id));
+      setSelectedIds((prev) => prev.filter((id) => id !== data.id));
+      scheduleLiveReload(false);
+    } else if (type === "task.created" || type === "task.updated") {
+      const incoming = data.task;
+      const current = tasks.find((task) => task.id === incoming.id);
+      if (!current) {
+        scheduleLiveReload(true);
+        return;
+      }
+      // Events can trail the responses to our own requests.
+      if (incoming.version < current.version) return;
+
+      // Changes of ours still waiting to be sent stay on top.
+      setTasks((prev) =>
+        applyPending(
+          prev.flatMap((task) => {
+            if (task.id !== incoming.id) return [task];
+            const merged = { ...task, ...incoming };
+            return fitsScope(merged, selectedProject) ? [merged] : [];
+          }),
+          pending,
+        ),
+      );
+      // Our own changes echo back with the version we already have.
+      if (incoming.version > current.version) scheduleLiveReload(false);
+    }
+  }
+
+  async function refreshPending() {
+    setPending(await pendingChanges());
+  }
+
+  // Sends the queued task changes. Until the server answers, the app counts as
+  // offline and the changes stay queued for the next try.
+  async function syncOutbox() {
+    await refreshPending();
+    const sent = await replayOutbox(getCurrentUser()?.id, (result) =>
+      live.current.applyReplayed(result),
+    );
+    if (!sent) setOffline(true);
+  }
+
+  // A queued change was answered. Successes swap in the server's copy; a
+  // failure undoes the change on screen and says why. A 412 means someone else
+  // changed the task while this change waited, and their copy wins.
+  function applyReplayed({ change, res, data }) {
+    void refreshPending();
+    setOffline(false);
+
+    if (change.type === "create") {
+      if (!res.ok) {
+        setTasks((prev) => prev.filter((task) => task.id !== change.taskId));
+        setError(`${change.title}: ${data.error || "Failed to add task"}`);
+        return;
+      }
+      const swap = (id) => (id === change.taskId ? data.id : id);
+      setTasks((prev) =>
+        prev
+          .filter((task) => task.id !== data.id)
+          .map((task) => (task.id === change.taskId ? data : task)),
+      );
+      setSelectedIds((prev) => prev.map(swap));
+      setDetailId(swap);
+      setEditingId(swap);
+      void loadStats();
+    } else if (change.type === "update") {
+      if (!res.ok) {
+        if (res.status === 412 && data.task) patchTask(data.task.id, data.task);
+        else void loadTasks();
+        setError(`${change.title}: ${data.error || "Failed to update task"}`);
+        return;
+      }
+      patchTask(change.taskId, data.task, data.nextTask);
+      if (Object.hasOwn(change.body, "completed")) void loadStats();
+    } else if (!res.ok && res.status !== 404) {
+      void loadTasks();
+      setError(`${change.title}: ${data.error || "Failed to delete task"}`);
+    } else {
+      void loadStats();
+    }
+  }
+
+  // Shows a change to a task at once and queues it for the server.
+  async function queueTaskChange(type, task, { body, patch } = {}) {
+    setTasks((prev) => {
+      if (type === "create") return [task, ...prev];
+      if (type === "delete") return prev.filter((item) => item.id !== task.id);
+      return prev.map((item) => (item.id === task.id ? { ...item, ...patch } : item));
+    });
+    await queueChange({
+      userId: getCurrentUser()?.id,
+      type,
+      taskId: task.id,
+      version: task.version,
+      title: task.title,
+      body,
+      patch,
+      task: type === "create" ? task : undefined,
+    });
+    void syncOutbox();
+  }
+
+  useEffect(() => {
+    live.current = { applyLiveEvent, applyReplayed, loadTasks, loadStats, syncOutbox };
+  });
+
+  // Keeps the saved copy of the list in step with the screen, changes
+  // included, so opening the app offline shows the latest of it.
+  useEffect(() => {
+    if (!token || loadedQuery.current !== listQuery) return;
+    void saveCached(cacheKey(`/api/tasks?${listQuery}`), { tasks, nextCursor });
+  }, [token, listQuery, tasks, nextCursor]);
+
+  // Whatever was queued in an earlier visit goes out on start, and again once
+  // the connection is back, after which the list is reloaded since the server
+  // may have moved on as well.
+  useEffect(() => {
+    if (!token) return;
+
+    const goOnline = async () => {
+      setOffline(false);
+      await live.current.syncOutbox();
+      void live.current.loadTasks();
+    };
+    const goOffline = () => setOffline(true);
+
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    void live.current.syncOutbox();
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, [token]);
+
+  useEffect(() => {
+    if (!token) return;
+    const stop = subscribeToEvents((event) => live.current.applyLiveEvent(event));
+    const pending = liveReload.current;
+    return () => {
+      stop();
+      clearTimeout(pending.timer);
+    };
   }, [token]);
 
+  useEffect(() => {
+    if (!token || typeof selectedProject !== "number") return;
+
+    async function syncMembers() {
+      const res = await apiFetch(`/api/projects/${selectedProject}/members`);
+      const data = await readResponse(res);
+      if (res.ok) setMembers(data);
+    }
+
+    void syncMembers();
+  }, [token, selectedProject]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+
+    setLoadingMore(true);
+    const version = listVersion.current;
+
+    const res = await apiFetch(
+      `/api/tasks?${listQuery}&cursor=${encodeURIComponent(nextCursor)}`,
+    );
+    const data = await readResponse(res);
+    setLoadingMore(false);
+    if (version !== listVersion.current) return;
+
+    if (!res.ok) {
+      setError(data.error || "Failed to load more tasks");
+      return;
+    }
+
+    setTasks((prev) => [...prev, ...data.tasks]);
+    setNextCursor(data.nextCursor);
+  }, [listQuery, nextCursor, loadingMore]);
+
+  useEffect(() => {
+    const node = loadMoreRef.current;
+    if (!node || !nextCursor) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) void loadMore();
+    });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [nextCursor, loadMore]);
+
+  useEffect(() => {
+    const verifyToken = readEmailLink("verify");
+    if (!verifyToken) return;
+    clearEmailLink();
+
+    async function verifyEmail() {
+      const res = await fetch(`${API}/api/auth/verify-email`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token: verifyToken }),
+      });
+      const data = await readResponse(res);
+
+      if (!res.ok) {
+        setError(data.error || "Failed to confirm email");
+        return;
+      }
+
+      setNotice("Email confirmed. Thanks!");
+      setAccount((prev) => (prev ? { ...prev, email_verified: true } : prev));
+    }
+
+    void verifyEmail();
+  }, []);
+
+  function switchMode(nextMode) {
+    setMode(nextMode);
+    setChallenge("");
+    setLoginCode("");
+    setError("");
+    setNotice("");
+  }
+
+  function startSession(data) {
+    storeSession(data);
+    setToken(data.token);
+    setEmail("");
+    setPassword("");
+    setNotice("");
+  }
+
   async function submitAuth(e) {
     e.preventDefault();
     setError("");
@@ -85,7 +669,7 @@ export default function TaskApp() {
     const res = await fetch(`${API}/api/auth/${endpoint}`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ email, password }),
+      body: JSON.stringify({ email, password, timeZone: browserTimeZone() }),
     });
     const data = await readResponse(res);
 
@@ -94,18 +678,125 @@ export default function TaskApp() {
       return;
     }
 
-    localStorage.setItem("token", data.token);
-    setToken(data.token);
-    setEmail("");
+    // With two-factor on, the password only earns a challenge for the code.
+    if (data.twoFactorRequired) {
+      setPassword("");
+      setMode("challenge");
+      setChallenge(data.challenge);
+      return;
+    }
+
+    startSession(data);
+  }
+
+  async function submitChallenge(e) {
+    e.preventDefault();
+    setError("");
+
+    const res = await fetch(`${API}/api/auth/login/2fa`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ challenge, code: loginCode }),
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      setError(data.error || "Verification failed");
+      return;
+    }
+
+    setMode("login");
+    setChallenge("");
+    setLoginCode("");
+    startSession(data);
+  }
+
+  async function requestPasswordReset(e) {
+    e.preventDefault();
+    setError("");
+
+    const res = await fetch(`${API}/api/auth/forgot-password`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email }),
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      setError(data.error || "Failed to send reset link");
+      return;
+    }
+
+    setMode("login");
+    setNotice("If that email has an account, a reset link is on its way.");
+  }
+
+  async function resetPassword(e) {
+    e.preventDefault();
+    setError("");
+
+    const res = await fetch(`${API}/api/auth/reset-password`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token: resetToken, password }),
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      setError(data.error || "Failed to reset password");
+      return;
+    }
+
+    clearEmailLink();
     setPassword("");
+    setMode("login");
+    setNotice("Password updated. Log in with your new password.");
+  }
+
+  async function resendVerification() {
+    setError("");
+
+    const res = await apiFetch("/api/auth/verify-email/resend", { method: "POST" });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      setError(data.error || "Failed to send confirmation email");
+      return;
+    }
+
+    setNotice(`Confirmation email sent to ${account.email}.`);
   }
 
   function logout() {
-    localStorage.removeItem("token");
+    if (
+      pending.length &&
+      !window.confirm("Some changes have not reached the server yet and will be lost. Log out?")
+    ) {
+      return;
+    }
+
+    void endSession();
+    void clearOfflineData();
+    setPending([]);
+    loadedQuery.current = null;
     setToken("");
+    setShowSessions(false);
+    setShowTwoFactor(false);
+    setShowSettings(false);
+    setAccount(null);
+    setNotice("");
     setTasks([]);
+    setNextCursor(null);
+    setStats(EMPTY_STATS);
+    setProjects([]);
+    setSelectedProject("all");
+    setMembers([]);
+    setShowMembers(false);
     setEditingId(null);
     setEditingTitle("");
+    setDetailId(null);
+    setTags([]);
+    setFilterTags([]);
     setError("");
   }
 
@@ -116,69 +807,275 @@ export default function TaskApp() {
 
     setError("");
 
-    const res = await fetch(`${API}/api/tasks`, {
+    const body = {
+      title: trimmed,
+      priority,
+      status,
+      dueDate: dueDate || null,
+      dueTime: dueDate ? dueTime || null : null,
+      reminders: dueDate && reminder !== "" ? [Number(reminder)] : [],
+      projectId: taskProject || null,
+      assigneeId: composerMembers.length ? taskAssignee || null : null,
+      recurrence: buildRecurrence(repeat),
+      tagIds: taskTags,
+    };
+    // Shown until the server sends the real task, with a stand-in id below
+    // zero so it can never clash with one.
+    const task = {
+      id: -Date.now(),
+      title: trimmed,
+      completed: status === "done",
+      completed_at: null,
+      priority,
+      status,
+      due_date: body.dueDate,
+      due_at: null,
+      project_id: body.projectId ? Number(body.projectId) : null,
+      assignee_id: body.assigneeId ? Number(body.assigneeId) : null,
+      assignee_email: null,
+      recurrence: body.recurrence,
+      version: 1,
+      has_description: false,
+      checklist_total: 0,
+      checklist_done: 0,
+      tags: tags.filter((tag) => taskTags.includes(tag.id)),
+    };
+
+    await queueTaskChange("create", task, { body });
+    setTitle("");
+    setPriority("medium");
+    setStatus("todo");
+    setDueDate("");
+    setDueTime("");
+    setReminder("");
+    setTaskAssignee("");
+    setRepeat(EMPTY_REPEAT);
+    setTaskTags([]);
+  }
+
+  async function deleteTask(id) {
+    setError("");
+
+    const task = tasks.find((item) => item.id === id);
+    await queueTaskChange("delete", task);
+    setUndo({ taskIds: [id], tasks: [task], message: "Task moved to the trash." });
+  }
+
+  useEffect(() => {
+    if (!undo) return;
+    const timer = setTimeout(() => setUndo(null), UNDO_MS);
+    return () => clearTimeout(timer);
+  }, [undo]);
+
+  async function undoDelete() {
+    const { taskIds, tasks: removed = [] } = undo;
+    setUndo(null);
+    setError("");
+
+    // A delete still waiting in the outbox is simply taken back.
+    const queued = (await pendingChanges()).filter(
+      (change) => change.type === "delete" && taskIds.includes(change.taskId),
+    );
+    if (queued.length) {
+      await removeFromOutbox(queued.map((change) => change.id));
+      void refreshPending();
+      const ids = queued.map((change) => change.taskId);
+      setTasks((prev) => [...removed.filter((task) => ids.includes(task.id)), ...prev]);
+      if (queued.length === taskIds.length) return;
+    }
+
+    const res = await apiFetch("/api/tasks/bulk", {
       method: "POST",
-      headers: { "Content-Type": "application/json", ...authHeaders() },
+      headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
-        title: trimmed,
-        priority,
-        status,
-        dueDate: dueDate || null,
+        action: "restore",
+        taskIds: taskIds.filter((id) => !queued.some((change) => change.taskId === id)),
       }),
     });
     const data = await readResponse(res);
 
     if (!res.ok) {
-      setError(data.error || "Failed to add task");
+      setError(data.error || "Failed to restore tasks");
       return;
     }
 
-    setTasks((prev) => [data, ...prev]);
-    setTitle("");
-    setPriority("medium");
-    setStatus("todo");
-    setDueDate("");
+    void loadTasks();
   }
 
-  async function deleteTask(id) {
+  // Shift-click selects or clears every task between the last one clicked
+  // and this one.
+  function toggleSelected(taskId, extendRange) {
+    const select = !selectedIds.includes(taskId);
+    const from = tasks.findIndex((task) => task.id === selectAnchor.current);
+    const to = tasks.findIndex((task) => task.id === taskId);
+    const range =
+      extendRange && from !== -1
+        ? tasks
+            .slice(Math.min(from, to), Math.max(from, to) + 1)
+            .filter(canEditTask)
+            .map((task) => task.id)
+        : [taskId];
+
+    selectAnchor.current = taskId;
+    setSelectedIds((prev) =>
+      select ? [...new Set([...prev, ...range])] : prev.filter((id) => !range.includes(id)),
+    );
+  }
+
+  // `action` is "update" with the `changes` to make, or "delete".
+  async function runBulk(action, changes) {
     setError("");
+    setBulkBusy(true);
 
-    const res = await fetch(`${API}/api/tasks/${id}`, {
-      method: "DELETE",
-      headers: authHeaders(),
+    const res = await apiFetch("/api/tasks/bulk", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ action, taskIds: selectedTasks.map((task) => task.id), changes }),
     });
     const data = await readResponse(res);
+    setBulkBusy(false);
 
     if (!res.ok) {
-      setError(data.error || "Failed to delete task");
+      // Nothing was changed; point at the task that stopped the batch.
+      const failed = tasks.find((task) => task.id === data.taskId);
+      const message = data.error || "Failed to update tasks";
+      setError(failed ? `${failed.title}: ${message}` : message);
       return;
     }
 
-    setTasks((prev) => prev.filter((task) => task.id !== id));
+    if (action === "delete") {
+      const count = data.deleted.length;
+      setTasks((prev) => prev.filter((task) => !data.deleted.includes(task.id)));
+      setUndo({
+        taskIds: data.deleted,
+        message: `${count} task${count === 1 ? "" : "s"} moved to the trash.`,
+      });
+    } else {
+      const updated = new Map(data.tasks.map((task) => [task.id, task]));
+      setTasks((prev) => [
+        ...data.nextTasks,
+        ...prev
+          .map((task) => (updated.has(task.id) ? { ...task, ...updated.get(task.id) } : task))
+          .filter((task) => !updated.has(task.id) || fitsScope(task, selectedProject)),
+      ]);
+    }
+    setSelectedIds([]);
+    void loadStats();
   }
 
   async function toggleCompleted(task) {
     setError("");
 
-    const res = await fetch(`${API}/api/tasks/${task.id}`, {
-      method: "PUT",
-      headers: { "Content-Type": "application/json", ...authHeaders() },
-      body: JSON.stringify({ completed: !task.completed }),
+    // The server also moves the status: to done, or back to where it was,
+    // which only it knows; until it answers a reopened task shows as todo.
+    const completed = !task.completed;
+    await queueTaskChange("update", task, {
+      body: { completed },
+      patch: { completed, status: completed ? "done" : "todo" },
     });
+  }
+
+  function selectProject(value) {
+    const project = projects.find((item) => item.id === value);
+    setSelectedProject(value);
+    setTaskProject(project && project.role !== "viewer" ? String(value) : "");
+    setTaskAssignee("");
+    setMembers([]);
+    setShowMembers(false);
+  }
+
+  async function assignTask(task, assigneeId) {
+    setError("");
+
+    const res = await saveTask(task, { assigneeId: assigneeId || null });
     const data = await readResponse(res);
 
     if (!res.ok) {
-      setError(data.error || "Failed to update task");
+      showTaskError(res, data, "Failed to assign task");
       return;
     }
 
-    setTasks((prev) =>
-      prev.map((item) =>
-        item.id === task.id ? { ...item, completed: !item.completed } : item,
-      ),
-    );
+    patchTask(task.id, data.task);
+  }
+
+  async function moveTask(task, projectId) {
+    setError("");
+
+    const res = await saveTask(task, { projectId: projectId || null });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      showTaskError(res, data, "Failed to move task");
+      return;
+    }
+
+    if (selectedProject === "all") {
+      patchTask(task.id, data.task);
+    } else {
+      setTasks((prev) => prev.filter((item) => item.id !== task.id));
+    }
+    void loadStats();
   }
 
+  async function placeTask(taskId, status, anchor) {
+    const task = tasks.find((item) => item.id === taskId);
+    const body = status === task.status ? anchor : { ...anchor, status };
+    if (!Object.keys(body).length) return;
+
+    setError("");
+    const previous = tasks;
+    setTasks((prev) => placeInList(prev, taskId, status, anchor));
+
+    const res = await saveTask(task, body);
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      setTasks(previous);
+      showTaskError(res, data, "Failed to move task");
+      return;
+    }
+
+    patchTask(taskId, data.task, data.nextTask);
+  }
+
+  // Remembered on the account so the choice follows the user across devices.
+  async function changeView(nextView) {
+    setAccount((prev) => ({ ...prev, task_view: nextView }));
+
+    const res = await apiFetch("/api/account", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ taskView: nextView }),
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) setError(data.error || "Failed to save view");
+  }
+
+  // `nextTask` is the following occurrence the server created when this
+  // change completed a recurring task; the rule moves from the old task to it.
+  function patchTask(taskId, patch, nextTask) {
+    const current = tasks.find((task) => task.id === taskId);
+    const changes = nextTask ? { ...patch, recurrence: null } : patch;
+    setTasks((prev) => {
+      const updated = prev.map((task) => (task.id === taskId ? { ...task, ...changes } : task));
+      return nextTask ? [nextTask, ...updated] : updated;
+    });
+    if (nextTask || (Object.hasOwn(patch, "completed") && patch.completed !== current?.completed)) {
+      void loadStats();
+    }
+  }
+
+  // A 412 means someone else changed the task first. The server sends its
+  // current copy, which replaces ours so the user sees what changed and the
+  // next edit is made against it.
+  function showTaskError(res, data, fallback) {
+    if (res.status === 412 && data.task) patchTask(data.task.id, data.task);
+    setError(data.error || fallback);
+  }
+
+  const closeDetails = useCallback(() => setDetailId(null), []);
+
   function startEdit(task) {
     setEditingId(task.id);
     setEditingTitle(task.title);
@@ -198,75 +1095,14 @@ export default function TaskApp() {
 
     setError("");
 
-    const res = await fetch(`${API}/api/tasks/${taskId}`, {
-      method: "PUT",
-      headers: { "Content-Type": "application/json", ...authHeaders() },
-      body: JSON.stringify({ title: trimmed }),
-    });
-    const data = await readResponse(res);
-
-    if (!res.ok) {
-      setError(data.error || "Failed to update title");
-      return;
-    }
-
-    setTasks((prev) =>
-      prev.map((task) => (task.id === taskId ? { ...task, title: trimmed } : task)),
-    );
+    const task = tasks.find((item) => item.id === taskId);
     cancelEdit();
+    await queueTaskChange("update", task, {
+      body: { title: trimmed },
+      patch: { title: trimmed },
+    });
   }
 
-  const visibleTasks = useMemo(() => {
-    const priorityRank = { high: 3, medium: 2, low: 1 };
-
-    return (tasks ?? [])
-      .filter((task) => {
-        const taskStatus = task.status ?? "todo";
-        return filterStatus === "all" ? true : taskStatus === filterStatus;
-      })
-      .sort((a, b) => {
-        if (sortBy === "priority") {
-          const aPriority = priorityRank[a.priority ?? "medium"] ?? 2;
-          const bPriority = priorityRank[b.priority ?? "medium"] ?? 2;
-          return bPriority - aPriority;
-        }
-
-        if (sortBy === "due_date") {
-          const aDue = a.dueDate ?? a.due_date ?? "";
-          const bDue = b.dueDate ?? b.due_date ?? "";
-          if (!aDue && !bDue) return 0;
-          if (!aDue) return 1;
-          if (!bDue) return -1;
-          return aDue.localeCompare(bDue);
-        }
-
-        return (b.id ?? 0) - (a.id ?? 0);
-      });
-  }, [tasks, filterStatus, sortBy]);
-
-  const stats = useMemo(() => {
-    const allTasks = tasks ?? [];
-    const completedCount = allTasks.filter((task) => task.completed).length;
-    const activeCount = allTasks.length - completedCount;
-    const dueSoonCount = allTasks.filter((task) => {
-      const due = task.dueDate ?? task.due_date;
-      if (!due) return false;
-
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const dueDateValue = new Date(`${due}T00:00:00`);
-      const diffDays = Math.round((dueDateValue - today) / 86400000);
-      return diffDays >= 0 && diffDays <= 3;
-    }).length;
-
-    return {
-      total: allTasks.length,
-      completed: completedCount,
-      active: activeCount,
-      dueSoon: dueSoonCount,
-    };
-  }, [tasks]);
-
   return (
     <div className="task-page">
       <div className="task-container">
@@ -285,6 +1121,41 @@ export default function TaskApp() {
                 <button className="btn btn-soft" type="button" onClick={loadTasks}>
                   Refresh
                 </button>
+                <button
+                  className="btn btn-soft"
+                  type="button"
+                  onClick={() => setShowSessions((open) => !open)}
+                >
+                  Devices
+                </button>
+                <button
+                  className="btn btn-soft"
+                  type="button"
+                  onClick={() => setShowTwoFactor((open) => !open)}
+                >
+                  Two-factor
+                </button>
+                <button
+                  className="btn btn-soft"
+                  type="button"
+                  onClick={() => setShowTrash((open) => !open)}
+                >
+                  Trash
+                </button>
+                <button
+                  className="btn btn-soft"
+                  type="button"
+                  onClick={() => setShowTransfer((open) => !open)}
+                >
+                  Import/Export
+                </button>
+                <button
+                  className="btn btn-soft"
+                  type="button"
+                  onClick={() => setShowSettings((open) => !open)}
+                >
+                  Settings
+                </button>
                 <button className="btn btn-danger" type="button" onClick={logout}>
                   Logout
                 </button>
@@ -293,6 +1164,76 @@ export default function TaskApp() {
           </div>
 
           {error ? <div className="error">{error}</div> : null}
+          {notice ? <div className="notice">{notice}</div> : null}
+
+          {isAuthed && offline ? (
+            <div className="notice">
+              <span>
+                You are offline and seeing the tasks saved on this device.
+                {pending.length ? ` Changes waiting to be sent: ${pending.length}.` : ""}
+              </span>
+            </div>
+          ) : null}
+
+          {isAuthed && account && !account.email_verified ? (
+            <div className="notice">
+              <span>Confirm {account.email} using the link we emailed you.</span>
+              <button className="btn btn-soft" type="button" onClick={resendVerification}>
+                Resend email
+              </button>
+            </div>
+          ) : null}
+
+          {isAuthed && showSettings && account ? (
+            <SettingsCard
+              account={account}
+              onSaved={(saved) => {
+                setAccount(saved);
+                setShowSettings(false);
+                void loadTasks();
+              }}
+              onClose={() => setShowSettings(false)}
+              onError={setError}
+            />
+          ) : null}
+
+          {isAuthed && showSessions ? (
+            <SessionsCard onClose={() => setShowSessions(false)} onError={setError} />
+          ) : null}
+
+          {isAuthed && showTwoFactor ? (
+            <TwoFactorCard onClose={() => setShowTwoFactor(false)} onError={setError} />
+          ) : null}
+
+          {isAuthed && showTrash ? (
+            <TrashCard
+              onRestored={() => void loadTasks()}
+              onClose={() => setShowTrash(false)}
+              onError={setError}
+            />
+          ) : null}
+
+          {isAuthed && showTransfer ? (
+            <TransferCard
+              onImported={() => void loadTasks()}
+              onClose={() => setShowTransfer(false)}
+              onError={setError}
+            />
+          ) : null}
+
+          {isAuthed && showMembers && currentProject ? (
+            <MembersCard
+              project={currentProject}
+              members={members}
+              setMembers={setMembers}
+              onClose={() => setShowMembers(false)}
+              onLeft={() => {
+                setProjects((prev) => prev.filter((project) => project.id !== selectedProject));
+                selectProject("all");
+              }}
+              onError={setError}
+            />
+          ) : null}
 
           {!isAuthed ? (
             <div className="auth-layout">
@@ -326,283 +1267,709 @@ export default function TaskApp() {
                   <button
                     type="button"
                     className={`tab ${mode === "login" ? "active" : ""}`}
-                    onClick={() => setMode("login")}
+                    onClick={() => switchMode("login")}
                   >
                     Login
                   </button>
                   <button
                     type="button"
                     className={`tab ${mode === "register" ? "active" : ""}`}
-                    onClick={() => setMode("register")}
+                    onClick={() => switchMode("register")}
                   >
                     Register
                   </button>
                 </div>
 
                 <div className="auth-card-copy">
-                  <h3>{mode === "register" ? "Create your workspace" : "Welcome back"}</h3>
-                  <p>
-                    {mode === "register"
-                      ? "Start with a clean system for tasks, deadlines, and momentum."
-                      : "Pick up where you left off and keep the day under control."}
-                  </p>
+                  <h3>{AUTH_COPY[mode].title}</h3>
+                  <p>{AUTH_COPY[mode].intro}</p>
                 </div>
 
-                <form className="col" onSubmit={submitAuth}>
-                  <label className="field">
-                    <span>Email</span>
-                    <input
-                      value={email}
-                      onChange={(e) => setEmail(e.target.value)}
-                      type="email"
-                      placeholder="you@example.com"
-                      autoComplete="email"
-                      required
-                    />
-                  </label>
-
-                  <label className="field">
-                    <span>Password</span>
-                    <input
-                      value={password}
-                      onChange={(e) => setPassword(e.target.value)}
-                      type="password"
-                      placeholder="Minimum 6 characters"
-                      autoComplete={mode === "register" ? "new-password" : "current-password"}
-                      required
-                      minLength={6}
-                    />
-                  </label>
+                <form
+                  className="col"
+                  onSubmit={
+                    mode === "forgot"
+                      ? requestPasswordReset
+                      : mode === "reset"
+                        ? resetPassword
+                        : mode === "challenge"
+                          ? submitChallenge
+                          : submitAuth
+                  }
+                >
+                  {mode === "challenge" ? (
+                    <label className="field">
+                      <span>Code</span>
+                      <input
+                        value={loginCode}
+                        onChange={(e) => setLoginCode(e.target.value)}
+                        placeholder="123456"
+                        autoComplete="one-time-code"
+                        autoFocus
+                        required
+                      />
+                    </label>
+                  ) : null}
+
+                  {mode !== "reset" && mode !== "challenge" ? (
+                    <label className="field">
+                      <span>Email</span>
+                      <input
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        type="email"
+                        placeholder="you@example.com"
+                        autoComplete="email"
+                        required
+                      />
+                    </label>
+                  ) : null}
+
+                  {mode !== "forgot" && mode !== "challenge" ? (
+                    <label className="field">
+                      <span>{mode === "reset" ? "New password" : "Password"}</span>
+                      <input
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        type="password"
+                        placeholder="Minimum 6 characters"
+                        autoComplete={mode === "login" ? "current-password" : "new-password"}
+                        required
+                        minLength={6}
+                      />
+                    </label>
+                  ) : null}
 
                   <div className="row">
                     <button className="btn btn-primary btn-wide" type="submit">
-                      {mode === "register" ? "Create account" : "Login"}
+                      {AUTH_COPY[mode].submit}
                     </button>
                   </div>
+
+                  <div className="auth-links">
+                    {mode === "login" ? (
+                      <button
+                        className="link-button"
+                        type="button"
+                        onClick={() => switchMode("forgot")}
+                      >
+                        Forgot password?
+                      </button>
+                    ) : null}
+                    {mode === "forgot" || mode === "reset" || mode === "challenge" ? (
+                      <button
+                        className="link-button"
+                        type="button"
+                        onClick={() => switchMode("login")}
+                      >
+                        Back to login
+                      </button>
+                    ) : null}
+                  </div>
                 </form>
               </div>
             </div>
           ) : (
-            <>
-              <section className="hero-panel">
-                <div className="hero-panel-copy">
-                  <span className="section-kicker">Today at a glance</span>
-                  <h2>{stats.active} active tasks, {stats.dueSoon} due soon.</h2>
-                  <p>
-                    Use the board below to capture new work, sort by urgency, and keep completed
-                    items from stealing attention.
-                  </p>
-                </div>
-                <div className="stats-grid">
-                  <div className="stat-card accent-coral">
-                    <span>Total</span>
-                    <strong>{stats.total}</strong>
-                  </div>
-                  <div className="stat-card accent-ink">
-                    <span>Active</span>
-                    <strong>{stats.active}</strong>
-                  </div>
-                  <div className="stat-card accent-gold">
-                    <span>Due soon</span>
-                    <strong>{stats.dueSoon}</strong>
+            <div className="workspace">
+              <div className="workspace-side">
+                <ProjectSidebar
+                  projects={projects}
+                  setProjects={setProjects}
+                  selected={selectedProject}
+                  onSelect={selectProject}
+                  onChanged={loadTasks}
+                  onOpenMembers={() => setShowMembers(true)}
+                  onError={setError}
+                />
+
+                <TagManager
+                  tags={tags}
+                  setTags={setTags}
+                  onChanged={loadTasks}
+                  onError={setError}
+                />
+              </div>
+
+              <div className="workspace-main">
+                <section className="hero-panel">
+                  <div className="hero-panel-copy">
+                    <span className="section-kicker">
+                      {currentProject
+                        ? currentProject.name
+                        : selectedProject === "inbox"
+                          ? "Inbox"
+                          : "Today at a glance"}
+                    </span>
+                    <h2>{stats.active} active tasks, {stats.dueSoon} due soon.</h2>
+                    <p>
+                      Use the board below to capture new work, sort by urgency, and keep completed
+                      items from stealing attention.
+                    </p>
                   </div>
-                  <div className="stat-card accent-mint">
-                    <span>Completed</span>
-                    <strong>{stats.completed}</strong>
+                  <div className="stats-grid">
+                    <div className="stat-card accent-coral">
+                      <span>Total</span>
+                      <strong>{stats.total}</strong>
+                    </div>
+                    <div className="stat-card accent-ink">
+                      <span>Active</span>
+                      <strong>{stats.active}</strong>
+                    </div>
+                    <div className="stat-card accent-gold">
+                      <span>Due soon</span>
+                      <strong>{stats.dueSoon}</strong>
+                    </div>
+                    <div className="stat-card accent-mint">
+                      <span>Completed</span>
+                      <strong>{stats.completed}</strong>
+                    </div>
                   </div>
-                </div>
-              </section>
-
-              <section className="dashboard-grid">
-                <div className="card composer-card">
-                  <div className="card-heading">
-                    <div>
-                      <p className="card-kicker">Create</p>
-                      <h3>Add a focused task</h3>
+                </section>
+
+                <section className="dashboard-grid">
+                  <div className="card composer-card">
+                    <div className="card-heading">
+                      <div>
+                        <p className="card-kicker">Create</p>
+                        <h3>Add a focused task</h3>
+                      </div>
                     </div>
+
+                    <form className="col" onSubmit={addTask}>
+                      <label className="field">
+                        <span>Task title</span>
+                        <input
+                          value={title}
+                          onChange={(e) => setTitle(e.target.value)}
+                          placeholder="Prepare client proposal"
+                        />
+                      </label>
+
+                      <div className="control-grid">
+                        <label className="field">
+                          <span>Priority</span>
+                          <select value={priority} onChange={(e) => setPriority(e.target.value)}>
+                            <option value="high">High</option>
+                            <option value="medium">Medium</option>
+                            <option value="low">Low</option>
+                          </select>
+                        </label>
+
+                        <label className="field">
+                          <span>Status</span>
+                          <select value={status} onChange={(e) => setStatus(e.target.value)}>
+                            <option value="todo">To do</option>
+                            <option value="in_progress">In progress</option>
+                            <option value="done">Done</option>
+                          </select>
+                        </label>
+
+                        <label className="field">
+                          <span>Due date</span>
+                          <input
+                            type="date"
+                            value={dueDate}
+                            onChange={(e) => setDueDate(e.target.value)}
+                          />
+                        </label>
+
+                        <label className="field">
+                          <span>Due time</span>
+                          <input
+                            type="time"
+                            value={dueTime}
+                            onChange={(e) => setDueTime(e.target.value)}
+                            disabled={!dueDate}
+                          />
+                        </label>
+
+                        <label className="field">
+                          <span>Reminder</span>
+                          <select
+                            value={reminder}
+                            onChange={(e) => setReminder(e.target.value)}
+                            disabled={!dueDate}
+                          >
+                            <option value="">None</option>
+                            {REMINDER_OPTIONS.map((option) => (
+                              <option key={option.minutes} value={option.minutes}>
+                                {option.label}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+
+                        <label className="field">
+                          <span>Project</span>
+                          <select
+                            value={taskProject}
+                            onChange={(e) => setTaskProject(e.target.value)}
+                          >
+                            <option value="">Inbox</option>
+                            {projects
+                              .filter(
+                                (project) => !project.archived_at && project.role !== "viewer",
+                              )
+                              .map((project) => (
+                                <option key={project.id} value={project.id}>
+                                  {project.name}
+                                </option>
+                              ))}
+                          </select>
+                        </label>
+
+                        {composerMembers.length ? (
+                          <label className="field">
+                            <span>Assignee</span>
+                            <select
+                              value={taskAssignee}
+                              onChange={(e) => setTaskAssignee(e.target.value)}
+                            >
+                              <option value="">Unassigned</option>
+                              {composerMembers.map((member) => (
+                                <option key={member.user_id} value={member.user_id}>
+                                  {member.email}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                        ) : null}
+                      </div>
+
+                      <RepeatPicker value={repeat} onChange={setRepeat} />
+
+                      {tags.length ? (
+                        <div className="field">
+                          <span>Tags</span>
+                          <TagChips
+                            tags={tags}
+                            selected={taskTags}
+                            onToggle={(id) => setTaskTags((prev) => toggleId(prev, id))}
+                            label="Tags for the new task"
+                          />
+                        </div>
+                      ) : null}
+
+                      <div className="row">
+                        <button className="btn btn-primary btn-wide" type="submit">
+                          Add task
+                        </button>
+                      </div>
+                    </form>
                   </div>
 
-                  <form className="col" onSubmit={addTask}>
-                    <label className="field">
-                      <span>Task title</span>
-                      <input
-                        value={title}
-                        onChange={(e) => setTitle(e.target.value)}
-                        placeholder="Prepare client proposal"
-                      />
-                    </label>
+                  <div className="card filter-card">
+                    <div className="card-heading">
+                      <div>
+                        <p className="card-kicker">View</p>
+                        <h3>Shape the list</h3>
+                      </div>
+                    </div>
 
                     <div className="control-grid">
                       <label className="field">
-                        <span>Priority</span>
-                        <select value={priority} onChange={(e) => setPriority(e.target.value)}>
-                          <option value="high">High</option>
-                          <option value="medium">Medium</option>
-                          <option value="low">Low</option>
-                        </select>
+                        <span>Search titles</span>
+                        <input
+                          type="search"
+                          value={search}
+                          onChange={(e) => setSearch(e.target.value)}
+                          placeholder="proposal"
+                        />
                       </label>
 
                       <label className="field">
-                        <span>Status</span>
-                        <select value={status} onChange={(e) => setStatus(e.target.value)}>
+                        <span>Status filter</span>
+                        <select value={filterStatus} onChange={(e) => setFilterStatus(e.target.value)}>
+                          <option value="all">All</option>
                           <option value="todo">To do</option>
                           <option value="in_progress">In progress</option>
                           <option value="done">Done</option>
                         </select>
                       </label>
 
+                      {tags.length ? (
+                        <div className="field">
+                          <span>Tag filter</span>
+                          <TagChips
+                            tags={tags}
+                            selected={activeFilterTags}
+                            onToggle={(id) => setFilterTags((prev) => toggleId(prev, id))}
+                            label="Show tasks with any of these tags"
+                          />
+                        </div>
+                      ) : null}
+
                       <label className="field">
-                        <span>Due date</span>
-                        <input
-                          type="date"
-                          value={dueDate}
-                          onChange={(e) => setDueDate(e.target.value)}
-                        />
+                        <span>Priority filter</span>
+                        <select
+                          value={filterPriority}
+                          onChange={(e) => setFilterPriority(e.target.value)}
+                        >
+                          <option value="all">All</option>
+                          <option value="high">High</option>
+                          <option value="medium">Medium</option>
+                          <option value="low">Low</option>
+                        </select>
                       </label>
-                    </div>
 
-                    <div className="row">
-                      <button className="btn btn-primary btn-wide" type="submit">
-                        Add task
-                      </button>
-                    </div>
-                  </form>
-                </div>
-
-                <div className="card filter-card">
-                  <div className="card-heading">
-                    <div>
-                      <p className="card-kicker">View</p>
-                      <h3>Shape the list</h3>
-                    </div>
-                  </div>
-
-                  <div className="control-grid">
-                    <label className="field">
-                      <span>Status filter</span>
-                      <select value={filterStatus} onChange={(e) => setFilterStatus(e.target.value)}>
-                        <option value="all">All</option>
-                        <option value="todo">To do</option>
-                        <option value="in_progress">In progress</option>
-                        <option value="done">Done</option>
-                      </select>
-                    </label>
-
-                    <label className="field">
-                      <span>Sort by</span>
-                      <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
-                        <option value="newest">Newest</option>
-                        <option value="priority">Priority</option>
-                        <option value="due_date">Due date</option>
-                      </select>
-                    </label>
-                  </div>
-                </div>
-              </section>
-
-              <section className="list-shell">
-                <div className="list-header">
-                  <div>
-                    <p className="card-kicker">Tasks</p>
-                    <h3>Your current queue</h3>
-                  </div>
-                  <span className="list-count">
-                    {visibleTasks.length} item{visibleTasks.length === 1 ? "" : "s"}
-                  </span>
-                </div>
-
-                <ul className="list">
-                  {visibleTasks.map((task) => {
-                    const due = task.dueDate ?? task.due_date ?? "";
-                    const taskStatus = task.status ?? "todo";
-                    const taskPriority = task.priority ?? "medium";
-                    const completed = !!task.completed;
+                      <label className="field">
+                        <span>Completion</span>
+                        <select
+                          value={filterCompleted}
+                          onChange={(e) => setFilterCompleted(e.target.value)}
+                        >
+                          <option value="all">All</option>
+                          <option value="open">Open</option>
+                          <option value="completed">Completed</option>
+                        </select>
+                      </label>
 
-                    return (
-                      <li className={`item priority-${taskPriority}`} key={task.id}>
-                        <div className="left">
+                      <div className="date-range">
+                        <label className="field">
+                          <span>Due from</span>
                           <input
-                            type="checkbox"
-                            checked={completed}
-                            onChange={() => toggleCompleted(task)}
-                            title="Toggle completed"
+                            type="date"
+                            value={dueFrom}
+                            onChange={(e) => setDueFrom(e.target.value)}
                           />
+                        </label>
 
-                          {editingId === task.id ? (
-                            <input
-                              className="editInput"
-                              value={editingTitle}
-                              onChange={(e) => setEditingTitle(e.target.value)}
-                              onKeyDown={(e) => {
-                                if (e.key === "Enter") saveEdit(task.id);
-                                if (e.key === "Escape") cancelEdit();
-                              }}
-                              autoFocus
-                            />
-                          ) : (
-                            <div className="task-copy">
-                              <div className={completed ? "done" : ""}>
-                                <strong>{task.title}</strong>
-                              </div>
-                              <div className="meta-row">
-                                <span className={`pill pill-${taskPriority}`}>{taskPriority}</span>
-                                <span className="pill pill-neutral">
-                                  {taskStatus.replace("_", " ")}
-                                </span>
-                                {due ? <span className="pill pill-neutral">due {due}</span> : null}
-                              </div>
-                              <div className="hint">
-                                {completed
-                                  ? "Completed task"
-                                  : taskStatus === "in_progress"
-                                    ? "In progress"
-                                    : "Ready to start"}
-                              </div>
-                            </div>
-                          )}
-                        </div>
+                        <label className="field">
+                          <span>Due to</span>
+                          <input
+                            type="date"
+                            value={dueTo}
+                            onChange={(e) => setDueTo(e.target.value)}
+                          />
+                        </label>
+                      </div>
 
-                        <div className="actions">
-                          {editingId === task.id ? (
-                            <>
-                              <button
-                                className="btn btn-soft"
-                                type="button"
-                                onClick={() => saveEdit(task.id)}
-                              >
-                                Save
-                              </button>
-                              <button className="btn btn-soft" type="button" onClick={cancelEdit}>
-                                Cancel
-                              </button>
-                            </>
-                          ) : (
-                            <button
-                              className="btn btn-soft"
-                              type="button"
-                              onClick={() => startEdit(task)}
-                            >
-                              Edit
-                            </button>
-                          )}
+                      <label className="field">
+                        <span>Sort by</span>
+                        <select
+                          value={sortBy}
+                          onChange={(e) => setSortBy(e.target.value)}
+                          disabled={view === "board"}
+                          title={view === "board" ? "Drag cards to order the board" : undefined}
+                        >
+                          <option value="newest">Newest</option>
+                          <option value="oldest">Oldest</option>
+                          <option value="priority">Priority</option>
+                          <option value="due_date">Due date</option>
+                          <option value="title">Title</option>
+                        </select>
+                      </label>
+                    </div>
+                  </div>
+                </section>
 
+                <section className="list-shell">
+                  <div className="list-header">
+                    <div>
+                      <p className="card-kicker">Tasks</p>
+                      <h3>Your current queue</h3>
+                    </div>
+                    <div className="list-tools">
+                      <span className="list-count">
+                        {tasks.length}
+                        {nextCursor ? "+" : ""} item{tasks.length === 1 && !nextCursor ? "" : "s"}
+                      </span>
+                      {account ? (
+                        <div className="tabs view-toggle">
+                          <button
+                            type="button"
+                            className={`tab ${view === "list" ? "active" : ""}`}
+                            onClick={() => changeView("list")}
+                          >
+                            List
+                          </button>
                           <button
-                            className="btn btn-danger"
                             type="button"
-                            onClick={() => deleteTask(task.id)}
+                            className={`tab ${view === "board" ? "active" : ""}`}
+                            onClick={() => changeView("board")}
                           >
-                            Delete
+                            Board
                           </button>
                         </div>
-                      </li>
-                    );
-                  })}
-                </ul>
-              </section>
-            </>
+                      ) : null}
+                    </div>
+                  </div>
+
+                  {view === "board" ? (
+                    <TaskBoard
+                      tasks={tasks}
+                      timeZone={timeZone}
+                      canEditTask={canEditTask}
+                      onMove={placeTask}
+                      onOpen={setDetailId}
+                    />
+                  ) : (
+                    <>
+                      {selectedTasks.length ? (
+                        <BulkActionBar
+                          count={selectedTasks.length}
+                          projects={projects}
+                          busy={bulkBusy}
+                          onApply={(changes) => runBulk("update", changes)}
+                          onDelete={() => runBulk("delete")}
+                          onSelectAll={() =>
+                            setSelectedIds(tasks.filter(canEditTask).map((task) => task.id))
+                          }
+                          onClear={() => setSelectedIds([])}
+                        />
+                      ) : null}
+                      <ul className="list">
+                        {tasks.map((task) => {
+                          const due = formatDue(task, timeZone);
+                          const taskStatus = task.status ?? "todo";
+                          const taskPriority = task.priority ?? "medium";
+                          const completed = !!task.completed;
+                          const taskProjectName = projects.find(
+                            (project) => project.id === task.project_id,
+                          )?.name;
+                          const editable = canEditTask(task);
+                          const selected = selectedIds.includes(task.id);
+
+                          return (
+                            <li
+                              className={`item priority-${taskPriority}${selected ? " selected" : ""}`}
+                              key={task.id}
+                            >
+                              <div className="left">
+                                {editable ? (
+                                  <input
+                                    type="checkbox"
+                                    className="select-box"
+                                    checked={selected}
+                                    onChange={(e) =>
+                                      toggleSelected(task.id, e.nativeEvent.shiftKey)
+                                    }
+                                    title="Select (shift-click to select a range)"
+                                    aria-label={`Select ${task.title}`}
+                                  />
+                                ) : null}
+                                <input
+                                  type="checkbox"
+                                  checked={completed}
+                                  onChange={() => toggleCompleted(task)}
+                                  disabled={!editable}
+                                  title="Toggle completed"
+                                />
+
+                                {editingId === task.id ? (
+                                  <input
+                                    className="editInput"
+                                    value={editingTitle}
+                                    onChange={(e) => setEditingTitle(e.target.value)}
+                                    onKeyDown={(e) => {
+                                      if (e.key === "Enter") saveEdit(task.id);
+                                      if (e.key === "Escape") cancelEdit();
+                                    }}
+                                    autoFocus
+                                  />
+                                ) : (
+                                  <div className="task-copy">
+                                    <button
+                                      type="button"
+                                      className={`task-title ${completed ? "done" : ""}`}
+                                      onClick={() => setDetailId(task.id)}
+                                      title="Open details"
+                                    >
+                                      <strong>{task.title}</strong>
+                                    </button>
+                                    <div className="meta-row">
+                                      <span className={`pill pill-${taskPriority}`}>{taskPriority}</span>
+                                      <span className="pill pill-neutral">
+                                        {taskStatus.replace("_", " ")}
+                                      </span>
+                                      {due ? <span className="pill pill-neutral">due {due}</span> : null}
+                                      {task.recurrence ? (
+                                        <span className="pill pill-repeat" title={task.recurrence}>
+                                          ↻ {describeRecurrence(task.recurrence)}
+                                        </span>
+                                      ) : null}
+                                      {selectedProject === "all" && taskProjectName ? (
+                                        <span className="pill pill-project">{taskProjectName}</span>
+                                      ) : null}
+                                      {task.assignee_email ? (
+                                        <span className="pill pill-assignee">@{task.assignee_email}</span>
+                                      ) : null}
+                                      {task.tags?.map((tag) => (
+                                        <span
+                                          key={tag.id}
+                                          className="pill pill-tag"
+                                          style={{ "--tag-color": tag.color }}
+                                        >
+                                          {tag.name}
+                                        </span>
+                                      ))}
+                                      {task.has_description ? (
+                                        <span className="pill pill-neutral">notes</span>
+                                      ) : null}
+                                      {task.checklist_total ? (
+                                        <span className="pill pill-neutral checklist-progress">
+                                          <span
+                                            className="progress-bar"
+                                            style={{
+                                              "--progress": `${(task.checklist_done / task.checklist_total) * 100}%`,
+                                            }}
+                                          />
+                                          {task.checklist_done}/{task.checklist_total}
+                                        </span>
+                                      ) : null}
+                                    </div>
+                                    <div className="hint">
+                                      {completed
+                                        ? "Completed task"
+                                        : taskStatus === "in_progress"
+                                          ? "In progress"
+                                          : "Ready to start"}
+                                    </div>
+                                  </div>
+                                )}
+                              </div>
+
+                              <div className="actions">
+                                <button
+                                  className="btn btn-soft"
+                                  type="button"
+                                  onClick={() =>
+                                    setExpandedId((current) => (current === task.id ? null : task.id))
+                                  }
+                                >
+                                  {expandedId === task.id ? "Hide steps" : "Steps"}
+                                </button>
+
+                                {editable ? (
+                                  <>
+                                    {editingId === task.id ? (
+                                      <>
+                                        <button
+                                          className="btn btn-soft"
+                                          type="button"
+                                          onClick={() => saveEdit(task.id)}
+                                        >
+                                          Save
+                                        </button>
+                                        <button className="btn btn-soft" type="button" onClick={cancelEdit}>
+                                          Cancel
+                                        </button>
+                                      </>
+                                    ) : (
+                                      <>
+                                        <button
+                                          className="btn btn-soft"
+                                          type="button"
+                                          onClick={() => startEdit(task)}
+                                        >
+                                          Edit
+                                        </button>
+                                        {task.project_id === selectedProject && members.length ? (
+                                          <select
+                                            className="move-select"
+                                            value={task.assignee_id ?? ""}
+                                            onChange={(e) => assignTask(task, e.target.value)}
+                                            title="Assign to"
+                                          >
+                                            <option value="">Unassigned</option>
+                                            {members.map((member) => (
+                                              <option key={member.user_id} value={member.user_id}>
+                                                {member.email}
+                                              </option>
+                                            ))}
+                                          </select>
+                                        ) : null}
+                                        <select
+                                          className="move-select"
+                                          value={task.project_id ?? ""}
+                                          onChange={(e) => moveTask(task, e.target.value)}
+                                          title="Move to project"
+                                        >
+                                          <option value="">Inbox</option>
+                                          {projects
+                                            .filter(
+                                              (project) =>
+                                                project.id === task.project_id ||
+                                                (!project.archived_at && project.role !== "viewer"),
+                                            )
+                                            .map((project) => (
+                                              <option key={project.id} value={project.id}>
+                                                {project.name}
+                                              </option>
+                                            ))}
+                                        </select>
+                                      </>
+                                    )}
+
+                                    <button
+                                      className="btn btn-danger"
+                                      type="button"
+                                      onClick={() => deleteTask(task.id)}
+                                    >
+                                      Delete
+                                    </button>
+                                  </>
+                                ) : null}
+                              </div>
+
+                              {expandedId === task.id ? (
+                                <ChecklistPanel
+                                  task={task}
+                                  editable={editable}
+                                  onTaskChange={(patch, nextTask) =>
+                                    patchTask(task.id, patch, nextTask)
+                                  }
+                                  onError={setError}
+                                />
+                              ) : null}
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    </>
+                  )}
+
+                  {nextCursor ? (
+                    <div className="list-more" ref={loadMoreRef}>
+                      <button
+                        className="btn btn-soft"
+                        type="button"
+                        onClick={loadMore}
+                        disabled={loadingMore}
+                      >
+                        {loadingMore ? "Loading…" : "Load more"}
+                      </button>
+                    </div>
+                  ) : null}
+                </section>
+              </div>
+
+              {detailTask ? (
+                <TaskDrawer
+                  key={detailTask.id}
+                  task={detailTask}
+                  editable={canEditTask(detailTask)}
+                  tags={tags}
+                  projects={projects}
+                  timeZone={timeZone}
+                  onClose={closeDetails}
+                  onTaskChange={(patch) => patchTask(detailTask.id, patch)}
+                  onError={setError}
+                />
+              ) : null}
+            </div>
           )}
         </div>
       </div>
+
+      {undo ? (
+        <div className="undo-toast" role="status">
+          <span>{undo.message}</span>
+          <button className="btn btn-soft" type="button" onClick={undoDelete}>
+            Undo
+          </button>
+        </div>
+      ) : null}
     </div>
   );
 }
@@ -0,0 +1,144 @@
+import { useState } from "react";
+import { formatDue } from "./dueDates.js";
+
+const COLUMNS = [
+  { status: "todo", label: "To do" },
+  { status: "in_progress", label: "In progress" },
+  { status: "done", label: "Done" },
+];
+
+// Board view of the loaded tasks, one column per status. Dropping a card calls
+// `onMove(taskId, status, anchor)`, where anchor is `{ beforeId }` or
+// `{ afterId }` for the card of the same board it landed next to (or the last
+// such card in the column), or `{}` when the column has none.
+export default function TaskBoard({ tasks, timeZone, canEditTask, onMove, onOpen }) {
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  function endDrag() {
+    setDraggingId(null);
+    setDropTarget(null);
+  }
+
+  function dragOverCard(e, status, task) {
+    if (draggingId == null) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const box = e.currentTarget.getBoundingClientRect();
+    const side = e.clientY < box.top + box.height / 2 ? "before" : "after";
+    setDropTarget({ status, taskId: task.id, side });
+  }
+
+  function dragOverColumn(e, status) {
+    if (draggingId == null) return;
+    e.preventDefault();
+    if (dropTarget?.status !== status) setDropTarget({ status, taskId: null });
+  }
+
+  function drop(e, status, columnTasks) {
+    e.preventDefault();
+    if (draggingId == null) return;
+
+    const taskId = draggingId;
+    const target = dropTarget;
+    endDrag();
+    if (target?.taskId === taskId) return;
+
+    // Ranks are kept per board, a project or the inbox, so in a view of
+    // several boards only cards from the moving task's own can anchor it.
+    const moving = tasks.find((task) => task.id === taskId);
+    const others = columnTasks.filter(
+      (task) => task.id !== taskId && task.project_id === moving?.project_id,
+    );
+    let anchor = {};
+    if (others.some((task) => task.id === target?.taskId)) {
+      anchor = target.side === "before" ? { beforeId: target.taskId } : { afterId: target.taskId };
+    } else if (others.length) {
+      anchor = { afterId: others[others.length - 1].id };
+    }
+
+    onMove(taskId, status, anchor);
+  }
+
+  return (
+    <div className="board">
+      {COLUMNS.map((column) => {
+        const columnTasks = tasks.filter((task) => (task.status ?? "todo") === column.status);
+        const columnTarget = dropTarget?.status === column.status && dropTarget.taskId == null;
+
+        return (
+          <section
+            key={column.status}
+            className={`board-column ${columnTarget ? "drop-target" : ""}`}
+            onDragOver={(e) => dragOverColumn(e, column.status)}
+            onDrop={(e) => drop(e, column.status, columnTasks)}
+          >
+            <div className="board-column-heading">
+              <span>{column.label}</span>
+              <span className="list-count">{columnTasks.length}</span>
+            </div>
+
+            <ul className="board-cards">
+              {columnTasks.map((task) => {
+                const taskPriority = task.priority ?? "medium";
+                const due = formatDue(task, timeZone);
+                const editable = canEditTask(task);
+                const target = dropTarget?.taskId === task.id ? `drop-${dropTarget.side}` : "";
+
+                return (
+                  <li
+                    key={task.id}
+                    className={`board-card priority-${taskPriority} ${target} ${
+                      draggingId === task.id ? "dragging" : ""
+                    }`}
+                    draggable={editable}
+                    onDragStart={(e) => {
+                      e.dataTransfer.effectAllowed = "move";
+                      e.dataTransfer.setData("text/plain", String(task.id));
+                      setDraggingId(task.id);
+                    }}
+                    onDragEnd={endDrag}
+                    onDragOver={(e) => dragOverCard(e, column.status, task)}
+                  >
+                    <button
+                      type="button"
+                      className={`task-title ${task.completed ? "done" : ""}`}
+                      onClick={() => onOpen(task.id)}
+                      title="Open details"
+                    >
+                      <strong>{task.title}</strong>
+                    </button>
+                    <div className="meta-row">
+                      <span className={`pill pill-${taskPriority}`}>{taskPriority}</span>
+                      {due ? <span className="pill pill-neutral">due {due}</span> : null}
+                      {task.assignee_email ? (
+                        <span className="pill pill-assignee">@{task.assignee_email}</span>
+                      ) : null}
+                      {task.tags?.map((tag) => (
+                        <span
+                          key={tag.id}
+                          className="pill pill-tag"
+                          style={{ "--tag-color": tag.color }}
+                        >
+                          {tag.name}
+                        </span>
+                      ))}
+                      {task.checklist_total ? (
+                        <span className="pill pill-neutral">
+                          {task.checklist_done}/{task.checklist_total}
+                        </span>
+                      ) : null}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+
+            {!columnTasks.length ? <p className="hint">Drop tasks here.</p> : null}
+          </section>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,274 @@
+import { useEffect, useState } from "react";
+import { apiFetch, readResponse, saveTask } from "./api.js";
+import { formatDue, REMINDER_OPTIONS } from "./dueDates.js";
+import { renderMarkdown } from "./markdown.js";
+import TagChips from "./TagChips.jsx";
+import TaskHistory from "./TaskHistory.jsx";
+
+const MAX_DESCRIPTION_LENGTH = 10000;
+
+const REMINDER_CHIPS = REMINDER_OPTIONS.map((option) => ({
+  id: option.minutes,
+  name: option.label,
+  color: "var(--primary)",
+}));
+
+export default function TaskDrawer({
+  task,
+  editable,
+  tags,
+  projects,
+  timeZone,
+  onClose,
+  onTaskChange,
+  onError,
+}) {
+  const [description, setDescription] = useState("");
+  const [loaded, setLoaded] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const [preview, setPreview] = useState(false);
+  const [reminders, setReminders] = useState([]);
+
+  useEffect(() => {
+    async function loadDetails() {
+      const res = await apiFetch(`/api/tasks/${task.id}`);
+      const data = await readResponse(res);
+
+      if (!res.ok) {
+        onError(data.error || "Failed to load task");
+        return;
+      }
+
+      setDescription(data.description ?? "");
+      setLoaded(true);
+    }
+
+    void loadDetails();
+  }, [task.id, onError]);
+
+  useEffect(() => {
+    async function loadReminders() {
+      const res = await apiFetch(`/api/tasks/${task.id}/reminders`);
+      const data = await readResponse(res);
+      if (res.ok) setReminders(data.map((reminder) => reminder.minutes_before));
+    }
+
+    void loadReminders();
+  }, [task.id]);
+
+  useEffect(() => {
+    function handleKey(e) {
+      if (e.key === "Escape") onClose();
+    }
+
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  // Only the caller's own tags can be toggled; tags other project members
+  // added stay on the task untouched.
+  const ownTagIds = (task.tags ?? [])
+    .filter((tag) => tags.some((own) => own.id === tag.id))
+    .map((tag) => tag.id);
+
+  async function toggleTag(tagId) {
+    onError("");
+
+    const tagIds = ownTagIds.includes(tagId)
+      ? ownTagIds.filter((id) => id !== tagId)
+      : [...ownTagIds, tagId];
+
+    const res = await saveTask(task, { tagIds });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      // On a conflict, show the task as the server has it now.
+      if (res.status === 412 && data.task) onTaskChange(data.task);
+      onError(data.error || "Failed to update tags");
+      return;
+    }
+
+    onTaskChange(data.task);
+  }
+
+  async function toggleReminder(minutes) {
+    onError("");
+
+    const minutesBefore = reminders.includes(minutes)
+      ? reminders.filter((item) => item !== minutes)
+      : [...reminders, minutes];
+
+    const res = await apiFetch(`/api/tasks/${task.id}/reminders`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ minutesBefore }),
+    });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to update reminders");
+      return;
+    }
+
+    setReminders(data.map((reminder) => reminder.minutes_before));
+  }
+
+  function startEditing() {
+    setDraft(description);
+    setPreview(false);
+    setEditing(true);
+  }
+
+  async function saveDescription() {
+    onError("");
+
+    const res = await saveTask(task, { description: draft });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      if (res.status === 412 && data.task) onTaskChange(data.task);
+      onError(data.error || "Failed to save notes");
+      return;
+    }
+
+    // Reload so the drawer shows the text as the server stored it.
+    const details = await apiFetch(`/api/tasks/${task.id}`);
+    const saved = await readResponse(details);
+    const nextDescription = details.ok ? (saved.description ?? "") : draft.trim();
+
+    setDescription(nextDescription);
+    setEditing(false);
+    onTaskChange(data.task);
+  }
+
+  return (
+    <div className="drawer-backdrop" onClick={onClose}>
+      <aside
+        className="drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-label={task.title}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="card-heading">
+          <div>
+            <p className="card-kicker">Task</p>
+            <h3>{task.title}</h3>
+            {task.due_date ? <p className="hint">Due {formatDue(task, timeZone)}</p> : null}
+          </div>
+          <div className="actions">
+            <button className="btn btn-soft" type="button" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </div>
+
+        {editable && tags.length ? (
+          <div className="drawer-section">
+            <div className="drawer-section-heading">
+              <span>Tags</span>
+            </div>
+            <TagChips
+              tags={tags}
+              selected={ownTagIds}
+              onToggle={toggleTag}
+              label="Tags on this task"
+            />
+          </div>
+        ) : null}
+
+        {task.due_date ? (
+          <div className="drawer-section">
+            <div className="drawer-section-heading">
+              <span>Remind me</span>
+            </div>
+            <TagChips
+              tags={REMINDER_CHIPS}
+              selected={reminders}
+              onToggle={toggleReminder}
+              label="Reminders"
+            />
+            {task.due_at ? null : (
+              <p className="hint">This task has no due time, so reminders count back from 9:00.</p>
+            )}
+          </div>
+        ) : null}
+
+        <div className="drawer-section">
+          <div className="drawer-section-heading">
+            <span>Notes</span>
+            {editable && !editing && loaded ? (
+              <button className="btn btn-soft" type="button" onClick={startEditing}>
+                {description ? "Edit notes" : "Add notes"}
+              </button>
+            ) : null}
+          </div>
+
+          {editing ? (
+            <>
+              <div className="tabs">
+                <button
+                  type="button"
+                  className={`tab ${preview ? "" : "active"}`}
+                  onClick={() => setPreview(false)}
+                >
+                  Write
+                </button>
+                <button
+                  type="button"
+                  className={`tab ${preview ? "active" : ""}`}
+                  onClick={() => setPreview(true)}
+                >
+                  Preview
+                </button>
+              </div>
+
+              {preview ? (
+                <div
+                  className="markdown"
+                  dangerouslySetInnerHTML={{ __html: renderMarkdown(draft) }}
+                />
+              ) : (
+                <textarea
+                  className="description-input"
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  maxLength={MAX_DESCRIPTION_LENGTH}
+                  placeholder="Add context, links, lists or code. Markdown is supported."
+                  autoFocus
+                />
+              )}
+
+              <div className="row">
+                <button className="btn btn-primary" type="button" onClick={saveDescription}>
+                  Save
+                </button>
+                <button className="btn btn-soft" type="button" onClick={() => setEditing(false)}>
+                  Cancel
+                </button>
+                <span className="hint">
+                  {draft.length}/{MAX_DESCRIPTION_LENGTH}
+                </span>
+              </div>
+            </>
+          ) : description ? (
+            <div
+              className="markdown"
+              dangerouslySetInnerHTML={{ __html: renderMarkdown(description) }}
+            />
+          ) : (
+            <p className="hint">{loaded ? "No notes yet." : "Loading…"}</p>
+          )}
+        </div>
+
+        <div className="drawer-section">
+          <div className="drawer-section-heading">
+            <span>History</span>
+          </div>
+          <TaskHistory task={task} projects={projects} timeZone={timeZone} />
+        </div>
+      </aside>
+    </div>
+  );
+}
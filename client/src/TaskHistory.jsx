@@ -0,0 +1,90 @@
+import { useEffect, useState } from "react";
+import { apiFetch, readResponse } from "./api.js";
+import { formatDue } from "./dueDates.js";
+
+const STATUS_LABELS = { todo: "To do", in_progress: "In progress", done: "Done" };
+
+function formatTime(value) {
+  return new Date(value).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+// Due values are a calendar date for all-day tasks and an instant otherwise.
+function dueLabel(value, timeZone) {
+  if (!value) return "no date";
+  return value.includes("T")
+    ? formatDue({ due_at: value }, timeZone)
+    : formatDue({ due_date: value }, timeZone);
+}
+
+function describe(entry, projects, timeZone) {
+  const { old_value: before, new_value: after } = entry;
+  const projectName = (id) =>
+    id === null ? "Inbox" : (projects.find((project) => project.id === id)?.name ?? "another project");
+
+  switch (entry.action) {
+    case "created":
+      return "created the task";
+    case "renamed":
+      return `renamed it from "${before}" to "${after}"`;
+    case "completed":
+      return "completed it";
+    case "reopened":
+      return "reopened it";
+    case "status_changed":
+      return `moved it from ${STATUS_LABELS[before] ?? before} to ${STATUS_LABELS[after] ?? after}`;
+    case "priority_changed":
+      return `changed the priority from ${before} to ${after}`;
+    case "due_changed":
+      return `moved the due date from ${dueLabel(before, timeZone)} to ${dueLabel(after, timeZone)}`;
+    case "moved":
+      return `moved it from ${projectName(before)} to ${projectName(after)}`;
+    case "assigned":
+      return after ? `assigned it to ${after}` : `unassigned ${before ?? "it"}`;
+    case "deleted":
+      return "moved it to the trash";
+    case "restored":
+      return "restored it from the trash";
+    default:
+      return entry.action;
+  }
+}
+
+// A task's history, newest first. Reloads whenever the task's version moves,
+// so edits made in the drawer show up straight away.
+export default function TaskHistory({ task, projects, timeZone }) {
+  const [entries, setEntries] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    async function loadHistory() {
+      const res = await apiFetch(`/api/tasks/${task.id}/activity`);
+      const data = await readResponse(res);
+      setLoaded(true);
+      if (res.ok) setEntries(data);
+    }
+
+    void loadHistory();
+  }, [task.id, task.version]);
+
+  if (!loaded) return <p className="hint">Loading…</p>;
+  if (!entries.length) return <p className="hint">No history yet.</p>;
+
+  return (
+    <ol className="timeline">
+      {entries.map((entry) => (
+        <li key={entry.id} className="timeline-entry">
+          <span>
+            <strong>{entry.user_email ?? "A former member"}</strong>{" "}
+            {describe(entry, projects, timeZone)}
+          </span>
+          <time className="hint" dateTime={entry.created_at}>
+            {formatTime(entry.created_at)}
+          </time>
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,230 @@
+import { useState } from "react";
+import { apiFetch, readResponse } from "./api.js";
+
+const EXPORTS = [
+  { format: "json", label: "JSON" },
+  { format: "csv", label: "CSV" },
+  { format: "ics", label: "Calendar (.ics)" },
+];
+
+const SOURCES = {
+  csv: "a CSV file",
+  json: "a JSON file",
+  todoist: "a Todoist export",
+  trello: "a Trello export",
+};
+
+const PREVIEW_LIMIT = 20;
+
+function pluralize(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+// Downloads the user's tasks and imports tasks from CSV or JSON files. An
+// upload is previewed first (the server checks every row without saving), and
+// only the rows without errors are imported.
+export default function TransferCard({ onImported, onClose, onError }) {
+  const [upload, setUpload] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState("");
+
+  async function download(format) {
+    onError("");
+
+    const res = await apiFetch(`/api/tasks/export?format=${format}`);
+    if (!res.ok) {
+      const data = await readResponse(res);
+      onError(data.error || "Failed to export tasks");
+      return;
+    }
+
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `taskist-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function sendImport(file, dryRun) {
+    const res = await apiFetch("/api/tasks/import", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...file, dryRun }),
+    });
+    return { res, data: await readResponse(res) };
+  }
+
+  async function chooseFile(e) {
+    const chosen = e.target.files[0];
+    e.target.value = "";
+    if (!chosen) return;
+
+    onError("");
+    setResult("");
+    setPreview(null);
+    setBusy(true);
+
+    const file = {
+      format: chosen.name.toLowerCase().endsWith(".json") ? "json" : "csv",
+      content: await chosen.text(),
+    };
+    const { res, data } = await sendImport(file, true);
+    setBusy(false);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to read the file");
+      return;
+    }
+
+    setUpload({ ...file, name: chosen.name });
+    setPreview(data);
+  }
+
+  async function runImport() {
+    onError("");
+    setBusy(true);
+
+    const { res, data } = await sendImport(upload, false);
+    setBusy(false);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to import tasks");
+      return;
+    }
+
+    setUpload(null);
+    setPreview(null);
+    setResult(`Imported ${pluralize(data.imported, "task")}.`);
+    onImported();
+  }
+
+  function cancel() {
+    setUpload(null);
+    setPreview(null);
+  }
+
+  return (
+    <section className="card sessions-card">
+      <div className="card-heading">
+        <div>
+          <p className="card-kicker">Import &amp; export</p>
+          <h3>Move your tasks in and out</h3>
+        </div>
+        <div className="actions">
+          <button className="btn btn-soft" type="button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="transfer-row">
+        <span className="transfer-label">Export</span>
+        {EXPORTS.map(({ format, label }) => (
+          <button
+            key={format}
+            className="btn btn-soft"
+            type="button"
+            onClick={() => download(format)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <p className="hint">
+        Exports include every task you can see outside the trash. The calendar file only has tasks
+        with a due date.
+      </p>
+
+      <div className="transfer-row">
+        <span className="transfer-label">Import</span>
+        <label className="btn btn-soft">
+          Choose a file…
+          <input
+            className="file-input"
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={chooseFile}
+            disabled={busy}
+          />
+        </label>
+      </div>
+      <p className="hint">
+        Use a CSV or JSON file exported from Taskist, a CSV with a title column, or a Todoist or
+        Trello CSV export. Nothing is saved until you confirm.
+      </p>
+
+      {result ? <p className="hint">{result}</p> : null}
+
+      {preview ? (
+        <div className="transfer-preview">
+          <p>
+            <strong>{upload.name}</strong> is {SOURCES[preview.source]}:{" "}
+            {pluralize(preview.tasks.length, "task")} ready to import
+            {preview.errors.length ? `, ${pluralize(preview.errors.length, "row")} with errors` : ""}
+            {preview.skipped ? `, ${preview.skipped} skipped (not tasks)` : ""}.
+          </p>
+
+          {preview.newTags.length ? (
+            <p className="hint">New tags will be created: {preview.newTags.join(", ")}.</p>
+          ) : null}
+
+          {preview.errors.length ? (
+            <ul className="transfer-errors">
+              {preview.errors.map((item) => (
+                <li key={item.row}>
+                  Row {item.row}: {item.error}
+                </li>
+              ))}
+            </ul>
+          ) : null}
+
+          <ul className="list">
+            {preview.tasks.slice(0, PREVIEW_LIMIT).map((task) => (
+              <li className="item" key={task.row}>
+                <div className="task-copy">
+                  <strong>{task.title}</strong>
+                  <div className="meta-row">
+                    <span className={`pill pill-${task.priority}`}>{task.priority}</span>
+                    {task.status !== "todo" ? (
+                      <span className="pill pill-neutral">{task.status.replace("_", " ")}</span>
+                    ) : null}
+                    {task.due_date ? (
+                      <span className="pill pill-neutral">
+                        due {task.due_date}
+                        {task.due_time ? ` ${task.due_time}` : ""}
+                      </span>
+                    ) : null}
+                    {task.tags.map((tag) => (
+                      <span key={tag} className="pill pill-neutral">
+                        #{tag}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+          {preview.tasks.length > PREVIEW_LIMIT ? (
+            <p className="hint">…and {preview.tasks.length - PREVIEW_LIMIT} more.</p>
+          ) : null}
+
+          <div className="row">
+            <button
+              className="btn btn-primary"
+              type="button"
+              onClick={runImport}
+              disabled={busy || !preview.tasks.length}
+            >
+              Import {pluralize(preview.tasks.length, "task")}
+            </button>
+            <button className="btn btn-soft" type="button" onClick={cancel} disabled={busy}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </section>
+  );
+}
@@ -0,0 +1,134 @@
+import { useEffect, useState } from "react";
+import { apiFetch, readResponse } from "./api.js";
+
+function formatDate(value) {
+  return new Date(value).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+// Deleted tasks, which can be restored until the server purges them.
+export default function TrashCard({ onRestored, onClose, onError }) {
+  const [tasks, setTasks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function loadTrash() {
+      const res = await apiFetch("/api/tasks/trash");
+      const data = await readResponse(res);
+      setLoading(false);
+
+      if (!res.ok) {
+        onError(data.error || "Failed to load the trash");
+        return;
+      }
+
+      setTasks(data.tasks);
+      setRetentionDays(data.retentionDays);
+    }
+
+    void loadTrash();
+  }, [onError]);
+
+  async function restore(id) {
+    onError("");
+
+    const res = await apiFetch(`/api/tasks/${id}/restore`, { method: "POST" });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to restore task");
+      return;
+    }
+
+    setTasks((prev) => prev.filter((task) => task.id !== id));
+    onRestored(data.task);
+  }
+
+  async function purge(task) {
+    if (!window.confirm(`Delete "${task.title}" for good? This cannot be undone.`)) return;
+    onError("");
+
+    const res = await apiFetch(`/api/tasks/trash/${task.id}`, { method: "DELETE" });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to delete task");
+      return;
+    }
+
+    setTasks((prev) => prev.filter((item) => item.id !== task.id));
+  }
+
+  async function emptyTrash() {
+    if (!window.confirm("Delete everything in the trash for good? This cannot be undone.")) return;
+    onError("");
+
+    const res = await apiFetch("/api/tasks/trash", { method: "DELETE" });
+    const data = await readResponse(res);
+
+    if (!res.ok) {
+      onError(data.error || "Failed to empty the trash");
+      return;
+    }
+
+    // Tasks in projects the user can only view stay behind.
+    const refreshed = await apiFetch("/api/tasks/trash");
+    const remaining = await readResponse(refreshed);
+    setTasks(refreshed.ok ? remaining.tasks : []);
+  }
+
+  return (
+    <section className="card sessions-card">
+      <div className="card-heading">
+        <div>
+          <p className="card-kicker">Trash</p>
+          <h3>Deleted tasks</h3>
+        </div>
+        <div className="actions">
+          {tasks.length ? (
+            <button className="btn btn-danger" type="button" onClick={emptyTrash}>
+              Empty trash
+            </button>
+          ) : null}
+          <button className="btn btn-soft" type="button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      {loading ? <p className="hint">Loading the trash…</p> : null}
+      {!loading && !tasks.length ? <p className="hint">The trash is empty.</p> : null}
+      {retentionDays && tasks.length ? (
+        <p className="hint">
+          Tasks are deleted for good {retentionDays} day{retentionDays === 1 ? "" : "s"} after
+          they are moved here.
+        </p>
+      ) : null}
+
+      <ul className="list">
+        {tasks.map((task) => (
+          <li className="item" key={task.id}>
+            <div className="task-copy">
+              <strong>{task.title}</strong>
+              <div className="meta-row">
+                <span className="pill pill-neutral">deleted {formatDate(task.deleted_at)}</span>
+              </div>
+            </div>
+
+            <div className="actions">
+              <button className="btn btn-soft" type="button" onClick={() => restore(task.id)}>
+                Restore
+              </button>
+              <button className="btn btn-danger" type="button" onClick={() => purge(task)}>
+                Delete forever
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,207 @@
+import { useEffect, useState } from "react";
+import { apiFetch, readResponse } from "./api.js";
+
+// Secrets are typed by hand when the link cannot be opened, so they are shown
+// in groups of four.
+function groupSecret(secret) {
+  return secret.match(/.{1,4}/g).join(" ");
+}
+
+async function postTwoFactor(path, body) {
+  const res = await apiFetch(`/api/auth/2fa${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body ?? {}),
+  });
+  return { res, data: await readResponse(res) };
+}
+
+export default function TwoFactorCard({ onClose, onError }) {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    async function loadStatus() {
+      const res = await apiFetch("/api/auth/2fa");
+      const data = await readResponse(res);
+
+      if (!res.ok) {
+        onError(data.error || "Failed to load two-factor settings");
+        return;
+      }
+
+      setStatus(data);
+    }
+
+    void loadStatus();
+  }, [onError]);
+
+  async function send(path, body, failure) {
+    onError("");
+    setBusy(true);
+    const { res, data } = await postTwoFactor(path, body);
+    setBusy(false);
+
+    if (!res.ok) {
+      onError(data.error || failure);
+      return null;
+    }
+
+    setCode("");
+    setPassword("");
+    return data;
+  }
+
+  async function startSetup() {
+    const data = await send("/setup", null, "Failed to start setup");
+    if (data) setSetup(data);
+  }
+
+  async function enable(e) {
+    e.preventDefault();
+    const data = await send("/enable", { code }, "Failed to turn on two-factor");
+    if (!data) return;
+
+    setSetup(null);
+    setRecoveryCodes(data.recoveryCodes);
+    setStatus({ enabled: true, recoveryCodesLeft: data.recoveryCodes.length });
+  }
+
+  async function regenerate(e) {
+    e.preventDefault();
+    const data = await send("/recovery-codes", { password, code }, "Failed to make new codes");
+    if (!data) return;
+
+    setRecoveryCodes(data.recoveryCodes);
+    setStatus({ enabled: true, recoveryCodesLeft: data.recoveryCodes.length });
+  }
+
+  async function disable(e) {
+    e.preventDefault();
+    const data = await send("/disable", { password, code }, "Failed to turn off two-factor");
+    if (!data) return;
+
+    setRecoveryCodes([]);
+    setStatus({ enabled: false, recoveryCodesLeft: 0 });
+  }
+
+  const codeInput = (
+    <input
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      placeholder={status?.enabled ? "Code or recovery code" : "6-digit code"}
+      autoComplete="one-time-code"
+      required
+    />
+  );
+
+  return (
+    <section className="card sessions-card">
+      <div className="card-heading">
+        <div>
+          <p className="card-kicker">Security</p>
+          <h3>Two-factor authentication</h3>
+        </div>
+        <div className="actions">
+          <button className="btn btn-soft" type="button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      {!status ? <p className="hint">Loading…</p> : null}
+
+      {recoveryCodes.length ? (
+        <div className="transfer-preview">
+          <p>
+            <strong>Save these recovery codes.</strong> Each one signs you in once if you lose
+            your phone. They will not be shown again.
+          </p>
+          <ul className="recovery-codes">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+          <div className="row">
+            <button
+              className="btn btn-soft"
+              type="button"
+              onClick={() => void navigator.clipboard?.writeText(recoveryCodes.join("\n"))}
+            >
+              Copy codes
+            </button>
+            <button className="btn btn-primary" type="button" onClick={() => setRecoveryCodes([])}>
+              I saved them
+            </button>
+          </div>
+        </div>
+      ) : null}
+
+      {status && !status.enabled && !setup ? (
+        <>
+          <p className="hint">
+            Ask for a code from an authenticator app, as well as your password, when you log in.
+          </p>
+          <button className="btn btn-primary" type="button" onClick={startSetup} disabled={busy}>
+            Set up two-factor
+          </button>
+        </>
+      ) : null}
+
+      {setup ? (
+        <>
+          <p className="hint">
+            Open <a href={setup.otpauthUri}>this link</a> on the phone with your authenticator
+            app, or add an account in the app by hand with the key{" "}
+            <code className="secret-key">{groupSecret(setup.secret)}</code>. Then enter the code
+            it shows.
+          </p>
+          <form className="settings-form" onSubmit={enable}>
+            {codeInput}
+            <button className="btn btn-primary" type="submit" disabled={busy}>
+              Turn on
+            </button>
+            <button className="btn btn-soft" type="button" onClick={() => setSetup(null)}>
+              Cancel
+            </button>
+          </form>
+        </>
+      ) : null}
+
+      {status?.enabled && !recoveryCodes.length ? (
+        <>
+          <p className="hint">
+            Two-factor is on. Recovery codes left: {status.recoveryCodesLeft}. Enter your password
+            and a code to make new recovery codes or to turn two-factor off.
+          </p>
+          <form className="settings-form" onSubmit={disable}>
+            {codeInput}
+            <input
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              type="password"
+              placeholder="Password"
+              autoComplete="current-password"
+              required
+            />
+            <button
+              className="btn btn-soft"
+              type="button"
+              onClick={regenerate}
+              disabled={busy || !password}
+            >
+              New recovery codes
+            </button>
+            <button className="btn btn-danger" type="submit" disabled={busy || !password}>
+              Turn off
+            </button>
+          </form>
+        </>
+      ) : null}
+    </section>
+  );
+}
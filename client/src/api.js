@@ -0,0 +1,129 @@
+export const API = import.meta.env.VITE_API_URL || "http://localhost:3001";
+
+const TOKEN_KEY = "token";
+const REFRESH_TOKEN_KEY = "refreshToken";
+
+const expiryListeners = new Set();
+let pendingRefresh = null;
+
+export async function readResponse(res) {
+  const contentType = res.headers.get("content-type") || "";
+
+  if (contentType.includes("application/json")) {
+    return res.json();
+  }
+
+  const text = await res.text();
+  return { error: text || `Request failed with status ${res.status}` };
+}
+
+export function getToken() {
+  return localStorage.getItem(TOKEN_KEY) || "";
+}
+
+// Reads the claims of the current access token; only used for display, the
+// server verifies the token on every request.
+export function getCurrentUser() {
+  const token = getToken();
+  if (!token) return null;
+
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    const { id, email } = JSON.parse(atob(payload));
+    return { id, email };
+  } catch {
+    return null;
+  }
+}
+
+export function storeSession({ token, refreshToken }) {
+  localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+}
+
+export function clearSession() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+}
+
+export function onSessionExpired(listener) {
+  expiryListeners.add(listener);
+  return () => expiryListeners.delete(listener);
+}
+
+async function requestNewTokens() {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  if (!refreshToken) return false;
+
+  try {
+    const res = await fetch(`${API}/api/auth/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    });
+    if (!res.ok) return false;
+
+    storeSession(await res.json());
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Several requests can fail with 401 at the same moment; they all wait on the
+// same refresh so the rotating refresh token is only spent once.
+function refreshSession() {
+  if (!pendingRefresh) {
+    pendingRefresh = requestNewTokens().finally(() => {
+      pendingRefresh = null;
+    });
+  }
+  return pendingRefresh;
+}
+
+export async function apiFetch(path, options = {}) {
+  const send = () =>
+    fetch(`${API}${path}`, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${getToken()}` },
+    });
+
+  let res = await send();
+  if (res.status !== 401) return res;
+
+  if (await refreshSession()) {
+    res = await send();
+    if (res.status !== 401) return res;
+  }
+
+  clearSession();
+  expiryListeners.forEach((listener) => listener());
+  return res;
+}
+
+export async function endSession() {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  clearSession();
+  if (!refreshToken) return;
+
+  try {
+    await fetch(`${API}/api/auth/logout`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    });
+  } catch {
+    // The local session is already gone; the server copy simply expires.
+  }
+}
+
+// Sends a partial task update. The version of the task the caller last saw
+// goes along in If-Match, so if someone else has changed the task since, the
+// server answers 412 with its current copy instead of overwriting theirs.
+export function saveTask(task, changes) {
+  return apiFetch(`/api/tasks/${task.id}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json", "If-Match": `"${task.version}"` },
+    body: JSON.stringify(changes),
+  });
+}
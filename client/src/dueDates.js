@@ -0,0 +1,32 @@
+export const REMINDER_OPTIONS = [
+  { minutes: 0, label: "At due time" },
+  { minutes: 15, label: "15 minutes before" },
+  { minutes: 60, label: "1 hour before" },
+  { minutes: 1440, label: "1 day before" },
+];
+
+export function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Every zone the browser knows, for the settings picker.
+export function timeZoneOptions(current) {
+  const zones = Intl.supportedValuesOf?.("timeZone") ?? [];
+  return zones.includes(current) ? zones : [current, ...zones];
+}
+
+// Timed tasks show their instant in the user's zone; all-day tasks show the
+// calendar date as stored.
+export function formatDue(task, timeZone) {
+  if (task.due_at) {
+    return new Date(task.due_at).toLocaleString(undefined, {
+      timeZone,
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    });
+  }
+  return task.due_date ?? "";
+}
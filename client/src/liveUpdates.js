@@ -0,0 +1,98 @@
+import { apiFetch } from "./api.js";
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30 * 1000;
+
+// One "field: value" block of a Server-Sent Events stream.
+function parseEvent(block) {
+  const event = { id: null, type: "message", data: "" };
+
+  for (const line of block.split("\n")) {
+    if (!line || line.startsWith(":")) continue;
+
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+
+    if (field === "id") event.id = value;
+    else if (field === "event") event.type = value;
+    else if (field === "data") event.data += event.data ? `\n${value}` : value;
+  }
+  return event;
+}
+
+// Follows GET /api/events and calls onEvent({ type, data }) for each event.
+// EventSource cannot send the Authorization header, so the stream is read with
+// fetch. When it drops it reconnects, waiting longer after each failure (or
+// straight away once the browser is back online), and sends the last event id
+// so the server can replay what was missed. Returns a function that stops it.
+export function subscribeToEvents(onEvent) {
+  const controller = new AbortController();
+  let lastEventId = null;
+  let retryMs = MIN_RETRY_MS;
+  let wake = null;
+
+  async function readStream() {
+    const res = await apiFetch("/api/events", {
+      headers: lastEventId ? { "Last-Event-ID": lastEventId } : {},
+      signal: controller.signal,
+    });
+    if (!res.ok) throw new Error(`The event stream failed with status ${res.status}`);
+
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = "";
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += value;
+
+      let end = buffer.indexOf("\n\n");
+      while (end !== -1) {
+        const event = parseEvent(buffer.slice(0, end));
+        buffer = buffer.slice(end + 2);
+        end = buffer.indexOf("\n\n");
+
+        if (event.id !== null) lastEventId = event.id;
+        if (!event.data) continue;
+
+        retryMs = MIN_RETRY_MS;
+        onEvent({ type: event.type, data: JSON.parse(event.data) });
+      }
+    }
+  }
+
+  function waitToRetry() {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, retryMs);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  async function run() {
+    while (!controller.signal.aborted) {
+      try {
+        await readStream();
+      } catch {
+        // Dropped or refused; try again below.
+      }
+      if (controller.signal.aborted) return;
+
+      await waitToRetry();
+      retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+    }
+  }
+
+  const retryNow = () => wake?.();
+  window.addEventListener("online", retryNow);
+  void run();
+
+  return () => {
+    controller.abort();
+    wake?.();
+    window.removeEventListener("online", retryNow);
+  };
+}
@@ -0,0 +1,21 @@
+import DOMPurify from "dompurify";
+import { marked } from "marked";
+
+marked.use({ gfm: true, breaks: true });
+
+// Links in notes open in a new tab without handing it a reference back here.
+DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+  if (node.tagName === "A" && node.getAttribute("href")) {
+    node.setAttribute("target", "_blank");
+    node.setAttribute("rel", "noopener noreferrer");
+  }
+});
+
+// Renders a task description to HTML that is safe to inject. The server also
+// strips script-capable HTML, but rendering never relies on that alone.
+export function renderMarkdown(text) {
+  return DOMPurify.sanitize(marked.parse(text ?? ""), {
+    FORBID_TAGS: ["style", "form", "input", "button", "textarea", "select"],
+    FORBID_ATTR: ["style"],
+  });
+}
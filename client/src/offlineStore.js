@@ -0,0 +1,90 @@
+const DB_NAME = "taskist";
+const DB_VERSION = 1;
+
+let opening = null;
+
+// Everything the app keeps on the device: "responses" holds the last answer
+// to each GET the app makes, "outbox" the changes still to be sent. Where
+// IndexedDB is switched off the same stores live in memory instead, so queued
+// changes still go out but nothing survives a reload.
+function openDatabase() {
+  opening ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore("responses");
+      request.result.createObjectStore("outbox", { keyPath: "id", autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch(() => null);
+  return opening;
+}
+
+const memory = { responses: new Map(), outbox: new Map() };
+let memoryId = 0;
+
+// The few IDBObjectStore methods used below, answering synchronously.
+function memoryStore(map) {
+  return {
+    get: (key) => ({ result: map.get(key) }),
+    getAll: () => ({ result: [...map.values()] }),
+    add: (value) => {
+      memoryId += 1;
+      map.set(memoryId, { ...value, id: memoryId });
+      return { result: memoryId };
+    },
+    put: (value, key = value.id) => map.set(key, value),
+    delete: (key) => map.delete(key),
+    clear: () => map.clear(),
+  };
+}
+
+async function run(storeName, mode, work) {
+  const db = await openDatabase();
+  if (!db) return work(memoryStore(memory[storeName]))?.result;
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = work(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+  }).catch(() => undefined);
+}
+
+export async function readCached(key) {
+  return (await run("responses", "readonly", (store) => store.get(key))) ?? null;
+}
+
+export function saveCached(key, data) {
+  return run("responses", "readwrite", (store) => store.put(data, key));
+}
+
+// Oldest first, which is the order they have to be sent in.
+export async function readOutbox(userId) {
+  const changes = (await run("outbox", "readonly", (store) => store.getAll())) ?? [];
+  return changes.filter((change) => change.userId === userId);
+}
+
+export function addToOutbox(change) {
+  return run("outbox", "readwrite", (store) => store.add(change));
+}
+
+export function updateOutbox(changes) {
+  return run("outbox", "readwrite", (store) => {
+    changes.forEach((change) => store.put(change));
+  });
+}
+
+export function removeFromOutbox(ids) {
+  return run("outbox", "readwrite", (store) => {
+    ids.forEach((id) => store.delete(id));
+  });
+}
+
+// Logging out leaves nothing of the account behind on the device.
+export function clearOfflineData() {
+  return Promise.all([
+    run("responses", "readwrite", (store) => store.clear()),
+    run("outbox", "readwrite", (store) => store.clear()),
+  ]);
+}
@@ -0,0 +1,103 @@
+import { apiFetch, readResponse, saveTask } from "./api.js";
+import { addToOutbox, readOutbox, removeFromOutbox, updateOutbox } from "./offlineStore.js";
+
+// Task changes are shown straight away and queued here, in IndexedDB, until
+// the server has them, so the app keeps working without a connection. A change
+// is { type: "create" | "update" | "delete", taskId, version, body } plus what
+// to show meanwhile: the new `task` for a create, the `patch` for an update.
+// Tasks created offline get a negative id until the server assigns theirs.
+
+let replaying = null;
+let replayAgain = false;
+
+export function queueChange(change) {
+  return addToOutbox(change);
+}
+
+// Shows the queued changes on top of tasks loaded from the server or the
+// cache. Applying a change twice leaves the list the same.
+export function applyPending(tasks, changes) {
+  return changes.reduce((list, change) => {
+    if (change.type === "create") {
+      return list.some((task) => task.id === change.taskId) ? list : [change.task, ...list];
+    }
+    if (change.type === "update") {
+      return list.map((task) => (task.id === change.taskId ? { ...task, ...change.patch } : task));
+    }
+    return list.filter((task) => task.id !== change.taskId);
+  }, tasks);
+}
+
+function send(change) {
+  if (change.type === "create") {
+    return apiFetch("/api/tasks", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(change.body),
+    });
+  }
+  if (change.type === "update") {
+    return saveTask({ id: change.taskId, version: change.version }, change.body);
+  }
+  return apiFetch(`/api/tasks/${change.taskId}`, { method: "DELETE" });
+}
+
+async function replay(userId, onResult) {
+  for (;;) {
+    const [change] = await readOutbox(userId);
+    if (!change) return true;
+
+    let res;
+    try {
+      res = await send(change);
+    } catch {
+      return false;
+    }
+    // Kept for the next attempt: the server is having trouble, or the session
+    // ended and the user has to log in again.
+    if (res.status >= 500 || res.status === 401) return false;
+    const data = await readResponse(res);
+
+    const sameTask = (await readOutbox(userId)).filter(
+      (item) => item.id !== change.id && item.taskId === change.taskId,
+    );
+    let dropped = [];
+    if (res.ok && change.type !== "delete") {
+      // Later changes to the task were made on top of this one, so they go to
+      // the id and version it has now.
+      const task = change.type === "create" ? data : data.task;
+      await updateOutbox(
+        sameTask.map((item) => ({ ...item, taskId: task.id, version: task.version })),
+      );
+    } else if (!res.ok && (change.type === "create" || res.status === 404 || res.status === 412)) {
+      // The task never made it, is gone, or was changed by someone else; what
+      // was queued after this change cannot go through either.
+      dropped = sameTask;
+    }
+
+    await removeFromOutbox([change.id, ...dropped.map((item) => item.id)]);
+    onResult({ change, dropped, res, data });
+  }
+}
+
+// Sends the user's queued changes in order, handing each answer to onResult.
+// Resolves to false when the server could not be reached and changes are
+// still waiting. Calls made while a replay runs join it.
+export function replayOutbox(userId, onResult) {
+  if (replaying) {
+    replayAgain = true;
+    return replaying;
+  }
+
+  replaying = (async () => {
+    let done;
+    do {
+      replayAgain = false;
+      done = await replay(userId, onResult);
+    } while (done && replayAgain);
+    return done;
+  })().finally(() => {
+    replaying = null;
+  });
+  return replaying;
+}
@@ -0,0 +1,109 @@
+// Client side of the repeat rules the API accepts: a subset of RFC 5545
+// RRULE strings such as "FREQ=WEEKLY;BYDAY=MO,WE".
+
+export const WEEKDAYS = [
+  { code: "MO", label: "Mon" },
+  { code: "TU", label: "Tue" },
+  { code: "WE", label: "Wed" },
+  { code: "TH", label: "Thu" },
+  { code: "FR", label: "Fri" },
+  { code: "SA", label: "Sat" },
+  { code: "SU", label: "Sun" },
+];
+
+const WORKWEEK = "MO,TU,WE,TH,FR";
+
+const UNITS = {
+  DAILY: ["day", "days"],
+  WEEKLY: ["week", "weeks"],
+  MONTHLY: ["month", "months"],
+  YEARLY: ["year", "years"],
+};
+
+const ORDINALS = { 1: "1st", 2: "2nd", 3: "3rd", 4: "4th", 5: "5th", "-1": "last" };
+
+export const EMPTY_REPEAT = {
+  mode: "none",
+  interval: 1,
+  unit: "WEEKLY",
+  days: [],
+  rule: "",
+};
+
+function weekdayLabel(code) {
+  return WEEKDAYS.find((day) => day.code === code)?.label ?? code;
+}
+
+// Turns the repeat picker state into the rule string sent to the API, or null
+// when the task does not repeat.
+export function buildRecurrence(repeat) {
+  const byDay = WEEKDAYS.map((day) => day.code).filter((code) =>
+    repeat.days.includes(code),
+  );
+
+  switch (repeat.mode) {
+    case "daily":
+      return "FREQ=DAILY";
+    case "weekdays":
+      return `FREQ=WEEKLY;BYDAY=${WORKWEEK}`;
+    case "weekly":
+      return byDay.length ? `FREQ=WEEKLY;BYDAY=${byDay.join(",")}` : "FREQ=WEEKLY";
+    case "monthly":
+      return "FREQ=MONTHLY";
+    case "yearly":
+      return "FREQ=YEARLY";
+    case "custom": {
+      const parts = [`FREQ=${repeat.unit}`];
+      if (repeat.interval > 1) parts.push(`INTERVAL=${repeat.interval}`);
+      if (repeat.unit === "WEEKLY" && byDay.length) parts.push(`BYDAY=${byDay.join(",")}`);
+      return parts.join(";");
+    }
+    case "rrule":
+      return repeat.rule.trim() || null;
+    default:
+      return null;
+  }
+}
+
+// Short human label for a stored rule, e.g. "Every 2 weeks on Mon, Fri".
+export function describeRecurrence(rule) {
+  if (!rule) return "";
+
+  const parts = Object.fromEntries(
+    rule.split(";").map((part) => {
+      const [key, value = ""] = part.split("=");
+      return [key, value];
+    }),
+  );
+  const interval = Number(parts.INTERVAL || 1);
+  const unit = UNITS[parts.FREQ];
+  if (!unit) return "Repeats";
+
+  let label;
+  if (parts.FREQ === "WEEKLY" && parts.BYDAY === WORKWEEK && interval === 1) {
+    label = "Weekdays";
+  } else if (interval === 1) {
+    label = { DAILY: "Daily", WEEKLY: "Weekly", MONTHLY: "Monthly", YEARLY: "Yearly" }[
+      parts.FREQ
+    ];
+  } else {
+    label = `Every ${interval} ${unit[1]}`;
+  }
+
+  if (parts.FREQ === "WEEKLY" && parts.BYDAY && label !== "Weekdays") {
+    label += ` on ${parts.BYDAY.split(",").map(weekdayLabel).join(", ")}`;
+  }
+  if (parts.FREQ === "MONTHLY" && parts.BYMONTHDAY) {
+    label += parts.BYMONTHDAY === "-1" ? " on the last day" : ` on day ${parts.BYMONTHDAY}`;
+  }
+  if (parts.FREQ === "MONTHLY" && parts.BYDAY) {
+    const match = /^(-?\d)(\w\w)$/.exec(parts.BYDAY);
+    if (match) label += ` on the ${ORDINALS[match[1]]} ${weekdayLabel(match[2])}`;
+  }
+  if (parts.COUNT) label += `, ${parts.COUNT} left`;
+  if (parts.UNTIL) {
+    label += `, until ${parts.UNTIL.replace(/^(\d{4})(\d{2})(\d{2}).*/, "$1-$2-$3")}`;
+  }
+
+  return label;
+}
@@ -0,0 +1,63 @@
+// Lets the app open without a connection. Installing caches the app shell
+// with every script, style and image of the build, so the app opens offline
+// from the first visit on. Pages are then fetched from the network when
+// possible, with the last copy of the shell kept for when it is not; the built
+// files have hashed names, so once cached they never go stale. Requests to the
+// API are left alone: the app keeps its own copy of the data in IndexedDB.
+
+// Filled in by the service-worker plugin in vite.config.js: a version that
+// changes with the build's files, and the list of them.
+const BUILD = { version: "dev", files: [] };
+
+const CACHE = `taskist-${BUILD.version}`;
+const SHELL = "/index.html";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll([SHELL, ...BUILD.files])));
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => keys.filter((key) => key !== CACHE))
+      .then((stale) => Promise.all(stale.map((key) => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(request);
+    // Every route serves the same shell, /app included.
+    if (res.ok) await cache.put(SHELL, res.clone());
+    return res;
+  } catch {
+    return (await cache.match(SHELL)) ?? Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const res = await fetch(request);
+  if (res.ok) await cache.put(request, res.clone());
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith("/api/")) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request));
+  } else if (BUILD.files.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
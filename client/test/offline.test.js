@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { Buffer } from "node:buffer";
+import { existsSync, mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import vm from "node:vm";
+import { build } from "vite";
+
+// Builds the client and runs the service worker it ships against a stand-in
+// for the browser: a static host serving the build, and the Cache API kept in
+// memory. After the worker installs, the host goes away and the app shell has
+// to come out of the cache alone.
+
+const ORIGIN = "https://taskist.test";
+const root = fileURLToPath(new URL("..", import.meta.url));
+let outDir;
+
+before(async () => {
+  outDir = mkdtempSync(join(tmpdir(), "taskist-client-"));
+  await build({ root, logLevel: "silent", build: { outDir, emptyOutDir: true } });
+});
+after(() => rmSync(outDir, { recursive: true, force: true }));
+
+function pathOf(request) {
+  return new URL(typeof request === "string" ? request : request.url, ORIGIN).pathname;
+}
+
+// Serves files from the build, and index.html for any other page, like the
+// static host does. Throws while offline, as fetch does.
+function createHost() {
+  const host = { online: true };
+  host.fetch = async (request) => {
+    const path = pathOf(request);
+    if (!host.online) throw new TypeError("Failed to fetch");
+
+    const file = join(outDir, path);
+    if (path !== "/" && existsSync(file)) return new Response(readFileSync(file));
+    return new Response(readFileSync(join(outDir, "index.html")), {
+      headers: { "Content-Type": "text/html" },
+    });
+  };
+  return host;
+}
+
+function createCaches(fetch) {
+  const stores = new Map();
+  const open = async (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    const store = stores.get(name);
+    const cache = {
+      async match(request) {
+        return store.get(pathOf(request))?.clone();
+      },
+      async put(request, response) {
+        store.set(pathOf(request), response);
+      },
+      async addAll(requests) {
+        for (const request of requests) {
+          const response = await fetch(request);
+          assert.ok(response.ok, `${pathOf(request)} could not be cached`);
+          await cache.put(request, response);
+        }
+      },
+    };
+    return cache;
+  };
+  return {
+    open,
+    keys: async () => [...stores.keys()],
+    delete: async (name) => stores.delete(name),
+  };
+}
+
+// Loads dist/sw.js the way a browser would and returns a way to send it events.
+function startWorker(host) {
+  const listeners = {};
+  const self = {
+    location: new URL(ORIGIN),
+    clients: { claim: async () => {} },
+    skipWaiting: () => {},
+    addEventListener: (type, listener) => {
+      listeners[type] = listener;
+    },
+  };
+  const source = readFileSync(join(outDir, "sw.js"), "utf8");
+  vm.runInNewContext(source, {
+    self,
+    caches: createCaches(host.fetch),
+    fetch: host.fetch,
+    Response,
+    URL,
+  });
+
+  return {
+    async lifecycle(type) {
+      const pending = [];
+      listeners[type]({ waitUntil: (promise) => pending.push(promise) });
+      await Promise.all(pending);
+    },
+    async fetch(path, { mode = "cors" } = {}) {
+      let response;
+      listeners.fetch({
+        request: { url: `${ORIGIN}${path}`, method: "GET", mode },
+        respondWith: (promise) => {
+          response = promise;
+        },
+      });
+      assert.ok(response, `the worker left ${path} to the network`);
+      return response;
+    },
+  };
+}
+
+test("opens the app offline from the first visit on", async () => {
+  const host = createHost();
+  const worker = startWorker(host);
+  await worker.lifecycle("install");
+  await worker.lifecycle("activate");
+
+  host.online = false;
+  const page = await worker.fetch("/app", { mode: "navigate" });
+  assert.equal(page.status, 200);
+  const html = await page.text();
+  assert.match(html, /<div id="root">/);
+
+  const assets = [...html.matchAll(/(?:src|href)="(\/[^"]+)"/g)].map((match) => match[1]);
+  assert.ok(assets.some((path) => path.endsWith(".js")));
+  for (const path of assets) {
+    const asset = await worker.fetch(path);
+    assert.equal(asset.status, 200, path);
+    assert.deepEqual(
+      Buffer.from(await asset.arrayBuffer()),
+      readFileSync(join(outDir, path)),
+      path,
+    );
+  }
+});
@@ -1,7 +1,46 @@
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const SW_SOURCE = new URL('./src/sw.js', import.meta.url)
+const SW_BUILD = 'const BUILD = { version: "dev", files: [] };'
+
+// Emits src/sw.js as /sw.js with the build's files filled in, so the service
+// worker can cache all of them on install. It runs after Vite's own plugins,
+// once the bundle holds index.html and every chunk and asset.
+function serviceWorker() {
+  let publicDir
+  return {
+    name: 'taskist-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_options, bundle) {
+      const files = [
+        ...Object.keys(bundle).filter((name) => name !== 'index.html' && !name.endsWith('.map')),
+        ...(publicDir ? readdirSync(publicDir) : []),
+      ]
+        .map((name) => `/${name}`)
+        .sort()
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+
+      const source = readFileSync(SW_SOURCE, 'utf8')
+      if (!source.includes(SW_BUILD)) {
+        this.error(`src/sw.js no longer contains ${SW_BUILD}`)
+      }
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: source.replace(SW_BUILD, `const BUILD = ${JSON.stringify({ version, files })};`),
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })
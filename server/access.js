@@ -0,0 +1,86 @@
+import { pool } from "./db.js";
+
+export const PROJECT_ROLES = new Set(["owner", "editor", "viewer"]);
+
+export function canEdit(role) {
+  return role === "owner" || role === "editor";
+}
+
+// SQL condition matching the tasks a user can see: their own inbox tasks plus
+// every task in a project they belong to. Membership is read on every query,
+// so removing a member takes effect on their very next request.
+export function visibleTasksClause(userParam) {
+  return `(
+    (tasks.project_id IS NULL AND tasks.owner_id = ${userParam})
+    OR tasks.project_id IN (
+      SELECT project_id FROM project_members WHERE user_id = ${userParam}
+    )
+  )`;
+}
+
+export async function getProjectRole(userId, projectId) {
+  const found = await pool.query(
+    "SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2;",
+    [projectId, userId],
+  );
+  return found.rows[0]?.role ?? null;
+}
+
+// The projects the user belongs to with these names, ignoring case, as a Map
+// from the lower-cased name to the project id. Where names repeat, open
+// projects win over archived ones, then the oldest.
+export async function findProjectIdsByName(userId, names) {
+  const found = await pool.query(
+    `
+    SELECT DISTINCT ON (LOWER(projects.name)) projects.id, LOWER(projects.name) AS key
+    FROM projects
+    JOIN project_members ON project_members.project_id = projects.id
+    WHERE project_members.user_id = $1 AND LOWER(projects.name) = ANY($2::text[])
+    ORDER BY LOWER(projects.name), projects.archived_at IS NOT NULL, projects.id
+    `,
+    [userId, names.map((name) => name.toLowerCase())],
+  );
+  return new Map(found.rows.map((row) => [row.key, row.id]));
+}
+
+// Loads a task with the caller's role on it, or null when the caller cannot
+// see it at all. Inbox tasks are private to the user who created them. Tasks
+// in the trash are only found with `trashed`, and then only those. Inside a
+// transaction, `lock` holds the task row until it ends.
+export async function getTaskAccess(
+  userId,
+  taskId,
+  { lock = false, trashed = false } = {},
+) {
+  const found = await pool.query(
+    `
+    SELECT t.id, t.owner_id, t.project_id, t.priority, t.status, t.due_date,
+           t.due_at, t.assignee_id, t.completed, t.reopen_status, t.recurrence,
+           t.version, m.role
+    FROM tasks t
+    LEFT JOIN project_members m ON m.project_id = t.project_id AND m.user_id = $2
+    WHERE t.id = $1 AND (t.deleted_at IS NOT NULL) = $3
+    ${lock ? "FOR UPDATE OF t" : ""}
+    `,
+    [taskId, userId, trashed],
+  );
+
+  const { role, ...task } = found.rows[0] ?? {};
+  if (!task.id) return null;
+
+  let effectiveRole = role;
+  if (task.project_id == null) {
+    effectiveRole = task.owner_id === userId ? "owner" : null;
+  }
+  if (!effectiveRole) return null;
+
+  return { task, role: effectiveRole };
+}
+
+// Tasks can only be assigned to someone who can see them: a member of the
+// task's project, or the creator themselves for inbox tasks.
+export async function isValidAssignee(assigneeId, projectId, userId) {
+  if (assigneeId == null) return true;
+  if (projectId == null) return assigneeId === userId;
+  return (await getProjectRole(assigneeId, projectId)) !== null;
+}
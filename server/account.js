@@ -0,0 +1,77 @@
+import express from "express";
+import { requireAuth } from "./auth.js";
+import { notifyResync } from "./events.js";
+import { scheduleRemindersForUser } from "./reminders.js";
+import { realignDueDates } from "./repositories/tasks.js";
+import { getAccount, updateAccount } from "./repositories/users.js";
+
+export const accountRouter = express.Router();
+
+accountRouter.use(requireAuth);
+
+const TASK_VIEWS = new Set(["list", "board"]);
+
+// Accepts IANA zone names ("Europe/London") and returns the canonical
+// spelling, or null when the runtime does not know the zone.
+export function normalizeTimeZone(value) {
+  if (typeof value !== "string" || !value.trim()) return null;
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: value.trim() }).resolvedOptions()
+      .timeZone;
+  } catch {
+    return null;
+  }
+}
+
+accountRouter.get("/", async (req, res) => {
+  try {
+    const account = await getAccount(req.user.id);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found." });
+    }
+
+    res.json(account);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+accountRouter.put("/", async (req, res) => {
+  try {
+    const rawTimeZone = req.body.timeZone ?? req.body.time_zone;
+    const hasTimeZone = rawTimeZone !== undefined;
+    const timeZone = hasTimeZone ? normalizeTimeZone(rawTimeZone) : null;
+    if (hasTimeZone && !timeZone) {
+      return res.status(400).json({ error: "Unknown time zone." });
+    }
+
+    const emailDigest = req.body.emailDigest ?? req.body.email_digest;
+    if (emailDigest !== undefined && typeof emailDigest !== "boolean") {
+      return res.status(400).json({ error: "emailDigest must be true or false." });
+    }
+
+    const taskView = req.body.taskView ?? req.body.task_view;
+    if (taskView !== undefined && !TASK_VIEWS.has(taskView)) {
+      return res.status(400).json({ error: "taskView must be list or board." });
+    }
+
+    const account = await updateAccount(req.user.id, { timeZone, emailDigest, taskView });
+    if (!account) {
+      return res.status(404).json({ error: "Account not found." });
+    }
+
+    if (!hasTimeZone) return res.json(account);
+
+    // Timed tasks keep their instant, so the calendar day they fall on in the
+    // new zone may change; all-day reminders move with the zone.
+    await realignDueDates(req.user.id, timeZone);
+    await scheduleRemindersForUser(req.user.id);
+    await notifyResync([req.user.id]);
+
+    res.json(account);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
@@ -0,0 +1,107 @@
+import express from "express";
+import { getTaskAccess } from "./access.js";
+import { pool } from "./db.js";
+
+// Mounted below /api/tasks/:taskId, after requireAuth has run.
+export const activityRouter = express.Router({ mergeParams: true });
+
+// Appends one entry to a task's history. Values are stored as JSON, so they
+// keep their type (a title, a status, an ISO date).
+export async function recordActivity(
+  userId,
+  taskId,
+  action,
+  { oldValue = null, newValue = null } = {},
+) {
+  await pool.query(
+    `
+    INSERT INTO task_activity (task_id, user_id, action, old_value, new_value)
+    VALUES ($1, $2, $3, $4, $5)
+    `,
+    [
+      taskId,
+      userId,
+      action,
+      oldValue === null ? null : JSON.stringify(oldValue),
+      newValue === null ? null : JSON.stringify(newValue),
+    ],
+  );
+}
+
+// A timed task is due at an instant, an all-day one on a date.
+function dueValue(task) {
+  if (task.due_at) return new Date(task.due_at).toISOString();
+  return task.due_date;
+}
+
+// The history entries a change from `before` to `after` (both task rows as
+// findTask returns them) adds up to. Completing or reopening a task also
+// moves its status, so that is logged once, as the completion.
+function describeChanges(before, after) {
+  const changes = [];
+  const changed = (oldValue, newValue) => oldValue !== newValue;
+
+  if (changed(before.title, after.title)) {
+    changes.push({ action: "renamed", oldValue: before.title, newValue: after.title });
+  }
+  if (changed(before.completed, after.completed)) {
+    changes.push({ action: after.completed ? "completed" : "reopened" });
+  } else if (changed(before.status, after.status)) {
+    changes.push({ action: "status_changed", oldValue: before.status, newValue: after.status });
+  }
+  if (changed(before.priority, after.priority)) {
+    changes.push({
+      action: "priority_changed",
+      oldValue: before.priority,
+      newValue: after.priority,
+    });
+  }
+  if (changed(dueValue(before), dueValue(after))) {
+    changes.push({ action: "due_changed", oldValue: dueValue(before), newValue: dueValue(after) });
+  }
+  if (changed(before.project_id, after.project_id)) {
+    changes.push({ action: "moved", oldValue: before.project_id, newValue: after.project_id });
+  }
+  if (changed(before.assignee_id, after.assignee_id)) {
+    changes.push({
+      action: "assigned",
+      oldValue: before.assignee_email,
+      newValue: after.assignee_email,
+    });
+  }
+  return changes;
+}
+
+// Logs what an update changed on a task.
+export async function recordChanges(userId, before, after) {
+  for (const change of describeChanges(before, after)) {
+    await recordActivity(userId, after.id, change.action, change);
+  }
+}
+
+// The task's history, newest first.
+activityRouter.get("/", async (req, res) => {
+  try {
+    const access = await getTaskAccess(req.user.id, Number(req.params.taskId));
+    if (!access) {
+      return res.status(404).json({ error: "Task not found." });
+    }
+
+    const result = await pool.query(
+      `
+      SELECT a.id, a.action, a.old_value, a.new_value, a.created_at,
+             u.email AS user_email
+      FROM task_activity a
+      LEFT JOIN users u ON u.id = a.user_id
+      WHERE a.task_id = $1
+      ORDER BY a.id DESC;
+      `,
+      [access.task.id],
+    );
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
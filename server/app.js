@@ -0,0 +1,372 @@
+import { randomBytes } from "node:crypto";
+import express from "express";
+import cors from "cors";
+import bcrypt from "bcryptjs";
+import { accountRouter, normalizeTimeZone } from "./account.js";
+import { createToken, requireAuth } from "./auth.js";
+import { config } from "./config.js";
+import {
+  consumeEmailToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} from "./emailTokens.js";
+import { eventsRouter } from "./events.js";
+import { projectsRouter } from "./projects.js";
+import {
+  checkLogin,
+  checkRegister,
+  recordLoginFailure,
+  recordLoginSuccess,
+  tooManyAttempts,
+} from "./rateLimit.js";
+import {
+  createUser,
+  DEFAULT_TIME_ZONE,
+  findUserByEmail,
+  findUserById,
+  markEmailVerified,
+  setPasswordHash,
+} from "./repositories/users.js";
+import {
+  createSession,
+  listSessions,
+  revokeAllSessions,
+  revokeOtherSessions,
+  revokeSession,
+  revokeSessionByToken,
+  rotateSession,
+} from "./sessions.js";
+import { tagsRouter } from "./tags.js";
+import { tasksRouter } from "./tasks.js";
+import {
+  checkSecondFactor,
+  createLoginChallenge,
+  failLoginChallenge,
+  findLoginChallenge,
+  spendLoginChallenge,
+  twoFactorRouter,
+} from "./twoFactor.js";
+import { idParam, normalizeEmail } from "./validation.js";
+
+// The API without a listening socket, so tests can mount it on a port of
+// their own. index.js starts the real server.
+export const app = express();
+
+const MIN_PASSWORD_LENGTH = 6;
+const BCRYPT_ROUNDS = 10;
+
+// Compared against when a login names no account, so the answer takes as long
+// as a wrong password does.
+const unknownUserHash = bcrypt.hash(randomBytes(16).toString("hex"), BCRYPT_ROUNDS);
+
+// Behind a proxy (Render puts one in front) the client's address is in
+// X-Forwarded-For; TRUST_PROXY_HOPS says how many proxies to look past, so
+// the rate limits see clients rather than the proxy.
+app.set("trust proxy", config.trustProxyHops || false);
+app.disable("x-powered-by");
+
+// The API only ever answers with data, so nothing it sends may run scripts,
+// be framed or be sniffed into another type. Browsers are told to stick to
+// HTTPS once they have reached a production server over it.
+app.use((req, res, next) => {
+  res.set({
+    "Content-Security-Policy": "default-src 'none'; frame-ancestors 'none'",
+    "X-Content-Type-Options": "nosniff",
+    "X-Frame-Options": "DENY",
+    "Referrer-Policy": "no-referrer",
+    "Cross-Origin-Opener-Policy": "same-origin",
+  });
+  if (config.production) {
+    res.set("Strict-Transport-Security", "max-age=31536000; includeSubDomains");
+  }
+  next();
+});
+
+app.use(
+  cors({
+    origin(origin, cb) {
+      if (!origin) return cb(null, true);
+      if (config.allowedOrigins.has(origin)) return cb(null, true);
+      return cb(new Error(`CORS blocked for origin: ${origin}`));
+    },
+    credentials: true,
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "If-Match", "Last-Event-ID"],
+    exposedHeaders: ["ETag"],
+  }),
+);
+
+// Imports carry a whole file, so they get a larger body limit than the rest
+// of the API.
+app.use("/api/tasks/import", express.json({ limit: "5mb" }));
+app.use(express.json());
+
+app.get("/", (req, res) => res.send("API running ✅"));
+app.get("/api/health", (req, res) => res.json({ ok: true }));
+
+async function issueTokens(user, req) {
+  const { sessionId, refreshToken } = await createSession(user.id, req);
+  return { token: createToken(user, sessionId), refreshToken };
+}
+
+// Mail goes out in the background: a slow or failing SMTP server must not
+// fail the request, and response times must not reveal whether an address
+// has an account.
+function sendInBackground(send, user) {
+  send(user).catch((err) => console.error(`Failed to email user ${user.id}:`, err));
+}
+
+function passwordError(password) {
+  return password.length < MIN_PASSWORD_LENGTH
+    ? `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`
+    : null;
+}
+
+app.post("/api/auth/register", async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    const password = String(req.body.password || "");
+    // Clients send the browser's zone so due times read right from day one.
+    const timeZone = normalizeTimeZone(req.body.timeZone) ?? DEFAULT_TIME_ZONE;
+
+    const blocked = await checkRegister(req.ip);
+    if (blocked) return tooManyAttempts(res, blocked);
+
+    if (!email) {
+      return res.status(400).json({ error: "Enter a valid email." });
+    }
+    if (passwordError(password)) {
+      return res.status(400).json({ error: passwordError(password) });
+    }
+
+    if (await findUserByEmail(email)) {
+      return res.status(409).json({ error: "Email already registered." });
+    }
+
+    const user = await createUser({
+      email,
+      passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      timeZone,
+    });
+    sendInBackground(sendVerificationEmail, user);
+    res.status(201).json(await issueTokens(user, req));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const email = String(req.body.email || "").trim().toLowerCase();
+    const password = String(req.body.password || "");
+
+    const blocked = await checkLogin(req.ip, email);
+    if (blocked) return tooManyAttempts(res, blocked);
+
+    // Unknown emails get the same answer, as slowly, as wrong passwords.
+    const user = await findUserByEmail(email);
+    const ok = await bcrypt.compare(password, user?.password_hash ?? (await unknownUserHash));
+    if (!user || !ok) {
+      await recordLoginFailure(req.ip, email);
+      return res.status(401).json({ error: "Invalid credentials." });
+    }
+
+    // The failure count is only cleared once the second step passes too, so
+    // a known password does not buy unlimited guesses at the code.
+    if (user.two_factor_enabled) {
+      const challenge = await createLoginChallenge(user.id);
+      return res.json({ twoFactorRequired: true, challenge });
+    }
+
+    await recordLoginSuccess(email);
+    res.json(await issueTokens(user, req));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// The second step of a login with two-factor on: the challenge from
+// /api/auth/login plus a code from the authenticator app or a recovery code.
+app.post("/api/auth/login/2fa", async (req, res) => {
+  try {
+    const challenge = await findLoginChallenge(String(req.body.challenge || ""));
+    if (!challenge) {
+      return res.status(401).json({ error: "This login has expired. Please log in again." });
+    }
+
+    const blocked = await checkLogin(req.ip, challenge.email);
+    if (blocked) return tooManyAttempts(res, blocked);
+
+    if (!(await checkSecondFactor(challenge.user_id, req.body.code))) {
+      await failLoginChallenge(challenge.id);
+      await recordLoginFailure(req.ip, challenge.email);
+      return res.status(401).json({ error: "That code is not right." });
+    }
+    if (!(await spendLoginChallenge(challenge.id))) {
+      return res.status(401).json({ error: "This login has expired. Please log in again." });
+    }
+
+    await recordLoginSuccess(challenge.email);
+    res.json(await issueTokens({ id: challenge.user_id, email: challenge.email }, req));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const refreshToken = String(req.body.refreshToken || "");
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Missing refresh token." });
+    }
+
+    const session = await rotateSession(refreshToken, req);
+    if (!session) {
+      return res.status(401).json({ error: "Session expired. Please log in again." });
+    }
+
+    res.json({
+      token: createToken(session.user, session.sessionId),
+      refreshToken: session.refreshToken,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    const refreshToken = String(req.body.refreshToken || "");
+    if (refreshToken) await revokeSessionByToken(refreshToken);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/auth/verify-email", async (req, res) => {
+  try {
+    const userId = await consumeEmailToken(String(req.body.token || ""), "verify");
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ error: "This verification link is invalid or has expired." });
+    }
+
+    await markEmailVerified(userId);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/auth/verify-email/resend", requireAuth, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+    if (!user) return res.status(404).json({ error: "Account not found." });
+    if (user.email_verified_at) {
+      return res.status(400).json({ error: "Email is already verified." });
+    }
+
+    sendInBackground(sendVerificationEmail, user);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Always answers the same way so the form cannot be used to find accounts.
+app.post("/api/auth/forgot-password", async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    if (!email) {
+      return res.status(400).json({ error: "Enter a valid email." });
+    }
+
+    const user = await findUserByEmail(email);
+    if (user) sendInBackground(sendPasswordResetEmail, user);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Sets a new password and signs every device out. The link came through the
+// inbox, so it also proves the address.
+app.post("/api/auth/reset-password", async (req, res) => {
+  try {
+    const password = String(req.body.password || "");
+    if (passwordError(password)) {
+      return res.status(400).json({ error: passwordError(password) });
+    }
+
+    const userId = await consumeEmailToken(String(req.body.token || ""), "reset");
+    if (!userId) {
+      return res.status(400).json({ error: "This reset link is invalid or has expired." });
+    }
+
+    await setPasswordHash(userId, await bcrypt.hash(password, BCRYPT_ROUNDS));
+    await markEmailVerified(userId);
+    await revokeAllSessions(userId);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/auth/sessions", requireAuth, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    res.json(
+      sessions.map((session) => ({ ...session, current: session.id === req.user.sid })),
+    );
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.delete("/api/auth/sessions", requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeOtherSessions(req.user.id, req.user.sid);
+    res.json({ success: true, revoked });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.param("id", idParam("Session not found."));
+
+app.delete("/api/auth/sessions/:id", requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user.id, Number(req.params.id));
+    if (revoked === 0) {
+      return res.status(404).json({ error: "Session not found." });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.use("/api/account", accountRouter);
+app.use("/api/auth/2fa", twoFactorRouter);
+app.use("/api/events", eventsRouter);
+app.use("/api/projects", projectsRouter);
+app.use("/api/tags", tagsRouter);
+app.use("/api/tasks", tasksRouter);
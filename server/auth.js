@@ -0,0 +1,40 @@
+import jwt from "jsonwebtoken";
+import { config } from "./config.js";
+import { isSessionActive } from "./sessions.js";
+
+const JWT_SECRET = config.jwtSecret;
+const ACCESS_TOKEN_TTL = "15m";
+
+export function createToken(user, sessionId) {
+  return jwt.sign({ id: user.id, email: user.email, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+export async function requireAuth(req, res, next) {
+  const auth = req.headers.authorization;
+  if (!auth?.startsWith("Bearer ")) {
+    return res.status(401).json({ error: "Missing token" });
+  }
+
+  const token = auth.split(" ")[1];
+  let user;
+  try {
+    user = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return res.status(401).json({ error: "Invalid or expired token" });
+  }
+
+  // Signing a device out revokes its session; its access token stops with it.
+  try {
+    if (!(await isSessionActive(user.sid))) {
+      return res.status(401).json({ error: "Session expired. Please log in again." });
+    }
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Server error" });
+  }
+
+  req.user = user;
+  next();
+}
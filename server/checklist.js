@@ -0,0 +1,227 @@
+import express from "express";
+import { canEdit, getTaskAccess } from "./access.js";
+import { recordActivity } from "./activity.js";
+import { pool, withTransaction } from "./db.js";
+import { notifyTask } from "./events.js";
+import { spawnNextOccurrence } from "./recurrence.js";
+import { completeTaskIfChecklistDone } from "./repositories/tasks.js";
+import { idParam } from "./validation.js";
+
+// Mounted below /api/tasks/:taskId, after requireAuth has run.
+export const checklistRouter = express.Router({ mergeParams: true });
+
+checklistRouter.param("itemId", idParam("Checklist item not found."));
+
+const ITEM_COLUMNS = "id, task_id, title, completed, position, created_at";
+
+function readTitle(value) {
+  const title = String(value || "").trim();
+  return title.length >= 1 && title.length <= 200 ? title : null;
+}
+
+// After a checklist change: completes the task if it was waiting on its last
+// item, and then queues up the next occurrence of a recurring task. Either way
+// the task's checklist counts changed, so its viewers hear about it. Callers
+// run it in the transaction that changed the checklist, so a task is never
+// left completed without its next occurrence.
+async function finishIfDone(userId, taskId) {
+  const taskCompleted = await completeTaskIfChecklistDone(taskId);
+  await notifyTask(taskId);
+  if (!taskCompleted) return { taskCompleted, nextTask: null };
+
+  await recordActivity(userId, taskId, "completed");
+  const nextTask = await spawnNextOccurrence(taskId);
+  if (nextTask) {
+    await recordActivity(userId, nextTask.id, "created", { newValue: nextTask.title });
+    await notifyTask(nextTask.id, { created: true });
+  }
+  return { taskCompleted, nextTask };
+}
+
+// Resolves the task in the URL for the current user. Responds 404/403 itself
+// and returns null when the request should stop there.
+async function loadTask(req, res, { write }) {
+  const access = await getTaskAccess(req.user.id, Number(req.params.taskId));
+  if (!access) {
+    res.status(404).json({ error: "Task not found." });
+    return null;
+  }
+  if (write && !canEdit(access.role)) {
+    res.status(403).json({ error: "You can only view tasks in this project." });
+    return null;
+  }
+  return access.task;
+}
+
+checklistRouter.get("/", async (req, res) => {
+  try {
+    const task = await loadTask(req, res, { write: false });
+    if (!task) return;
+
+    const result = await pool.query(
+      `
+      SELECT ${ITEM_COLUMNS}
+      FROM task_checklist_items
+      WHERE task_id = $1
+      ORDER BY position, id;
+      `,
+      [task.id],
+    );
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+checklistRouter.post("/", async (req, res) => {
+  try {
+    const task = await loadTask(req, res, { write: true });
+    if (!task) return;
+
+    const title = readTitle(req.body.title);
+    if (!title) {
+      return res
+        .status(400)
+        .json({ error: "Checklist items need between 1 and 200 characters." });
+    }
+
+    const created = await pool.query(
+      `
+      INSERT INTO task_checklist_items (task_id, title, position)
+      SELECT $1, $2, COALESCE(MAX(position) + 1, 0)
+      FROM task_checklist_items
+      WHERE task_id = $1
+      RETURNING ${ITEM_COLUMNS};
+      `,
+      [task.id, title],
+    );
+    await notifyTask(task.id);
+
+    res.status(201).json(created.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Declared before "/:itemId" so "order" is not mistaken for an item id.
+checklistRouter.put("/order", async (req, res) => {
+  try {
+    const task = await loadTask(req, res, { write: true });
+    if (!task) return;
+
+    const itemIds = req.body.itemIds;
+    if (!Array.isArray(itemIds) || !itemIds.every(Number.isInteger)) {
+      return res.status(400).json({ error: "itemIds must be a list of item ids." });
+    }
+
+    const current = await pool.query(
+      "SELECT id FROM task_checklist_items WHERE task_id = $1;",
+      [task.id],
+    );
+    const existingIds = new Set(current.rows.map((row) => row.id));
+    if (
+      itemIds.length !== existingIds.size ||
+      new Set(itemIds).size !== itemIds.length ||
+      !itemIds.every((id) => existingIds.has(id))
+    ) {
+      return res
+        .status(400)
+        .json({ error: "itemIds must list every item of the task exactly once." });
+    }
+
+    await pool.query(
+      `
+      UPDATE task_checklist_items AS item
+      SET position = ordered.position
+      FROM unnest($2::int[]) WITH ORDINALITY AS ordered(id, position)
+      WHERE item.id = ordered.id AND item.task_id = $1
+      `,
+      [task.id, itemIds],
+    );
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+checklistRouter.put("/:itemId", async (req, res) => {
+  try {
+    const task = await loadTask(req, res, { write: true });
+    if (!task) return;
+
+    const result = await withTransaction(async () => {
+      const current = await pool.query(
+        `
+        SELECT title, completed
+        FROM task_checklist_items
+        WHERE id = $1 AND task_id = $2
+        FOR UPDATE
+        `,
+        [Number(req.params.itemId), task.id],
+      );
+      const existing = current.rows[0];
+      if (!existing) return { status: 404, error: "Checklist item not found." };
+
+      let title = existing.title;
+      if (Object.hasOwn(req.body, "title")) {
+        title = readTitle(req.body.title);
+        if (!title) {
+          return { status: 400, error: "Checklist items need between 1 and 200 characters." };
+        }
+      }
+      const completed =
+        typeof req.body.completed === "boolean" ? req.body.completed : existing.completed;
+
+      const updated = await pool.query(
+        `
+        UPDATE task_checklist_items
+        SET title = $1, completed = $2
+        WHERE id = $3
+        RETURNING ${ITEM_COLUMNS};
+        `,
+        [title, completed, Number(req.params.itemId)],
+      );
+
+      const { taskCompleted, nextTask } = await finishIfDone(req.user.id, task.id);
+      return { item: updated.rows[0], taskCompleted, nextTask };
+    });
+
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+checklistRouter.delete("/:itemId", async (req, res) => {
+  try {
+    const task = await loadTask(req, res, { write: true });
+    if (!task) return;
+
+    const result = await withTransaction(async () => {
+      const deleted = await pool.query(
+        `
+        DELETE FROM task_checklist_items
+        WHERE id = $1 AND task_id = $2
+        `,
+        [Number(req.params.itemId), task.id],
+      );
+      if (deleted.rowCount === 0) return { status: 404, error: "Checklist item not found." };
+
+      const { taskCompleted, nextTask } = await finishIfDone(req.user.id, task.id);
+      return { success: true, taskCompleted, nextTask };
+    });
+
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
@@ -0,0 +1,194 @@
+import { readFileSync } from "node:fs";
+
+// Every setting the server takes from the environment, read and checked once
+// at startup so a bad value stops the server instead of surfacing later in a
+// request. Production (NODE_ENV=production) refuses the conveniences that
+// keep local runs simple, such as a built-in JWT secret.
+
+const DEV_JWT_SECRET = "dev-fallback";
+const MIN_JWT_SECRET_LENGTH = 32;
+// Values copied from examples rather than generated.
+const PLACEHOLDER_SECRETS = new Set([
+  DEV_JWT_SECRET,
+  "your_secret_key",
+  "secret",
+  "changeme",
+  "change-me",
+]);
+const STORAGE_KINDS = new Set(["postgres", "memory"]);
+const DATABASE_SSL_MODES = new Set(["verify", "disable"]);
+const NOTIFIER_KINDS = new Set(["console", "email", "webhook", "memory"]);
+
+// Origins the client is served from out of the box.
+const DEFAULT_ORIGINS = [
+  "http://localhost:5173",
+  "http://127.0.0.1:5173",
+  "https://taskist.com",
+  "https://www.taskist.com",
+];
+
+// Reads the settings out of `env`. Returns { config, errors, warnings };
+// errors are reasons not to start, warnings are worth a line in the log.
+export function readConfig(env) {
+  const errors = [];
+  const warnings = [];
+  const production = env.NODE_ENV === "production";
+
+  function integer(name, fallback, { min = 1, max = Number.MAX_SAFE_INTEGER } = {}) {
+    const raw = env[name];
+    if (raw === undefined || raw === "") return fallback;
+
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      const range =
+        max === Number.MAX_SAFE_INTEGER ? `of at least ${min}` : `from ${min} to ${max}`;
+      errors.push(`${name} must be a whole number ${range}.`);
+      return fallback;
+    }
+    return value;
+  }
+
+  function oneOf(name, allowed, fallback) {
+    const value = env[name] || fallback;
+    if (!allowed.has(value)) {
+      errors.push(`${name} must be one of: ${[...allowed].join(", ")}.`);
+      return fallback;
+    }
+    return value;
+  }
+
+  function url(name, protocols) {
+    const raw = env[name];
+    if (!raw) return null;
+
+    try {
+      const parsed = new URL(raw);
+      if (protocols.includes(parsed.protocol)) return raw;
+    } catch {
+      // Reported below.
+    }
+    errors.push(`${name} must be a ${protocols.join(" or ")} URL.`);
+    return null;
+  }
+
+  // Origins are compared as the browser sends them: scheme, host and port.
+  function origin(name, raw) {
+    try {
+      const parsed = new URL(raw);
+      if (parsed.origin !== "null" && raw.replace(/\/$/, "") === parsed.origin) {
+        return parsed.origin;
+      }
+    } catch {
+      // Reported below.
+    }
+    errors.push(`${name} has "${raw}", which is not an origin such as https://app.example.com.`);
+    return null;
+  }
+
+  let jwtSecret = env.JWT_SECRET || "";
+  if (!jwtSecret) {
+    if (production) errors.push("JWT_SECRET must be set in production.");
+    else warnings.push("JWT_SECRET is not set; using a development secret.");
+    jwtSecret ||= DEV_JWT_SECRET;
+  } else if (
+    production &&
+    (jwtSecret.length < MIN_JWT_SECRET_LENGTH || PLACEHOLDER_SECRETS.has(jwtSecret))
+  ) {
+    errors.push(
+      `JWT_SECRET is too weak: use at least ${MIN_JWT_SECRET_LENGTH} random characters ` +
+        '(for example the output of "openssl rand -hex 32").',
+    );
+  }
+
+  // The embedded database keeps its data in the process (or STORAGE_DIR on
+  // the instance's disk), which a production deploy cannot rely on.
+  const storage = oneOf("STORAGE", STORAGE_KINDS, env.DATABASE_URL ? "postgres" : "memory");
+  const databaseUrl = url("DATABASE_URL", ["postgres:", "postgresql:"]);
+  if (production && !env.DATABASE_URL) {
+    errors.push("DATABASE_URL must be set in production.");
+  } else if (production && storage === "memory") {
+    errors.push("STORAGE=memory cannot be used in production; use postgres.");
+  } else if (storage === "postgres" && !env.DATABASE_URL) {
+    errors.push("DATABASE_URL must be set when STORAGE is postgres.");
+  }
+
+  // Hosted databases are reached over TLS with the certificate checked,
+  // against DATABASE_CA_FILE when the server's CA is not a public one.
+  const databaseSsl = oneOf(
+    "DATABASE_SSL",
+    DATABASE_SSL_MODES,
+    production ? "verify" : "disable",
+  );
+  let databaseCa = null;
+  if (env.DATABASE_CA_FILE) {
+    try {
+      databaseCa = readFileSync(env.DATABASE_CA_FILE, "utf8");
+    } catch (err) {
+      errors.push(`DATABASE_CA_FILE cannot be read: ${err.message}`);
+    }
+  }
+
+  const clientUrl = url("CLIENT_URL", ["http:", "https:"]);
+  const publicAppUrl = url("PUBLIC_APP_URL", ["http:", "https:"]);
+  if (production && !publicAppUrl && !clientUrl) {
+    warnings.push("PUBLIC_APP_URL is not set; links in emails point at localhost.");
+  }
+
+  const corsOrigins = (env.CORS_ORIGINS || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => origin("CORS_ORIGINS", item));
+
+  const allowedOrigins = new Set(
+    [...DEFAULT_ORIGINS, clientUrl, publicAppUrl, ...corsOrigins]
+      .filter(Boolean)
+      .map((item) => new URL(item).origin),
+  );
+
+  const reminderNotifier = oneOf("REMINDER_NOTIFIER", NOTIFIER_KINDS, "console");
+  const reminderWebhookUrl = url("REMINDER_WEBHOOK_URL", ["http:", "https:"]);
+  if (reminderNotifier === "webhook" && !env.REMINDER_WEBHOOK_URL) {
+    errors.push("REMINDER_WEBHOOK_URL must be set when REMINDER_NOTIFIER is webhook.");
+  }
+
+  const config = {
+    production,
+    port: integer("PORT", 3001, { max: 65535 }),
+    jwtSecret,
+    storage,
+    storageDir: env.STORAGE_DIR || null,
+    databaseUrl,
+    databaseSsl,
+    databaseCa,
+    trustProxyHops: integer("TRUST_PROXY_HOPS", 0, { min: 0, max: 10 }),
+    rateLimitRedisUrl: url("RATE_LIMIT_REDIS_URL", ["redis:", "rediss:"]),
+    allowedOrigins,
+    appUrl: publicAppUrl || clientUrl || "http://localhost:5173",
+    mailFrom: env.MAIL_FROM || "Taskist <no-reply@taskist.com>",
+    smtpUrl: url("SMTP_URL", ["smtp:", "smtps:"]),
+    smtpHost: env.SMTP_HOST || null,
+    smtpPort: integer("SMTP_PORT", 587, { max: 65535 }),
+    smtpUser: env.SMTP_USER || null,
+    smtpPass: env.SMTP_PASS || null,
+    reminderNotifier,
+    reminderWebhookUrl,
+    reminderIntervalMs: integer("REMINDER_INTERVAL_MS", 30 * 1000),
+    digestIntervalMs: integer("DIGEST_INTERVAL_MS", 10 * 60 * 1000),
+    trashPurgeIntervalMs: integer("TRASH_PURGE_INTERVAL_MS", 60 * 60 * 1000),
+    trashRetentionDays: integer("TRASH_RETENTION_DAYS", 30),
+  };
+
+  return { config, errors, warnings };
+}
+
+function loadConfig() {
+  const { config: loaded, errors, warnings } = readConfig(process.env);
+  warnings.forEach((warning) => console.warn(`Config: ${warning}`));
+  if (errors.length) {
+    throw new Error(`Invalid configuration:\n  ${errors.join("\n  ")}`);
+  }
+  return loaded;
+}
+
+export const config = loadConfig();
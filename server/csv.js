@@ -0,0 +1,63 @@
+// RFC 4180 CSV as spreadsheets and other task apps write it: comma-separated,
+// fields optionally quoted with "" escaping a quote, CRLF or LF line ends.
+
+// Splits CSV text into rows of string fields. Returns { rows } or { error }
+// when a quoted field is never closed.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) return { error: "The CSV has a quoted field that is never closed." };
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return { rows };
+}
+
+// Spreadsheets run cells starting with these as formulas, so exported text
+// that begins with one is prefixed with a quote to keep it plain text.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function formatField(value) {
+  if (value == null) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+// Joins rows of values into CSV text with CRLF line ends.
+export function formatCsv(rows) {
+  return rows.map((row) => row.map(formatField).join(",")).join("\r\n") + "\r\n";
+}
@@ -1,12 +1,73 @@
+import { AsyncLocalStorage } from "node:async_hooks";
 import pg from "pg";
+import { config } from "./config.js";
 
-const { Pool } = pg;
+const { Pool, types } = pg;
 
-export const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  // Render Postgres typically expects SSL in hosted environments
-  ssl:
-    process.env.NODE_ENV === "production"
-      ? { rejectUnauthorized: false }
-      : false,
-});
+// Hand DATE columns back as "YYYY-MM-DD" strings instead of Date objects at
+// local midnight, which would shift the day in any time zone but the server's.
+types.setTypeParser(types.builtins.DATE, (value) => value);
+
+// "postgres" talks to the server at DATABASE_URL. "memory" runs an embedded
+// Postgres inside this process, so the API runs with no database service; its
+// data is lost on exit unless STORAGE_DIR names a directory to keep it in.
+export const STORAGE = config.storage;
+
+async function createPool() {
+  if (STORAGE === "memory") {
+    const { createEmbeddedPool } = await import("./embeddedDb.js");
+    return createEmbeddedPool(config.storageDir ?? undefined);
+  }
+
+  // With DATABASE_SSL=verify the server's certificate has to check out, against
+  // DATABASE_CA_FILE if given and the system's CAs otherwise.
+  return new Pool({
+    connectionString: config.databaseUrl,
+    ssl:
+      config.databaseSsl === "verify"
+        ? { rejectUnauthorized: true, ca: config.databaseCa ?? undefined }
+        : false,
+  });
+}
+
+const basePool = await createPool();
+const transaction = new AsyncLocalStorage();
+
+// Queries made while a withTransaction() callback runs go through its
+// client, so the helpers it calls join the transaction without being told.
+export const pool = {
+  query: (text, params) => (transaction.getStore()?.client ?? basePool).query(text, params),
+  connect: () => basePool.connect(),
+  end: () => basePool.end(),
+};
+
+// Runs `fn` in a transaction: committed when it resolves, rolled back when it
+// throws. A call made inside another transaction simply joins it.
+export async function withTransaction(fn) {
+  if (transaction.getStore()) return fn();
+
+  const client = await basePool.connect();
+  const store = { client, committed: [] };
+  let result;
+  try {
+    await client.query("BEGIN");
+    result = await transaction.run(store, fn);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  for (const callback of store.committed) await callback();
+  return result;
+}
+
+// Runs `callback` once the current transaction has committed, or right away
+// outside one. Callbacks of a transaction that rolls back never run.
+export async function afterCommit(callback) {
+  const store = transaction.getStore();
+  if (store) store.committed.push(callback);
+  else await callback();
+}
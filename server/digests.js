@@ -0,0 +1,63 @@
+import { pool } from "./db.js";
+import { appLink, sendMail } from "./mail.js";
+import { digestTemplate } from "./mailTemplates.js";
+import { runPeriodically } from "./periodic.js";
+import { listDigestTasks } from "./repositories/tasks.js";
+
+// Digests go out once a day, at the first run after this hour in each user's
+// own time zone, and only to users who opted in and verified their address.
+const DIGEST_HOUR = 7;
+const BATCH_SIZE = 100;
+
+// Claims the users whose digest is due and mails each one. Claiming records
+// today's date first, so a failed send is not retried until tomorrow and
+// several server instances never send the same digest twice.
+export async function sendDueDigests() {
+  const claimed = await pool.query(
+    `
+    UPDATE users AS u
+    SET last_digest_on = (NOW() AT TIME ZONE u.time_zone)::date
+    WHERE u.id IN (
+        SELECT id
+        FROM users
+        WHERE email_digest
+          AND email_verified_at IS NOT NULL
+          AND EXTRACT(HOUR FROM NOW() AT TIME ZONE time_zone) >= ${DIGEST_HOUR}
+          AND (
+            last_digest_on IS NULL
+            OR last_digest_on < (NOW() AT TIME ZONE time_zone)::date
+          )
+        LIMIT ${BATCH_SIZE}
+        FOR UPDATE SKIP LOCKED
+      )
+    RETURNING u.id, u.email, to_char(u.last_digest_on, 'YYYY-MM-DD') AS today;
+    `,
+  );
+
+  let sent = 0;
+  for (const user of claimed.rows) {
+    try {
+      const tasks = await listDigestTasks(user.id, user.today);
+      if (!tasks.length) continue;
+
+      await sendMail(
+        user.email,
+        digestTemplate({
+          date: user.today,
+          overdue: tasks.filter((task) => task.due_date < user.today),
+          dueToday: tasks.filter((task) => task.due_date === user.today),
+          link: appLink({}),
+        }),
+      );
+      sent += 1;
+    } catch (err) {
+      console.error(`Failed to send digest to user ${user.id}:`, err);
+    }
+  }
+  return sent;
+}
+
+// Checks for due digests until the returned stop function is called.
+export function startDigestScheduler({ intervalMs = 10 * 60 * 1000 } = {}) {
+  return runPeriodically("Digest run", sendDueDigests, intervalMs);
+}
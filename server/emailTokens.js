@@ -0,0 +1,72 @@
+import { pool } from "./db.js";
+import { appLink, sendMail } from "./mail.js";
+import { passwordResetTemplate, verifyEmailTemplate } from "./mailTemplates.js";
+import { generateToken, hashToken } from "./sessions.js";
+
+const VERIFY_TTL_HOURS = 48;
+const RESET_TTL_MINUTES = 60;
+
+const TTL_MINUTES = {
+  verify: VERIFY_TTL_HOURS * 60,
+  reset: RESET_TTL_MINUTES,
+};
+
+// Issues a token for `purpose` ("verify" or "reset") and retires the user's
+// earlier ones, so only the most recent email works. Only the hash is stored.
+async function createEmailToken(userId, purpose) {
+  const token = generateToken();
+
+  await pool.query(
+    `
+    UPDATE email_tokens
+    SET used_at = NOW()
+    WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+    `,
+    [userId, purpose],
+  );
+
+  await pool.query(
+    `
+    INSERT INTO email_tokens (user_id, purpose, token_hash, expires_at)
+    VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 minute')
+    `,
+    [userId, purpose, hashToken(token), TTL_MINUTES[purpose]],
+  );
+
+  return token;
+}
+
+// Spends a token and returns its user id, or null when the token is unknown,
+// expired or already used. Marking it used and reading it is one statement,
+// so two requests racing with the same token cannot both succeed.
+export async function consumeEmailToken(token, purpose) {
+  const consumed = await pool.query(
+    `
+    UPDATE email_tokens
+    SET used_at = NOW()
+    WHERE token_hash = $1
+      AND purpose = $2
+      AND used_at IS NULL
+      AND expires_at > NOW()
+    RETURNING user_id;
+    `,
+    [hashToken(token), purpose],
+  );
+  return consumed.rows[0]?.user_id ?? null;
+}
+
+export async function sendVerificationEmail(user) {
+  const token = await createEmailToken(user.id, "verify");
+  await sendMail(
+    user.email,
+    verifyEmailTemplate({ link: appLink({ verify: token }), ttlHours: VERIFY_TTL_HOURS }),
+  );
+}
+
+export async function sendPasswordResetEmail(user) {
+  const token = await createEmailToken(user.id, "reset");
+  await sendMail(
+    user.email,
+    passwordResetTemplate({ link: appLink({ reset: token }), ttlMinutes: RESET_TTL_MINUTES }),
+  );
+}
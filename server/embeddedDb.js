@@ -0,0 +1,44 @@
+import { PGlite, types } from "@electric-sql/pglite";
+
+// PGlite, Postgres compiled to WebAssembly, behind the part of the pg Pool
+// interface the server uses. It runs the same SQL and migrations as a real
+// server, so nothing above db.js knows which one it is talking to.
+export function createEmbeddedPool(dataDir) {
+  const db = new PGlite({
+    dataDir,
+    // Match what node-postgres returns (see db.js): dates and bigints as text.
+    parsers: {
+      [types.DATE]: (value) => value,
+      [types.INT8]: (value) => value,
+    },
+  });
+
+  // PGlite is a single connection, so queries take turns. A checked-out
+  // client keeps its turn until released, which keeps its transaction from
+  // picking up other requests' statements.
+  let turn = Promise.resolve();
+  function exclusive(fn) {
+    const result = turn.then(fn);
+    turn = result.catch(() => {});
+    return result;
+  }
+
+  // Without parameters a string may hold several statements, as with pg's
+  // simple query protocol; the last one's rows are returned.
+  async function run(text, params = []) {
+    const result = params.length ? await db.query(text, params) : (await db.exec(text)).at(-1);
+    return {
+      rows: result?.rows ?? [],
+      rowCount: result?.affectedRows || result?.rows.length || 0,
+    };
+  }
+
+  return {
+    query: (text, params) => exclusive(() => run(text, params)),
+    connect: () =>
+      new Promise((resolve) => {
+        exclusive(() => new Promise((release) => resolve({ query: run, release })));
+      }),
+    end: () => exclusive(() => db.close()),
+  };
+}
@@ -0,0 +1,146 @@
+import { randomBytes } from "node:crypto";
+import { EventEmitter } from "node:events";
+import express from "express";
+import { requireAuth } from "./auth.js";
+import { afterCommit, pool } from "./db.js";
+import { findTask, findTaskOwnerId } from "./repositories/tasks.js";
+import { isSessionActive } from "./sessions.js";
+
+// Pushes task changes to every open app of the users who can see the task, as
+// Server-Sent Events on GET /api/events. Events fan out within this process;
+// the last REPLAY_SIZE of them are kept so a client that reconnects with
+// Last-Event-ID gets what it missed. Anything older, or ids from before a
+// restart, get a "resync" event telling the client to reload instead.
+
+export const eventsRouter = express.Router();
+
+const REPLAY_SIZE = 1000;
+const HEARTBEAT_MS = 25 * 1000;
+// Event ids are "<stream>-<seq>", so ids handed out by an earlier process are
+// never mistaken for this one's.
+const STREAM = randomBytes(4).toString("hex");
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+const recent = [];
+let lastSeq = 0;
+
+function publish(userIds, type, data) {
+  if (!userIds.length) return;
+
+  const event = { seq: (lastSeq += 1), userIds: new Set(userIds), type, data };
+  recent.push(event);
+  if (recent.length > REPLAY_SIZE) recent.shift();
+  bus.emit("event", event);
+}
+
+// Who sees a task while it is in the given project: its members, or the task's
+// owner when it sits in their inbox.
+async function findAudience(taskId, projectId) {
+  if (projectId == null) {
+    const ownerId = await findTaskOwnerId(taskId);
+    return ownerId == null ? [] : [ownerId];
+  }
+
+  const found = await pool.query(
+    "SELECT user_id FROM project_members WHERE project_id = $1;",
+    [projectId],
+  );
+  return found.rows.map((row) => row.user_id);
+}
+
+// Sends the task as it is once the current transaction commits: "task.created"
+// for a new task, "task.deleted" once it is in the trash, "task.updated"
+// otherwise. Pass the project an update moved it out of as `formerProjectId`
+// so members who lost sight of it drop it. Delivery is best effort; a failure
+// here never fails the change itself.
+export function notifyTask(taskId, { created = false, formerProjectId } = {}) {
+  return afterCommit(async () => {
+    try {
+      const task = await findTask(taskId);
+      if (!task) return;
+
+      const audience = await findAudience(taskId, task.project_id);
+      if (task.deleted_at) publish(audience, "task.deleted", { id: taskId });
+      else publish(audience, created ? "task.created" : "task.updated", { task });
+
+      if (formerProjectId !== undefined && formerProjectId !== task.project_id) {
+        const former = await findAudience(taskId, formerProjectId);
+        publish(
+          former.filter((userId) => !audience.includes(userId)),
+          "task.deleted",
+          { id: taskId },
+        );
+      }
+    } catch (err) {
+      console.error(err);
+    }
+  });
+}
+
+// Asks the users' apps to reload their tasks, for changes that touch too many
+// tasks to send one by one, such as joining, leaving or archiving a project.
+export function notifyResync(userIds) {
+  return afterCommit(() => publish(userIds, "resync", {}));
+}
+
+function write(res, type, seq, data) {
+  res.write(`id: ${STREAM}-${seq}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// The stream starts with the events missed since Last-Event-ID, then "ready"
+// (or "resync" when they are no longer known). The access token is checked
+// once, so the stream ends when it expires and the client reconnects with a
+// fresh one; the session is checked again with every heartbeat, so a device
+// that is signed out stops getting events within HEARTBEAT_MS.
+eventsRouter.get("/", requireAuth, (req, res) => {
+  const userId = req.user.id;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  const lastEventId = req.get("Last-Event-ID");
+  if (lastEventId) {
+    const [stream, seq] = lastEventId.split("-");
+    const from = Number(seq);
+    const oldest = recent[0]?.seq ?? lastSeq + 1;
+
+    if (stream === STREAM && Number.isInteger(from) && from >= oldest - 1 && from <= lastSeq) {
+      for (const event of recent) {
+        if (event.seq > from && event.userIds.has(userId)) {
+          write(res, event.type, event.seq, event.data);
+        }
+      }
+      write(res, "ready", lastSeq, {});
+    } else {
+      write(res, "resync", lastSeq, {});
+    }
+  } else {
+    write(res, "ready", lastSeq, {});
+  }
+
+  const listener = (event) => {
+    if (event.userIds.has(userId)) write(res, event.type, event.seq, event.data);
+  };
+  bus.on("event", listener);
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (await isSessionActive(req.user.sid)) res.write(": ping\n\n");
+      else res.end();
+    } catch (err) {
+      console.error(err);
+    }
+  }, HEARTBEAT_MS);
+  const expiry = setTimeout(() => res.end(), req.user.exp * 1000 - Date.now());
+
+  res.on("close", () => {
+    bus.off("event", listener);
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
+});
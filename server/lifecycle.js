@@ -0,0 +1,34 @@
+import { VALID_STATUSES } from "./validation.js";
+
+// A task is completed exactly when its status is "done". completed_at records
+// when it got there and reopen_status the status it had before, so reopening
+// a task puts it back in the column it came from. The writes that keep the
+// three in step are updateTaskLifecycle and completeTaskIfChecklistDone in
+// repositories/tasks.js.
+
+// Works out the completed flag and status a create or update asks for.
+// Returns null when the body touches neither, { error } for an unknown status
+// or a contradictory pair, and otherwise { completed, status }.
+export function resolveLifecycle(task, body) {
+  const hasCompleted = Object.hasOwn(body, "completed");
+  const hasStatus = Object.hasOwn(body, "status");
+  if (!hasCompleted && !hasStatus) return null;
+
+  if (hasCompleted && typeof body.completed !== "boolean") {
+    return { error: "completed must be true or false." };
+  }
+  if (hasStatus && !VALID_STATUSES.has(body.status)) {
+    return { error: "status must be todo, in_progress or done." };
+  }
+  if (hasCompleted && hasStatus && body.completed !== (body.status === "done")) {
+    return { error: "completed must be true exactly when status is done." };
+  }
+
+  const completed = hasCompleted ? body.completed : body.status === "done";
+  if (completed) return { completed, status: "done" };
+  if (hasStatus) return { completed, status: body.status };
+  return {
+    completed,
+    status: task.completed ? (task.reopen_status ?? "todo") : task.status,
+  };
+}
@@ -0,0 +1,106 @@
+// Every template returns { subject, text, html } for sendMail. Anything that
+// comes from users (task titles, emails) is escaped before it reaches HTML.
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function layout(heading, bodyHtml) {
+  return `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4ede2;font-family:Arial,sans-serif;color:#192132">
+    <div style="max-width:520px;margin:0 auto;padding:28px;border-radius:18px;background:#ffffff">
+      <p style="margin:0 0 6px;color:#1f8f78;font-weight:700">Taskist</p>
+      <h1 style="margin:0 0 16px;font-size:22px">${escapeHtml(heading)}</h1>
+      ${bodyHtml}
+    </div>
+  </body>
+</html>`;
+}
+
+function button(link, label) {
+  return `<p style="margin:24px 0"><a href="${escapeHtml(link)}" style="display:inline-block;padding:12px 20px;border-radius:999px;background:#1f8f78;color:#ffffff;font-weight:700;text-decoration:none">${escapeHtml(label)}</a></p>`;
+}
+
+function paragraph(text) {
+  return `<p style="margin:0 0 12px;line-height:1.5">${escapeHtml(text)}</p>`;
+}
+
+export function verifyEmailTemplate({ link, ttlHours }) {
+  const intro = "Confirm this address to finish setting up your Taskist account.";
+  const outro = `The link expires in ${ttlHours} hours. If you did not sign up, ignore this email.`;
+
+  return {
+    subject: "Confirm your email for Taskist",
+    text: `${intro}\n\n${link}\n\n${outro}\n`,
+    html: layout(
+      "Confirm your email",
+      paragraph(intro) + button(link, "Confirm email") + paragraph(outro),
+    ),
+  };
+}
+
+export function passwordResetTemplate({ link, ttlMinutes }) {
+  const intro = "Someone asked to reset the password for your Taskist account.";
+  const outro =
+    `The link works once and expires in ${ttlMinutes} minutes. If it was not you, ` +
+    "ignore this email; your password stays the same.";
+
+  return {
+    subject: "Reset your Taskist password",
+    text: `${intro}\n\n${link}\n\n${outro}\n`,
+    html: layout(
+      "Reset your password",
+      paragraph(intro) + button(link, "Choose a new password") + paragraph(outro),
+    ),
+  };
+}
+
+export function reminderTemplate({ title, when, link }) {
+  const line = `"${title}" is due ${when}.`;
+
+  return {
+    subject: `Reminder: ${title}`,
+    text: `${line}\n\n${link}\n`,
+    html: layout("Task reminder", paragraph(line) + button(link, "Open Taskist")),
+  };
+}
+
+// `overdue` and `dueToday` are lists of { title, due_date, project_name }.
+export function digestTemplate({ date, overdue, dueToday, link }) {
+  const sections = [
+    ["Overdue", overdue],
+    ["Due today", dueToday],
+  ].filter(([, tasks]) => tasks.length);
+
+  const describe = (task) =>
+    task.project_name ? `${task.title} (${task.project_name})` : task.title;
+
+  const text = sections
+    .map(
+      ([heading, tasks]) =>
+        `${heading}\n${tasks.map((task) => `- ${describe(task)}`).join("\n")}`,
+    )
+    .join("\n\n");
+
+  const html = sections
+    .map(
+      ([heading, tasks]) =>
+        `<h2 style="margin:18px 0 8px;font-size:16px">${escapeHtml(heading)}</h2>` +
+        `<ul style="margin:0;padding-left:20px;line-height:1.6">${tasks
+          .map((task) => `<li>${escapeHtml(describe(task))}</li>`)
+          .join("")}</ul>`,
+    )
+    .join("");
+
+  return {
+    subject: `Your Taskist digest for ${date}`,
+    text: `${text}\n\n${link}\n`,
+    html: layout(`Your day, ${date}`, html + button(link, "Open Taskist")),
+  };
+}
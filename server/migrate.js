@@ -0,0 +1,61 @@
+import { pool } from "./db.js";
+import { migrateDown, migrateUp, migrationStatus } from "./migrator.js";
+
+// Usage:
+//   node migrate.js up [version]   apply pending migrations (up to version)
+//   node migrate.js down [steps]   revert the latest migrations (default 1)
+//   node migrate.js status         list migrations and whether they are applied
+
+function label(migration) {
+  return `${String(migration.version).padStart(3, "0")}_${migration.name}`;
+}
+
+function readCount(value, fallback) {
+  if (value === undefined) return fallback;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Expected a positive whole number, got "${value}".`);
+  }
+  return count;
+}
+
+async function run(command, arg) {
+  if (command === "up") {
+    const applied = await migrateUp({ to: readCount(arg, Infinity) });
+    for (const migration of applied) console.log(`Applied ${label(migration)}`);
+    if (!applied.length) console.log("Database is up to date.");
+    return;
+  }
+
+  if (command === "down") {
+    const reverted = await migrateDown({ steps: readCount(arg, 1) });
+    for (const migration of reverted) console.log(`Reverted ${label(migration)}`);
+    if (!reverted.length) console.log("No migrations to revert.");
+    return;
+  }
+
+  if (command === "status") {
+    for (const migration of await migrationStatus()) {
+      const state = migration.missing
+        ? "applied, file missing"
+        : migration.appliedAt
+          ? `applied ${migration.appliedAt.toISOString()}`
+          : "pending";
+      console.log(`${label(migration)}  ${state}`);
+    }
+    return;
+  }
+
+  throw new Error(`Unknown command "${command}". Use up, down or status.`);
+}
+
+const [command = "up", arg] = process.argv.slice(2);
+
+try {
+  await run(command, arg);
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,186 @@
+// The schema as the server used to create it on every boot. Each statement is
+// idempotent, so databases set up before versioned migrations adopt this
+// version without changes.
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      email TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS time_zone TEXT NOT NULL DEFAULT 'UTC',
+      ADD COLUMN IF NOT EXISTS task_view TEXT NOT NULL DEFAULT 'list',
+      ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS email_digest BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS last_digest_on DATE;
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      refresh_token_hash TEXT NOT NULL UNIQUE,
+      user_agent TEXT NOT NULL,
+      ip TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      revoked_at TIMESTAMPTZ
+    );
+
+    CREATE TABLE IF NOT EXISTS email_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      purpose TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      expires_at TIMESTAMPTZ NOT NULL,
+      used_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS projects (
+      id SERIAL PRIMARY KEY,
+      owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      color TEXT,
+      archived_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS projects_owner_id_idx ON projects (owner_id);
+
+    CREATE TABLE IF NOT EXISTS project_members (
+      project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (project_id, user_id)
+    );
+    CREATE INDEX IF NOT EXISTS project_members_user_id_idx ON project_members (user_id);
+
+    INSERT INTO project_members (project_id, user_id, role)
+    SELECT id, owner_id, 'owner' FROM projects
+    ON CONFLICT DO NOTHING;
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS tasks (
+      id SERIAL PRIMARY KEY,
+      owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      title TEXT NOT NULL,
+      completed BOOLEAN NOT NULL DEFAULT FALSE,
+      priority TEXT NOT NULL DEFAULT 'medium',
+      status TEXT NOT NULL DEFAULT 'todo',
+      due_date TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    ALTER TABLE tasks
+      ADD COLUMN IF NOT EXISTS priority TEXT NOT NULL DEFAULT 'medium',
+      ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'todo',
+      ADD COLUMN IF NOT EXISTS due_date TEXT,
+      ADD COLUMN IF NOT EXISTS due_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+      ADD COLUMN IF NOT EXISTS assignee_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS description TEXT,
+      ADD COLUMN IF NOT EXISTS auto_complete BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS recurrence TEXT,
+      ADD COLUMN IF NOT EXISTS position DOUBLE PRECISION,
+      ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS reopen_status TEXT;
+
+    CREATE INDEX IF NOT EXISTS tasks_owner_id_idx ON tasks (owner_id, id);
+    CREATE INDEX IF NOT EXISTS tasks_owner_status_idx ON tasks (owner_id, status, id);
+    CREATE INDEX IF NOT EXISTS tasks_owner_due_date_idx ON tasks (owner_id, due_date, id);
+    CREATE INDEX IF NOT EXISTS tasks_title_search_idx
+      ON tasks USING GIN (to_tsvector('simple', title));
+    CREATE INDEX IF NOT EXISTS tasks_project_id_idx ON tasks (project_id, id);
+    CREATE INDEX IF NOT EXISTS tasks_assignee_id_idx ON tasks (assignee_id, id);
+    CREATE INDEX IF NOT EXISTS tasks_position_idx ON tasks (position, id);
+  `);
+
+  // Tasks from before board ordering start in creation order, newest first.
+  await db.query(`
+    UPDATE tasks SET position = -id * 1024 WHERE position IS NULL;
+    ALTER TABLE tasks ALTER COLUMN position SET NOT NULL;
+  `);
+
+  // Tasks from before completed and status were tied together: either one
+  // saying "done" wins.
+  await db.query(`
+    UPDATE tasks
+    SET reopen_status = CASE WHEN status <> 'done' THEN status END,
+        status = 'done',
+        completed = TRUE
+    WHERE completed <> (status = 'done');
+
+    UPDATE tasks SET completed_at = NOW() WHERE completed AND completed_at IS NULL;
+    UPDATE tasks SET completed_at = NULL, reopen_status = NULL
+    WHERE NOT completed AND (completed_at IS NOT NULL OR reopen_status IS NOT NULL);
+
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'tasks_lifecycle_check'
+      ) THEN
+        ALTER TABLE tasks ADD CONSTRAINT tasks_lifecycle_check CHECK (
+          completed = (status = 'done') AND completed = (completed_at IS NOT NULL)
+        );
+      END IF;
+    END $$;
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS task_checklist_items (
+      id SERIAL PRIMARY KEY,
+      task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      title TEXT NOT NULL,
+      completed BOOLEAN NOT NULL DEFAULT FALSE,
+      position INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS task_checklist_items_task_id_idx
+      ON task_checklist_items (task_id, position);
+
+    CREATE TABLE IF NOT EXISTS tags (
+      id SERIAL PRIMARY KEY,
+      owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      color TEXT NOT NULL DEFAULT '#6b7387',
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS tags_owner_name_idx ON tags (owner_id, LOWER(name));
+
+    CREATE TABLE IF NOT EXISTS task_tags (
+      task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+      PRIMARY KEY (task_id, tag_id)
+    );
+    CREATE INDEX IF NOT EXISTS task_tags_tag_id_idx ON task_tags (tag_id, task_id);
+
+    CREATE TABLE IF NOT EXISTS task_reminders (
+      id SERIAL PRIMARY KEY,
+      task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      minutes_before INTEGER NOT NULL,
+      remind_at TIMESTAMPTZ,
+      sent_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (task_id, user_id, minutes_before)
+    );
+    CREATE INDEX IF NOT EXISTS task_reminders_pending_idx
+      ON task_reminders (remind_at) WHERE sent_at IS NULL;
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    DROP TABLE IF EXISTS task_reminders, task_tags, tags, task_checklist_items, tasks,
+      project_members, projects, email_tokens, sessions, users;
+  `);
+}
@@ -0,0 +1,22 @@
+// Stores due dates as DATE rather than "YYYY-MM-DD" text. Any stored value
+// that is not a real date is cleared rather than failing the migration.
+
+export async function up(db) {
+  await db.query(`
+    CREATE FUNCTION pg_temp.to_due_date(value TEXT) RETURNS DATE AS $$
+    BEGIN
+      RETURN value::date;
+    EXCEPTION WHEN others THEN
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    ALTER TABLE tasks ALTER COLUMN due_date TYPE DATE USING pg_temp.to_due_date(due_date);
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    ALTER TABLE tasks ALTER COLUMN due_date TYPE TEXT USING to_char(due_date, 'YYYY-MM-DD');
+  `);
+}
@@ -0,0 +1,41 @@
+// Gives every task a version and updated_at for optimistic concurrency: a
+// client sends back the version it last saw (If-Match) and the write is
+// refused if the task has changed since. A trigger bumps both on any update
+// that changes what the task says, so no write path can forget to, but only
+// once per transaction (NOW() is the transaction's start time), so an edit
+// made of several statements is still one new version. Board order is left
+// out, so dragging a card does not invalidate other edits.
+
+export async function up(db) {
+  await db.query(`
+    ALTER TABLE tasks
+      ADD COLUMN version INTEGER NOT NULL DEFAULT 1,
+      ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+    UPDATE tasks SET updated_at = COALESCE(completed_at, created_at);
+
+    CREATE FUNCTION bump_task_version() RETURNS trigger AS $$
+    BEGIN
+      IF OLD.updated_at <> NOW()
+         AND to_jsonb(NEW) - 'position' - 'version' - 'updated_at'
+           IS DISTINCT FROM to_jsonb(OLD) - 'position' - 'version' - 'updated_at' THEN
+        NEW.version := OLD.version + 1;
+        NEW.updated_at := NOW();
+      END IF;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER tasks_bump_version
+      BEFORE UPDATE ON tasks
+      FOR EACH ROW EXECUTE FUNCTION bump_task_version();
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    DROP TRIGGER tasks_bump_version ON tasks;
+    DROP FUNCTION bump_task_version();
+    ALTER TABLE tasks DROP COLUMN version, DROP COLUMN updated_at;
+  `);
+}
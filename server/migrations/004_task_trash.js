@@ -0,0 +1,19 @@
+// Deleting a task moves it to the trash (deleted_at) instead of removing the
+// row, so it can be restored until the retention period runs out.
+
+export async function up(db) {
+  await db.query(`
+    ALTER TABLE tasks ADD COLUMN deleted_at TIMESTAMPTZ;
+
+    CREATE INDEX tasks_deleted_at_idx ON tasks (deleted_at) WHERE deleted_at IS NOT NULL;
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    DELETE FROM tasks WHERE deleted_at IS NOT NULL;
+
+    DROP INDEX tasks_deleted_at_idx;
+    ALTER TABLE tasks DROP COLUMN deleted_at;
+  `);
+}
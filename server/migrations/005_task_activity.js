@@ -0,0 +1,41 @@
+// An append-only history of changes to each task: who did what, when, and
+// the values before and after. Rows can be added but never edited; they go
+// away only with their task.
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE task_activity (
+      id SERIAL PRIMARY KEY,
+      task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      action TEXT NOT NULL,
+      old_value JSONB,
+      new_value JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX task_activity_task_id_idx ON task_activity (task_id, id);
+
+    -- Only the foreign key may touch a row, to forget a deleted user.
+    CREATE FUNCTION reject_task_activity_update() RETURNS trigger AS $$
+    BEGIN
+      IF NEW.user_id IS NULL
+         AND to_jsonb(NEW) - 'user_id' = to_jsonb(OLD) - 'user_id' THEN
+        RETURN NEW;
+      END IF;
+      RAISE EXCEPTION 'task_activity is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER task_activity_append_only
+      BEFORE UPDATE ON task_activity
+      FOR EACH ROW EXECUTE FUNCTION reject_task_activity_update();
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    DROP TABLE task_activity;
+    DROP FUNCTION reject_task_activity_update();
+  `);
+}
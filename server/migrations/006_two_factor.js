@@ -0,0 +1,44 @@
+// Optional two-factor login with an authenticator app (TOTP). The secret sits
+// in totp_pending_secret until the user proves their app has it, then moves to
+// totp_secret; totp_last_step stops a code from being used twice. Recovery
+// codes and the challenges a login answers with are stored hashed, like the
+// other tokens.
+
+export async function up(db) {
+  await db.query(`
+    ALTER TABLE users
+      ADD COLUMN totp_secret TEXT,
+      ADD COLUMN totp_pending_secret TEXT,
+      ADD COLUMN totp_last_step BIGINT;
+
+    CREATE TABLE recovery_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash TEXT NOT NULL,
+      used_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX recovery_codes_user_id_idx ON recovery_codes (user_id);
+
+    CREATE TABLE login_challenges (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash TEXT NOT NULL UNIQUE,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      expires_at TIMESTAMPTZ NOT NULL,
+      used_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    DROP TABLE login_challenges, recovery_codes;
+
+    ALTER TABLE users
+      DROP COLUMN totp_secret,
+      DROP COLUMN totp_pending_secret,
+      DROP COLUMN totp_last_step;
+  `);
+}
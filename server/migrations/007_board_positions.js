@@ -0,0 +1,19 @@
+// Board ranks are kept per board (a project, or one user's inbox), so the
+// lookups that find a task's neighbours and the top of a board only scan that
+// board's rows.
+
+export async function up(db) {
+  await db.query(`
+    CREATE INDEX tasks_project_position_idx ON tasks (project_id, position, id)
+      WHERE project_id IS NOT NULL;
+    CREATE INDEX tasks_inbox_position_idx ON tasks (owner_id, position, id)
+      WHERE project_id IS NULL;
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    DROP INDEX tasks_inbox_position_idx;
+    DROP INDEX tasks_project_position_idx;
+  `);
+}
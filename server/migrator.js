@@ -0,0 +1,174 @@
+import { readdir } from "node:fs/promises";
+import { pool } from "./db.js";
+
+// Schema changes live in migrations/ as numbered files ("003_add_x.js") that
+// export `up(db)` and `down(db)`. schema_migrations records which versions
+// a database has, and each migration runs in its own transaction.
+const MIGRATIONS_DIR = new URL("./migrations/", import.meta.url);
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+// Held while migrating, so two deploys starting at once take turns.
+const MIGRATION_LOCK_KEY = 412_771_301;
+
+export async function loadMigrations() {
+  const files = await readdir(MIGRATIONS_DIR);
+  const migrations = [];
+
+  for (const file of files) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+
+    const version = Number(match[1]);
+    if (migrations.some((migration) => migration.version === version)) {
+      throw new Error(`Two migrations share version ${version}.`);
+    }
+
+    const { up, down } = await import(new URL(file, MIGRATIONS_DIR).href);
+    if (typeof up !== "function" || typeof down !== "function") {
+      throw new Error(`Migration ${file} must export up and down functions.`);
+    }
+    migrations.push({ version, name: match[2], up, down });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+async function readApplied(db) {
+  const applied = await db.query(
+    "SELECT version, name, applied_at FROM schema_migrations ORDER BY version;",
+  );
+  return applied.rows;
+}
+
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1);", [MIGRATION_LOCK_KEY]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    return await fn(client);
+  } finally {
+    await client
+      .query("SELECT pg_advisory_unlock($1);", [MIGRATION_LOCK_KEY])
+      .catch(() => {});
+    client.release();
+  }
+}
+
+async function inTransaction(client, fn) {
+  await client.query("BEGIN");
+  try {
+    await fn();
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  }
+}
+
+// Applies every pending migration in order, or only those up to `to`.
+// Returns the migrations it applied.
+export async function migrateUp({ to = Infinity } = {}) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = new Set((await readApplied(client)).map((row) => row.version));
+    const pending = migrations.filter(
+      (migration) => !applied.has(migration.version) && migration.version <= to,
+    );
+
+    for (const migration of pending) {
+      await inTransaction(client, async () => {
+        await migration.up(client);
+        await client.query(
+          "INSERT INTO schema_migrations (version, name) VALUES ($1, $2);",
+          [migration.version, migration.name],
+        );
+      });
+    }
+    return pending;
+  });
+}
+
+// Reverts the most recently applied migrations, newest first. Returns the
+// migrations it reverted.
+export async function migrateDown({ steps = 1 } = {}) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = (await readApplied(client)).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const row of applied) {
+      const migration = migrations.find((candidate) => candidate.version === row.version);
+      if (!migration) {
+        throw new Error(
+          `Migration ${row.version}_${row.name} is applied but its file is missing.`,
+        );
+      }
+
+      await inTransaction(client, async () => {
+        await migration.down(client);
+        await client.query("DELETE FROM schema_migrations WHERE version = $1;", [
+          migration.version,
+        ]);
+      });
+      reverted.push(migration);
+    }
+    return reverted;
+  });
+}
+
+// Every known migration with when it was applied (null while pending), plus
+// any applied version this checkout has no file for, flagged as `missing`.
+export async function migrationStatus() {
+  const migrations = await loadMigrations();
+  const applied = await withMigrationLock(readApplied);
+  const appliedAt = new Map(applied.map((row) => [row.version, row.applied_at]));
+
+  const status = migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: appliedAt.get(migration.version) ?? null,
+    missing: false,
+  }));
+  for (const row of applied) {
+    if (!migrations.some((migration) => migration.version === row.version)) {
+      status.push({
+        version: row.version,
+        name: row.name,
+        appliedAt: row.applied_at,
+        missing: true,
+      });
+    }
+  }
+  return status.sort((a, b) => a.version - b.version);
+}
+
+// Throws unless the database is on exactly the schema this code expects, so
+// the server never runs against tables it does not understand.
+export async function assertMigrated() {
+  const status = await migrationStatus();
+
+  const missing = status.filter((migration) => migration.missing);
+  if (missing.length) {
+    throw new Error(
+      `Database has migrations this code does not know about (${missing
+        .map((migration) => migration.version)
+        .join(", ")}). Deploy a newer version or roll back first.`,
+    );
+  }
+
+  const pending = status.filter((migration) => !migration.appliedAt);
+  if (pending.length) {
+    throw new Error(
+      `Database schema is out of date: ${pending.length} pending migration(s). ` +
+        `Run "npm run migrate" in server/ first.`,
+    );
+  }
+}
@@ -0,0 +1,82 @@
+import { config } from "./config.js";
+import { appLink, sendMail } from "./mail.js";
+import { reminderTemplate } from "./mailTemplates.js";
+
+// Reminder delivery. Every notifier exposes `notify(reminder)`, where a
+// reminder carries task_id, title, due_date, due_at, minutes_before,
+// remind_at, user_id, email and time_zone. Pick one with REMINDER_NOTIFIER.
+
+function dueWhen(reminder) {
+  return reminder.due_at
+    ? new Date(reminder.due_at).toLocaleString("en-US", {
+        timeZone: reminder.time_zone,
+        dateStyle: "medium",
+        timeStyle: "short",
+      })
+    : reminder.due_date;
+}
+
+function describe(reminder) {
+  const when = dueWhen(reminder);
+  return `Reminder for ${reminder.email}: "${reminder.title}" is due ${when}.`;
+}
+
+export function createConsoleNotifier() {
+  return {
+    async notify(reminder) {
+      console.log(describe(reminder));
+    },
+  };
+}
+
+// POSTs each reminder as JSON, e.g. to a chat webhook or a push gateway.
+export function createWebhookNotifier(url) {
+  if (!url) throw new Error("REMINDER_WEBHOOK_URL is required for the webhook notifier.");
+
+  return {
+    async notify(reminder) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...reminder, text: describe(reminder) }),
+      });
+      if (!res.ok) throw new Error(`Webhook responded with ${res.status}.`);
+    },
+  };
+}
+
+// Emails each reminder through the mail transport (see mail.js).
+export function createEmailNotifier() {
+  return {
+    async notify(reminder) {
+      await sendMail(
+        reminder.email,
+        reminderTemplate({
+          title: reminder.title,
+          when: dueWhen(reminder),
+          link: appLink({}),
+        }),
+      );
+    },
+  };
+}
+
+// Keeps reminders in memory instead of delivering them, for local runs and
+// tests that want to assert on what would have been sent.
+export function createMemoryNotifier() {
+  const sent = [];
+  return {
+    sent,
+    async notify(reminder) {
+      sent.push(reminder);
+    },
+  };
+}
+
+export function createNotifier(kind = config.reminderNotifier) {
+  if (kind === "console") return createConsoleNotifier();
+  if (kind === "email") return createEmailNotifier();
+  if (kind === "webhook") return createWebhookNotifier(config.reminderWebhookUrl);
+  if (kind === "memory") return createMemoryNotifier();
+  throw new Error(`Unknown REMINDER_NOTIFIER: ${kind}.`);
+}
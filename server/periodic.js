@@ -0,0 +1,22 @@
+// Runs `job` every `intervalMs` until the returned stop function is called.
+// A run still going when the next one is due is skipped rather than
+// overlapped, and a failure is logged as "<label> failed" without stopping
+// later runs. The timer does not keep the process alive on its own.
+export function runPeriodically(label, job, intervalMs) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job();
+    } catch (err) {
+      console.error(`${label} failed:`, err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,323 @@
+import express from "express";
+import { getProjectRole, PROJECT_ROLES } from "./access.js";
+import { recordActivity } from "./activity.js";
+import { requireAuth } from "./auth.js";
+import { pool, withTransaction } from "./db.js";
+import { notifyResync, notifyTask } from "./events.js";
+import {
+  countOpenTasksByProject,
+  hasProjectTasks,
+  unassignProjectTasks,
+} from "./repositories/tasks.js";
+import { idParam } from "./validation.js";
+
+export const projectsRouter = express.Router();
+
+projectsRouter.use(requireAuth);
+projectsRouter.param("id", idParam("Project not found."));
+projectsRouter.param("userId", idParam("Member not found."));
+
+function normalizeColor(value) {
+  if (typeof value !== "string") return null;
+  return /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : null;
+}
+
+// Resolves the caller's role on the project in the URL, answering 404 for
+// non-members and 403 when the role is not in `allowedRoles`.
+async function loadRole(req, res, allowedRoles) {
+  const role = await getProjectRole(req.user.id, Number(req.params.id));
+  if (!role) {
+    res.status(404).json({ error: "Project not found." });
+    return null;
+  }
+  if (!allowedRoles.includes(role)) {
+    res.status(403).json({ error: "Only the project owner can do that." });
+    return null;
+  }
+  return role;
+}
+
+projectsRouter.get("/", async (req, res) => {
+  try {
+    const result = await pool.query(
+      `
+      SELECT p.id, p.name, p.color, p.archived_at, p.created_at, m.role,
+             (SELECT COUNT(*)::int FROM project_members pm WHERE pm.project_id = p.id)
+               AS member_count
+      FROM projects p
+      JOIN project_members m ON m.project_id = p.id AND m.user_id = $1
+      ORDER BY LOWER(p.name), p.id;
+      `,
+      [req.user.id],
+    );
+    const openCounts = await countOpenTasksByProject(result.rows.map((project) => project.id));
+
+    res.json(
+      result.rows.map((project) => ({
+        ...project,
+        open_count: openCounts.get(project.id) ?? 0,
+      })),
+    );
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+projectsRouter.post("/", async (req, res) => {
+  try {
+    const name = String(req.body.name || "").trim();
+    if (name.length < 1 || name.length > 80) {
+      return res
+        .status(400)
+        .json({ error: "Project name must be between 1 and 80 characters." });
+    }
+
+    const created = await pool.query(
+      `
+      WITH project AS (
+        INSERT INTO projects (owner_id, name, color)
+        VALUES ($1, $2, $3)
+        RETURNING id, name, color, archived_at, created_at
+      ), membership AS (
+        INSERT INTO project_members (project_id, user_id, role)
+        SELECT id, $1, 'owner' FROM project
+      )
+      SELECT * FROM project;
+      `,
+      [req.user.id, name, normalizeColor(req.body.color)],
+    );
+
+    res
+      .status(201)
+      .json({ ...created.rows[0], role: "owner", member_count: 1, open_count: 0 });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+async function memberIds(projectId) {
+  const found = await pool.query(
+    "SELECT user_id FROM project_members WHERE project_id = $1;",
+    [projectId],
+  );
+  return found.rows.map((row) => row.user_id);
+}
+
+projectsRouter.put("/:id", async (req, res) => {
+  try {
+    const projectId = Number(req.params.id);
+    if (!(await loadRole(req, res, ["owner"]))) return;
+
+    const current = await pool.query(
+      "SELECT name, color, archived_at FROM projects WHERE id = $1;",
+      [projectId],
+    );
+    const existing = current.rows[0];
+
+    let name = existing.name;
+    if (Object.hasOwn(req.body, "name")) {
+      name = String(req.body.name || "").trim();
+      if (name.length < 1 || name.length > 80) {
+        return res
+          .status(400)
+          .json({ error: "Project name must be between 1 and 80 characters." });
+      }
+    }
+
+    const color = Object.hasOwn(req.body, "color")
+      ? normalizeColor(req.body.color)
+      : existing.color;
+
+    let archivedAt = existing.archived_at;
+    if (typeof req.body.archived === "boolean") {
+      archivedAt = req.body.archived ? (existing.archived_at ?? new Date()) : null;
+    }
+
+    const updated = await pool.query(
+      `
+      UPDATE projects
+      SET name = $1, color = $2, archived_at = $3
+      WHERE id = $4
+      RETURNING id, name, color, archived_at, created_at;
+      `,
+      [name, color, archivedAt, projectId],
+    );
+    // Archiving hides the project's tasks from every member's lists.
+    await notifyResync(await memberIds(projectId));
+
+    res.json(updated.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+projectsRouter.delete("/:id", async (req, res) => {
+  try {
+    if (!(await loadRole(req, res, ["owner"]))) return;
+
+    // Deleting a project would take its tasks with it, past the trash, so it
+    // has to be empty first. Locking the project holds off new tasks meanwhile.
+    const projectId = Number(req.params.id);
+    const error = await withTransaction(async () => {
+      await pool.query("SELECT id FROM projects WHERE id = $1 FOR UPDATE;", [projectId]);
+      if (await hasProjectTasks(projectId)) {
+        return "Move or delete this project's tasks first, including those in the trash.";
+      }
+
+      const members = await memberIds(projectId);
+      await pool.query("DELETE FROM projects WHERE id = $1;", [projectId]);
+      await notifyResync(members);
+      return null;
+    });
+    if (error) return res.status(409).json({ error });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+projectsRouter.get("/:id/members", async (req, res) => {
+  try {
+    if (!(await loadRole(req, res, ["owner", "editor", "viewer"]))) return;
+
+    const result = await pool.query(
+      `
+      SELECT u.id AS user_id, u.email, m.role, m.created_at
+      FROM project_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.project_id = $1
+      ORDER BY m.role = 'owner' DESC, LOWER(u.email);
+      `,
+      [Number(req.params.id)],
+    );
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+projectsRouter.post("/:id/members", async (req, res) => {
+  try {
+    if (!(await loadRole(req, res, ["owner"]))) return;
+
+    const email = String(req.body.email || "").trim().toLowerCase();
+    const role = req.body.role ?? "editor";
+    if (role === "owner" || !PROJECT_ROLES.has(role)) {
+      return res.status(400).json({ error: "Role must be editor or viewer." });
+    }
+
+    const found = await pool.query("SELECT id, email FROM users WHERE email = $1;", [
+      email,
+    ]);
+    const user = found.rows[0];
+    if (!user) {
+      return res
+        .status(404)
+        .json({ error: "No registered user with that email." });
+    }
+
+    const added = await pool.query(
+      `
+      INSERT INTO project_members (project_id, user_id, role)
+      VALUES ($1, $2, $3)
+      ON CONFLICT DO NOTHING
+      RETURNING created_at;
+      `,
+      [Number(req.params.id), user.id, role],
+    );
+    if (!added.rows[0]) {
+      return res.status(409).json({ error: "That user is already a member." });
+    }
+    await notifyResync([user.id]);
+
+    res.status(201).json({
+      user_id: user.id,
+      email: user.email,
+      role,
+      created_at: added.rows[0].created_at,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+projectsRouter.put("/:id/members/:userId", async (req, res) => {
+  try {
+    if (!(await loadRole(req, res, ["owner"]))) return;
+
+    const role = req.body.role;
+    if (role === "owner" || !PROJECT_ROLES.has(role)) {
+      return res.status(400).json({ error: "Role must be editor or viewer." });
+    }
+
+    const updated = await pool.query(
+      `
+      UPDATE project_members
+      SET role = $1
+      WHERE project_id = $2 AND user_id = $3 AND role <> 'owner'
+      `,
+      [role, Number(req.params.id), Number(req.params.userId)],
+    );
+    if (updated.rowCount === 0) {
+      return res.status(404).json({ error: "Member not found." });
+    }
+    await notifyResync([Number(req.params.userId)]);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Owners remove members; any other member may remove themselves to leave.
+projectsRouter.delete("/:id/members/:userId", async (req, res) => {
+  try {
+    const projectId = Number(req.params.id);
+    const userId = Number(req.params.userId);
+    const leaving = userId === req.user.id;
+
+    const role = await loadRole(
+      req,
+      res,
+      leaving ? ["owner", "editor", "viewer"] : ["owner"],
+    );
+    if (!role) return;
+    if (leaving && role === "owner") {
+      return res
+        .status(400)
+        .json({ error: "The owner cannot leave; delete the project instead." });
+    }
+
+    const removed = await pool.query(
+      `
+      DELETE FROM project_members
+      WHERE project_id = $1 AND user_id = $2 AND role <> 'owner'
+      `,
+      [projectId, userId],
+    );
+    if (removed.rowCount === 0) {
+      return res.status(404).json({ error: "Member not found." });
+    }
+    await notifyResync([userId]);
+
+    const unassigned = await unassignProjectTasks(projectId, userId);
+    for (const task of unassigned) {
+      await recordActivity(req.user.id, task.id, "assigned", { oldValue: task.assignee_email });
+      await notifyTask(task.id);
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
@@ -0,0 +1,175 @@
+// Brute-force protection for the auth routes. Counters live in a limiter
+// store: createMemoryStore by default, which only sees this process, or any
+// other with the same three methods, such as the createRedisStore index.js
+// sets up when RATE_LIMIT_REDIS_URL is given, so that every instance behind a
+// load balancer counts the same attempts. A store that fails (Redis is down)
+// fails open to this process's own counts rather than failing the request:
+// logins keep working, still limited per instance, until it answers again.
+//
+//   hit(key, windowMs)  adds one and returns { count, resetAt }; the window
+//                       starts with the first hit and the key expires with it
+//   get(key)            returns { count, resetAt }, or null once expired
+//   reset(key)          forgets the key
+
+const LOGIN_IP_LIMIT = 20;
+const LOGIN_IP_WINDOW_MS = 15 * 60 * 1000;
+const REGISTER_IP_LIMIT = 20;
+const REGISTER_IP_WINDOW_MS = 60 * 60 * 1000;
+// Failed logins for one email within the window, after which each further
+// failure locks the account for twice as long as the last, up to the maximum.
+const ACCOUNT_FAILURE_LIMIT = 5;
+const ACCOUNT_FAILURE_WINDOW_MS = 60 * 60 * 1000;
+const FIRST_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export function createMemoryStore() {
+  const entries = new Map();
+  let nextSweep = 0;
+
+  // Emails are whatever attackers send, so expired keys cannot wait to be
+  // looked up again.
+  function sweep(now) {
+    if (now < nextSweep) return;
+    nextSweep = now + SWEEP_INTERVAL_MS;
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key);
+    }
+  }
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      sweep(now);
+
+      let entry = entries.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count += 1;
+      return { ...entry };
+    },
+    async get(key) {
+      const entry = entries.get(key);
+      return entry && entry.resetAt > Date.now() ? { ...entry } : null;
+    },
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+const HIT_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+if count == 1 then redis.call("PEXPIRE", KEYS[1], ARGV[1]) end
+return { count, redis.call("PTTL", KEYS[1]) }
+`;
+
+// A store on Redis, or anything speaking its protocol. `sendCommand` runs one
+// command given as an array of strings and resolves with the reply, as
+// node-redis's client.sendCommand(args) does (see redis.js).
+export function createRedisStore(sendCommand, { prefix = "taskist:limit:" } = {}) {
+  return {
+    async hit(key, windowMs) {
+      const [count, ttl] = await sendCommand([
+        "EVAL",
+        HIT_SCRIPT,
+        "1",
+        prefix + key,
+        String(windowMs),
+      ]);
+      return { count: Number(count), resetAt: Date.now() + Number(ttl) };
+    },
+    async get(key) {
+      const [count, ttl] = await Promise.all([
+        sendCommand(["GET", prefix + key]),
+        sendCommand(["PTTL", prefix + key]),
+      ]);
+      if (count === null || Number(ttl) <= 0) return null;
+      return { count: Number(count), resetAt: Date.now() + Number(ttl) };
+    },
+    async reset(key) {
+      await sendCommand(["DEL", prefix + key]);
+    },
+  };
+}
+
+// Runs each call on `shared`, and on a store of this process's own while
+// `shared` throws.
+function withLocalFallback(shared) {
+  const local = createMemoryStore();
+  let failing = false;
+
+  async function call(method, args) {
+    try {
+      const result = await shared[method](...args);
+      failing = false;
+      return result;
+    } catch (err) {
+      if (!failing) console.error("Limiter store failed, counting in this process:", err.message);
+      failing = true;
+      return local[method](...args);
+    }
+  }
+
+  return {
+    hit: (...args) => call("hit", args),
+    get: (...args) => call("get", args),
+    reset: (...args) => call("reset", args),
+  };
+}
+
+let store = createMemoryStore();
+
+export function setLimiterStore(nextStore) {
+  store = withLocalFallback(nextStore);
+}
+
+// Each check returns null to go ahead, or { retryAfterMs } when the caller has
+// to wait.
+function waitUntil(resetAt) {
+  return { retryAfterMs: Math.max(resetAt - Date.now(), 1000) };
+}
+
+// Answers a blocked request with 429 and when to try again.
+export function tooManyAttempts(res, { retryAfterMs }) {
+  const minutes = Math.ceil(retryAfterMs / 60000);
+  res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+  return res.status(429).json({
+    error: `Too many attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+  });
+}
+
+// Checked before the password, so a blocked attempt costs no hashing. Emails
+// lock out whether or not they have an account, which keeps the answer the
+// same for both.
+export async function checkLogin(ip, email) {
+  const fromIp = await store.get(`login:ip:${ip}`);
+  if (fromIp && fromIp.count >= LOGIN_IP_LIMIT) return waitUntil(fromIp.resetAt);
+
+  const lock = await store.get(`login:lock:${email}`);
+  return lock ? waitUntil(lock.resetAt) : null;
+}
+
+export async function recordLoginFailure(ip, email) {
+  await store.hit(`login:ip:${ip}`, LOGIN_IP_WINDOW_MS);
+
+  const failures = await store.hit(`login:failures:${email}`, ACCOUNT_FAILURE_WINDOW_MS);
+  const over = failures.count - ACCOUNT_FAILURE_LIMIT;
+  if (over >= 0) {
+    const lockMs = Math.min(FIRST_LOCKOUT_MS * 2 ** over, MAX_LOCKOUT_MS);
+    await store.hit(`login:lock:${email}`, lockMs);
+  }
+}
+
+export async function recordLoginSuccess(email) {
+  await store.reset(`login:failures:${email}`);
+}
+
+// Every registration counts, successful or not, since each one that works
+// is a new account.
+export async function checkRegister(ip) {
+  const fromIp = await store.hit(`register:ip:${ip}`, REGISTER_IP_WINDOW_MS);
+  return fromIp.count > REGISTER_IP_LIMIT ? waitUntil(fromIp.resetAt) : null;
+}
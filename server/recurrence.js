@@ -0,0 +1,297 @@
+import { pool } from "./db.js";
+import { scheduleReminders } from "./reminders.js";
+import {
+  createNextOccurrence,
+  findRecurringTask,
+  findTask,
+  updateTask,
+} from "./repositories/tasks.js";
+
+// Supported RFC 5545 RRULE subset:
+//   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL=n,
+//   BYDAY=MO,TU (weekly) or BYDAY=1MO / -1FR (monthly, nth weekday),
+//   BYMONTHDAY=n or -1 (monthly), COUNT=n, UNTIL=YYYYMMDD.
+// Weeks start on Monday. Monthly and yearly rules that land on a day the month
+// does not have (the 31st, February 29th) use the month's last day instead.
+
+const FREQUENCIES = new Set(["DAILY", "WEEKLY", "MONTHLY", "YEARLY"]);
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDate(value) {
+  const [year, month, day] = value.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Monday-based index of the week containing `date`, for INTERVAL on weekly rules.
+function weekNumber(date) {
+  const mondayOffset = (date.getUTCDay() + 6) % 7;
+  return Math.floor((date.getTime() - mondayOffset * DAY_MS) / (7 * DAY_MS));
+}
+
+function nthWeekdayOfMonth(year, month, weekday, nth) {
+  if (nth > 0) {
+    const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    const day = 1 + ((weekday - first + 7) % 7) + (nth - 1) * 7;
+    return day <= daysInMonth(year, month)
+      ? new Date(Date.UTC(year, month, day))
+      : null;
+  }
+
+  const lastDay = daysInMonth(year, month);
+  const last = new Date(Date.UTC(year, month, lastDay)).getUTCDay();
+  const day = lastDay - ((last - weekday + 7) % 7) + (nth + 1) * 7;
+  return day >= 1 ? new Date(Date.UTC(year, month, day)) : null;
+}
+
+// Parses an RRULE string (with or without the "RRULE:" prefix). Returns
+// { rule } or { error } describing the first unsupported part.
+export function parseRecurrence(text) {
+  const source = String(text).trim().replace(/^RRULE:/i, "");
+  if (!source) return { error: "Repeat rule is empty." };
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    byDay: [],
+    byMonthDay: null,
+    count: null,
+    until: null,
+  };
+
+  for (const part of source.split(";")) {
+    const [rawKey, rawValue = ""] = part.split("=");
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim().toUpperCase();
+
+    if (key === "FREQ") {
+      if (!FREQUENCIES.has(value)) return { error: `Unsupported FREQ: ${value}.` };
+      rule.freq = value;
+    } else if (key === "INTERVAL") {
+      rule.interval = Number(value);
+      if (
+        !Number.isInteger(rule.interval) ||
+        rule.interval < 1 ||
+        rule.interval > 365
+      ) {
+        return { error: "INTERVAL must be between 1 and 365." };
+      }
+    } else if (key === "BYDAY") {
+      for (const entry of value.split(",")) {
+        const match = /^(-?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+        if (!match) return { error: `Unsupported BYDAY value: ${entry}.` };
+        rule.byDay.push({
+          nth: match[1] ? Number(match[1]) : null,
+          weekday: WEEKDAYS.indexOf(match[2]),
+        });
+      }
+    } else if (key === "BYMONTHDAY") {
+      rule.byMonthDay = Number(value);
+      if (
+        !Number.isInteger(rule.byMonthDay) ||
+        rule.byMonthDay === 0 ||
+        rule.byMonthDay < -1 ||
+        rule.byMonthDay > 31
+      ) {
+        return { error: "BYMONTHDAY must be between 1 and 31, or -1." };
+      }
+    } else if (key === "COUNT") {
+      rule.count = Number(value);
+      if (!Number.isInteger(rule.count) || rule.count < 1) {
+        return { error: "COUNT must be a positive number." };
+      }
+    } else if (key === "UNTIL") {
+      const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+      if (!match) return { error: "UNTIL must be a YYYYMMDD date." };
+      rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+    } else if (key !== "WKST") {
+      return { error: `Unsupported repeat rule part: ${key}.` };
+    }
+  }
+
+  if (!rule.freq) return { error: "Repeat rule needs a FREQ." };
+  if (rule.byDay.length && rule.freq !== "WEEKLY" && rule.freq !== "MONTHLY") {
+    return { error: "BYDAY is only supported for weekly and monthly rules." };
+  }
+  if (rule.freq === "WEEKLY" && rule.byDay.some((day) => day.nth !== null)) {
+    return { error: "Weekly rules take plain weekdays in BYDAY." };
+  }
+  if (rule.freq === "MONTHLY") {
+    if (rule.byDay.length > 1 || (rule.byDay.length && rule.byDay[0].nth === null)) {
+      return { error: "Monthly rules take one BYDAY such as 1MO or -1FR." };
+    }
+    if (rule.byDay.length && rule.byMonthDay !== null) {
+      return { error: "Use either BYDAY or BYMONTHDAY, not both." };
+    }
+  }
+  if (rule.byMonthDay !== null && rule.freq !== "MONTHLY") {
+    return { error: "BYMONTHDAY is only supported for monthly rules." };
+  }
+  if (rule.count !== null && rule.until !== null) {
+    return { error: "Use either COUNT or UNTIL, not both." };
+  }
+
+  return { rule };
+}
+
+export function formatRecurrence(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length) {
+    const days = rule.byDay.map((day) => `${day.nth ?? ""}${WEEKDAYS[day.weekday]}`);
+    parts.push(`BYDAY=${days.join(",")}`);
+  }
+  if (rule.byMonthDay !== null) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.count !== null) parts.push(`COUNT=${rule.count}`);
+  if (rule.until !== null) parts.push(`UNTIL=${rule.until.replaceAll("-", "")}`);
+  return parts.join(";");
+}
+
+function nextMonthly(rule, from, anchorDay) {
+  for (let offset = 0; offset <= 24 * rule.interval; offset += rule.interval) {
+    const year = from.getUTCFullYear() + Math.floor((from.getUTCMonth() + offset) / 12);
+    const month = (from.getUTCMonth() + offset) % 12;
+
+    let candidate;
+    if (rule.byDay.length) {
+      const [{ weekday, nth }] = rule.byDay;
+      candidate = nthWeekdayOfMonth(year, month, weekday, nth);
+    } else {
+      const wanted = rule.byMonthDay ?? anchorDay;
+      const lastDay = daysInMonth(year, month);
+      const day = wanted === -1 ? lastDay : Math.min(wanted, lastDay);
+      candidate = new Date(Date.UTC(year, month, day));
+    }
+
+    if (candidate && candidate > from) return candidate;
+  }
+  return null;
+}
+
+// Returns the next due date (YYYY-MM-DD) strictly after `fromDate`, or null
+// once UNTIL has passed.
+export function nextOccurrence(rule, fromDate) {
+  const from = toDate(fromDate);
+  let next = null;
+
+  if (rule.freq === "DAILY") {
+    next = addDays(from, rule.interval);
+  } else if (rule.freq === "WEEKLY") {
+    if (!rule.byDay.length) {
+      next = addDays(from, 7 * rule.interval);
+    } else {
+      const weekdays = new Set(rule.byDay.map((day) => day.weekday));
+      const startWeek = weekNumber(from);
+      for (let days = 1; days <= 7 * rule.interval + 7; days += 1) {
+        const candidate = addDays(from, days);
+        const weekOffset = weekNumber(candidate) - startWeek;
+        if (weekOffset % rule.interval === 0 && weekdays.has(candidate.getUTCDay())) {
+          next = candidate;
+          break;
+        }
+      }
+    }
+  } else if (rule.freq === "MONTHLY") {
+    next = nextMonthly(rule, from, from.getUTCDate());
+  } else if (rule.freq === "YEARLY") {
+    const year = from.getUTCFullYear() + rule.interval;
+    const month = from.getUTCMonth();
+    next = new Date(
+      Date.UTC(year, month, Math.min(from.getUTCDate(), daysInMonth(year, month))),
+    );
+  }
+
+  if (!next) return null;
+  const nextDate = toDateString(next);
+  if (rule.until && nextDate > rule.until) return null;
+  return nextDate;
+}
+
+// Validates the `recurrence` field of a task body. Returns { value } with the
+// normalised rule (or null to clear it), or { error }.
+export function normalizeRecurrence(value) {
+  if (value == null || value === "") return { value: null };
+  if (typeof value !== "string") return { error: "Repeat rule must be a string." };
+
+  const parsed = parseRecurrence(value);
+  if (parsed.error) return { error: parsed.error };
+  return { value: formatRecurrence(parsed.rule) };
+}
+
+// Called when a recurring task is completed: creates the next occurrence with
+// the following due date (at the same time of day, if the task has one) and
+// moves the rule onto it, so completing the same occurrence twice never
+// creates two successors. Returns the new task row or null when the series
+// has ended.
+export async function spawnNextOccurrence(taskId) {
+  const task = await findRecurringTask(taskId);
+  if (!task) return null;
+
+  const parsed = parseRecurrence(task.recurrence);
+  await updateTask(taskId, { recurrence: null });
+  if (parsed.error) return null;
+
+  const { rule } = parsed;
+  if (rule.count === 1) return null;
+
+  const fromDate = task.due_date ?? new Date().toISOString().slice(0, 10);
+  const dueDate = nextOccurrence(rule, fromDate);
+  if (!dueDate) return null;
+
+  // A plain monthly rule follows the first due date's day of month; pin it so
+  // a series starting on the 31st does not drift after a shorter month.
+  const pinMonthDay =
+    rule.freq === "MONTHLY" && !rule.byDay.length && rule.byMonthDay === null;
+  const nextRule = formatRecurrence({
+    ...rule,
+    byMonthDay: pinMonthDay ? Number(fromDate.slice(8, 10)) : rule.byMonthDay,
+    count: rule.count === null ? null : rule.count - 1,
+  });
+
+  const nextTaskId = await createNextOccurrence(taskId, { dueDate, recurrence: nextRule });
+
+  await pool.query(
+    `
+    INSERT INTO task_checklist_items (task_id, title, position)
+    SELECT $2, title, position
+    FROM task_checklist_items
+    WHERE task_id = $1
+    `,
+    [taskId, nextTaskId],
+  );
+
+  await pool.query(
+    `
+    INSERT INTO task_tags (task_id, tag_id)
+    SELECT $2, tag_id
+    FROM task_tags
+    WHERE task_id = $1
+    `,
+    [taskId, nextTaskId],
+  );
+
+  await pool.query(
+    `
+    INSERT INTO task_reminders (task_id, user_id, minutes_before)
+    SELECT $2, user_id, minutes_before
+    FROM task_reminders
+    WHERE task_id = $1
+    `,
+    [taskId, nextTaskId],
+  );
+  await scheduleReminders(nextTaskId);
+
+  return findTask(nextTaskId);
+}
@@ -0,0 +1,35 @@
+import { createClient } from "redis";
+
+// The Redis connection the shared rate limits go through, on node-redis. It
+// reconnects by itself after a drop; meanwhile commands fail at once instead
+// of queueing for the reconnect, so no request waits on Redis, and the limiter
+// counts in this process until it is back (see rateLimit.js).
+
+// A command not answered in this long fails the same way.
+const COMMAND_TIMEOUT_MS = 2000;
+
+// Returns { sendCommand, close }; sendCommand is what createRedisStore takes.
+export function createRedisClient(url) {
+  const client = createClient({
+    url,
+    disableOfflineQueue: true,
+    commandOptions: { timeout: COMMAND_TIMEOUT_MS },
+  });
+
+  // Every failed reconnect is reported; one line per outage is enough.
+  let down = false;
+  client.on("error", (err) => {
+    if (!down) console.error("Rate limit Redis unavailable:", err.message);
+    down = true;
+  });
+  client.on("ready", () => {
+    down = false;
+  });
+  // A failed connect is reported as an "error" event too.
+  client.connect().catch(() => {});
+
+  return {
+    sendCommand: (args) => client.sendCommand(args),
+    close: () => client.destroy(),
+  };
+}
@@ -0,0 +1,137 @@
+import express from "express";
+import { getTaskAccess } from "./access.js";
+import { pool } from "./db.js";
+import { runPeriodically } from "./periodic.js";
+import { claimDueReminders, rescheduleReminders } from "./repositories/tasks.js";
+
+// Mounted below /api/tasks/:taskId, after requireAuth has run.
+export const remindersRouter = express.Router({ mergeParams: true });
+
+// Tasks without a due time remind relative to this time on their due day, in
+// the time zone of the user who set the reminder.
+const ALL_DAY_REMINDER_TIME = "09:00";
+const MAX_REMINDERS_PER_TASK = 5;
+const MAX_MINUTES_BEFORE = 30 * 24 * 60;
+const BATCH_SIZE = 100;
+
+const REMINDER_COLUMNS = "minutes_before, remind_at, sent_at";
+
+// Call after a task's due date or time changes.
+export async function scheduleReminders(taskId) {
+  await rescheduleReminders({ taskId }, ALL_DAY_REMINDER_TIME);
+}
+
+// Call after a user's time zone changes.
+export async function scheduleRemindersForUser(userId) {
+  await rescheduleReminders({ userId }, ALL_DAY_REMINDER_TIME);
+}
+
+export function readMinutesBefore(value) {
+  if (!Array.isArray(value)) return undefined;
+  const minutes = [...new Set(value)];
+  if (
+    minutes.length > MAX_REMINDERS_PER_TASK ||
+    !minutes.every(
+      (item) => Number.isInteger(item) && item >= 0 && item <= MAX_MINUTES_BEFORE,
+    )
+  ) {
+    return undefined;
+  }
+  return minutes;
+}
+
+// Reminders are personal: this replaces only the caller's reminders on a task.
+export async function setReminders(userId, taskId, minutesBefore) {
+  await pool.query(
+    `
+    DELETE FROM task_reminders
+    WHERE task_id = $1 AND user_id = $2 AND NOT (minutes_before = ANY($3::int[]))
+    `,
+    [taskId, userId, minutesBefore],
+  );
+
+  await pool.query(
+    `
+    INSERT INTO task_reminders (task_id, user_id, minutes_before)
+    SELECT $1, $2, UNNEST($3::int[])
+    ON CONFLICT DO NOTHING
+    `,
+    [taskId, userId, minutesBefore],
+  );
+
+  await scheduleReminders(taskId);
+}
+
+// Claims every reminder that is due and hands it to the notifier. Claiming
+// marks the reminder sent first, so several server instances never deliver
+// the same reminder twice; a failed delivery is logged, not retried.
+export async function deliverDueReminders(notifier) {
+  const claimed = await claimDueReminders(BATCH_SIZE);
+
+  let delivered = 0;
+  for (const { deliverable, ...reminder } of claimed) {
+    if (!deliverable) continue;
+    try {
+      await notifier.notify(reminder);
+      delivered += 1;
+    } catch (err) {
+      console.error(`Failed to deliver reminder for task ${reminder.task_id}:`, err);
+    }
+  }
+  return delivered;
+}
+
+// Polls for due reminders until the returned stop function is called.
+export function startReminderScheduler(notifier, { intervalMs = 30000 } = {}) {
+  return runPeriodically("Reminder run", () => deliverDueReminders(notifier), intervalMs);
+}
+
+async function listReminders(userId, taskId) {
+  const result = await pool.query(
+    `
+    SELECT ${REMINDER_COLUMNS}
+    FROM task_reminders
+    WHERE task_id = $1 AND user_id = $2
+    ORDER BY minutes_before;
+    `,
+    [taskId, userId],
+  );
+  return result.rows;
+}
+
+// Anyone who can see a task may set their own reminders on it, viewers too.
+remindersRouter.get("/", async (req, res) => {
+  try {
+    const access = await getTaskAccess(req.user.id, Number(req.params.taskId));
+    if (!access) {
+      return res.status(404).json({ error: "Task not found." });
+    }
+
+    res.json(await listReminders(req.user.id, access.task.id));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+remindersRouter.put("/", async (req, res) => {
+  try {
+    const access = await getTaskAccess(req.user.id, Number(req.params.taskId));
+    if (!access) {
+      return res.status(404).json({ error: "Task not found." });
+    }
+
+    const minutesBefore = readMinutesBefore(req.body.minutesBefore);
+    if (!minutesBefore) {
+      return res.status(400).json({
+        error: `minutesBefore must list up to ${MAX_REMINDERS_PER_TASK} offsets between 0 and ${MAX_MINUTES_BEFORE} minutes.`,
+      });
+    }
+
+    await setReminders(req.user.id, access.task.id, minutesBefore);
+    res.json(await listReminders(req.user.id, access.task.id));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
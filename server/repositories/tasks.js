@@ -0,0 +1,632 @@
+import { visibleTasksClause } from "../access.js";
+import { pool } from "../db.js";
+import {
+  buildTaskListQuery,
+  buildTaskScope,
+  dueAtExpression,
+  encodeCursor,
+  TASK_COLUMNS,
+} from "../taskQuery.js";
+
+// Reads and writes of the tasks table, including the queries of other features
+// that join it, such as reminders and tag counts. Access checks stay with the
+// callers (see access.js); these functions trust the ids they are given.
+
+// One page of the tasks a user can see, filtered and sorted as the list query
+// string asks. Returns { error } when the query is invalid.
+export async function listTasks(userId, params) {
+  const query = buildTaskListQuery(userId, params);
+  if (query.error) return { error: query.error };
+
+  const result = await pool.query(query.text, query.values);
+  const rows = result.rows.slice(0, query.limit);
+  const last = rows[rows.length - 1];
+
+  return {
+    tasks: rows.map(({ sort_key, ...task }) => task),
+    nextCursor: result.rows.length > query.limit ? encodeCursor(last.sort_key, last.id) : null,
+  };
+}
+
+// Counts over the same filters as the list. "Today" is the user's calendar
+// day in their own time zone unless `today` pins it.
+export async function getTaskStats(userId, params, today = null) {
+  const values = [userId, today];
+  const scope = buildTaskScope(params, (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  });
+  if (scope.error) return { error: scope.error };
+
+  const result = await pool.query(
+    `
+    WITH today AS (
+      SELECT COALESCE(
+        $2::date,
+        (NOW() AT TIME ZONE (SELECT time_zone FROM users WHERE id = $1))::date
+      ) AS day
+    )
+    SELECT
+      COUNT(*)::int AS total,
+      COUNT(*) FILTER (WHERE completed)::int AS completed,
+      COUNT(*) FILTER (
+        WHERE due_date >= today.day
+          AND due_date <= today.day + 3
+      )::int AS due_soon
+    FROM tasks, today
+    WHERE ${scope.where.join(" AND ")};
+    `,
+    values,
+  );
+
+  const stats = result.rows[0];
+  return {
+    total: stats.total,
+    completed: stats.completed,
+    active: stats.total - stats.completed,
+    dueSoon: stats.due_soon,
+  };
+}
+
+// The list only flags whether a task has a description; pass
+// `withDescription` for the full text.
+export async function findTask(taskId, { withDescription = false } = {}) {
+  const found = await pool.query(
+    `
+    SELECT ${TASK_COLUMNS}${withDescription ? ", description" : ""}
+    FROM tasks
+    WHERE id = $1
+    `,
+    [taskId],
+  );
+  return found.rows[0] ?? null;
+}
+
+// Several tasks at once, in id order.
+export async function findTasks(taskIds) {
+  const found = await pool.query(
+    `
+    SELECT ${TASK_COLUMNS}
+    FROM tasks
+    WHERE id = ANY($1::int[])
+    ORDER BY id
+    `,
+    [taskIds],
+  );
+  return found.rows;
+}
+
+// Every task the user can see outside the trash, archived projects included,
+// with what an export needs on top of the list columns. `due_time` is the
+// wall-clock time in the user's zone, as it was entered.
+export async function listTasksForExport(userId, timeZone) {
+  const result = await pool.query(
+    `
+    SELECT ${TASK_COLUMNS}, description, created_at,
+           to_char(due_at AT TIME ZONE $2, 'HH24:MI') AS due_time,
+           (SELECT name FROM projects WHERE projects.id = tasks.project_id) AS project_name
+    FROM tasks
+    WHERE ${visibleTasksClause("$1")} AND deleted_at IS NULL
+    ORDER BY id
+    `,
+    [userId, timeZone],
+  );
+  return result.rows;
+}
+
+// New tasks go to the top of the board. `dueTime` is wall-clock time in
+// `timeZone` and needs a `dueDate`.
+export async function createTask({
+  ownerId,
+  title,
+  completed,
+  status,
+  priority,
+  dueDate,
+  dueTime,
+  timeZone,
+  projectId,
+  assigneeId,
+  recurrence,
+  description,
+}) {
+  const created = await pool.query(
+    `
+    INSERT INTO tasks
+      (owner_id, title, completed, completed_at, priority, status, due_date, due_at,
+       project_id, assignee_id, recurrence, description, position)
+    VALUES ($1, $2, $12, CASE WHEN $12 THEN NOW() END, $3, $4, $5,
+      ${dueAtExpression("$5", "$10", "$11")}, $6, $7, $8, $9,
+      ${newTaskPosition("$1", "$6::int")})
+    RETURNING ${TASK_COLUMNS};
+    `,
+    [
+      ownerId,
+      title,
+      priority,
+      status,
+      dueDate,
+      projectId,
+      assigneeId,
+      recurrence,
+      description,
+      dueTime,
+      timeZone,
+      completed,
+    ],
+  );
+  return created.rows[0];
+}
+
+const UPDATABLE_COLUMNS = {
+  title: "title",
+  description: "description",
+  recurrence: "recurrence",
+  autoComplete: "auto_complete",
+};
+
+// Sets the plain fields present in `changes` (see UPDATABLE_COLUMNS) and
+// returns the number of tasks updated.
+export async function updateTask(taskId, changes) {
+  const values = [];
+  const sets = [];
+  for (const [field, column] of Object.entries(UPDATABLE_COLUMNS)) {
+    if (!Object.hasOwn(changes, field)) continue;
+    values.push(changes[field]);
+    sets.push(`${column} = $${values.length}`);
+  }
+  if (!sets.length) return 0;
+
+  values.push(taskId);
+  const updated = await pool.query(
+    `
+    UPDATE tasks
+    SET ${sets.join(", ")}
+    WHERE id = $${values.length}
+    `,
+    values,
+  );
+  return updated.rowCount;
+}
+
+// Writes the fields that move a task between days, projects and people
+// together. The due instant is only recomputed when `dueChanged` is set.
+export async function updateTaskMeta(
+  taskId,
+  { priority, dueDate, dueTime, dueChanged, timeZone, projectId, assigneeId, ownerId },
+) {
+  const updated = await pool.query(
+    `
+    UPDATE tasks
+    SET priority = $1, due_date = $2, project_id = $3,
+        assignee_id = $4, owner_id = $5,
+        due_at = CASE WHEN $7 THEN ${dueAtExpression("$2", "$8", "$9")} ELSE due_at END
+    WHERE id = $6
+    `,
+    [priority, dueDate, projectId, assigneeId, ownerId, taskId, dueChanged, dueTime, timeZone],
+  );
+  return updated.rowCount;
+}
+
+// Marks a task as changed when only rows that hang off it were written, such
+// as its tags. Like the version trigger (see migrations/003_task_versions.js)
+// it bumps the version at most once per transaction.
+export async function touchTask(taskId) {
+  await pool.query(
+    `
+    UPDATE tasks
+    SET version = version + 1, updated_at = NOW()
+    WHERE id = $1 AND updated_at <> NOW()
+    `,
+    [taskId],
+  );
+}
+
+// Moves a task to the trash, from where restoreTask brings it back.
+export async function trashTask(taskId) {
+  const trashed = await pool.query(
+    `
+    UPDATE tasks
+    SET deleted_at = NOW()
+    WHERE id = $1 AND deleted_at IS NULL
+    `,
+    [taskId],
+  );
+  return trashed.rowCount;
+}
+
+export async function restoreTask(taskId) {
+  const restored = await pool.query(
+    `
+    UPDATE tasks
+    SET deleted_at = NULL
+    WHERE id = $1 AND deleted_at IS NOT NULL
+    `,
+    [taskId],
+  );
+  return restored.rowCount;
+}
+
+// Removes a task for good.
+export async function deleteTask(taskId) {
+  const deleted = await pool.query(
+    `
+    DELETE FROM tasks
+    WHERE id = $1
+    `,
+    [taskId],
+  );
+  return deleted.rowCount;
+}
+
+// The trashed tasks a user can see, most recently deleted first.
+export async function listTrash(userId) {
+  const result = await pool.query(
+    `
+    SELECT ${TASK_COLUMNS}
+    FROM tasks
+    WHERE ${visibleTasksClause("$1")} AND deleted_at IS NOT NULL
+    ORDER BY deleted_at DESC, id DESC
+    `,
+    [userId],
+  );
+  return result.rows;
+}
+
+// Removes for good every trashed task the user could delete one by one: their
+// own inbox tasks and those in projects they can edit. Returns the count.
+export async function emptyTrash(userId) {
+  const deleted = await pool.query(
+    `
+    DELETE FROM tasks
+    WHERE deleted_at IS NOT NULL
+      AND (
+        (project_id IS NULL AND owner_id = $1)
+        OR project_id IN (
+          SELECT project_id FROM project_members
+          WHERE user_id = $1 AND role IN ('owner', 'editor')
+        )
+      )
+    `,
+    [userId],
+  );
+  return deleted.rowCount;
+}
+
+// Removes tasks that have been in the trash for more than `retentionDays`.
+export async function purgeTrash(retentionDays) {
+  const purged = await pool.query(
+    `
+    DELETE FROM tasks
+    WHERE deleted_at < NOW() - make_interval(days => $1)
+    `,
+    [retentionDays],
+  );
+  return purged.rowCount;
+}
+
+// After a user changes time zone, moves each of their timed tasks to the
+// calendar day its due instant falls on in the new zone.
+export async function realignDueDates(userId, timeZone) {
+  await pool.query(
+    `
+    UPDATE tasks
+    SET due_date = (due_at AT TIME ZONE $1)::date
+    WHERE owner_id = $2 AND due_at IS NOT NULL
+    `,
+    [timeZone, userId],
+  );
+}
+
+// The owner of a task, or null when there is no such task.
+export async function findTaskOwnerId(taskId) {
+  const found = await pool.query("SELECT owner_id FROM tasks WHERE id = $1;", [taskId]);
+  return found.rows[0]?.owner_id ?? null;
+}
+
+// Writes the completed flag and status worked out by resolveLifecycle (see
+// lifecycle.js), keeping completed_at and reopen_status in step with them.
+export async function updateTaskLifecycle(taskId, { completed, status }) {
+  const updated = await pool.query(
+    `
+    UPDATE tasks
+    SET reopen_status = CASE
+          WHEN NOT $1 THEN NULL
+          WHEN completed THEN reopen_status
+          ELSE status
+        END,
+        completed_at = CASE WHEN $1 THEN COALESCE(completed_at, NOW()) END,
+        completed = $1,
+        status = $2
+    WHERE id = $3
+    `,
+    [completed, status, taskId],
+  );
+  return updated.rowCount;
+}
+
+// Completes a task that opted into auto-completion once every checklist item
+// is done. Returns true when the task was completed by this call. Postgres
+// evaluates every SET expression against the row as it was, so reopen_status
+// keeps the old status.
+export async function completeTaskIfChecklistDone(taskId) {
+  const completed = await pool.query(
+    `
+    UPDATE tasks
+    SET completed = TRUE,
+        status = 'done',
+        completed_at = COALESCE(completed_at, NOW()),
+        reopen_status = CASE WHEN completed THEN reopen_status ELSE status END
+    WHERE id = $1
+      AND auto_complete
+      AND NOT completed
+      AND EXISTS (SELECT 1 FROM task_checklist_items WHERE task_id = $1)
+      AND NOT EXISTS (
+        SELECT 1 FROM task_checklist_items WHERE task_id = $1 AND NOT completed
+      )
+    `,
+    [taskId],
+  );
+  return completed.rowCount > 0;
+}
+
+// The repeat rule and due date of a task, or null when it does not repeat.
+export async function findRecurringTask(taskId) {
+  const found = await pool.query(
+    "SELECT recurrence, due_date FROM tasks WHERE id = $1 AND recurrence IS NOT NULL;",
+    [taskId],
+  );
+  return found.rows[0] ?? null;
+}
+
+// Copies a task into a fresh, open one due on `dueDate`, at the same time of
+// day in its owner's zone if it has one, and returns the new task's id.
+export async function createNextOccurrence(taskId, { dueDate, recurrence }) {
+  const created = await pool.query(
+    `
+    INSERT INTO tasks
+      (owner_id, title, description, completed, priority, status, due_date, due_at,
+       project_id, assignee_id, auto_complete, recurrence, position)
+    SELECT t.owner_id, t.title, t.description, FALSE, t.priority, 'todo', $2,
+           ($2::date + (t.due_at AT TIME ZONE u.time_zone)::time) AT TIME ZONE u.time_zone,
+           t.project_id, t.assignee_id, t.auto_complete, $3,
+           ${newTaskPosition("t.owner_id", "t.project_id")}
+    FROM tasks t
+    JOIN users u ON u.id = t.owner_id
+    WHERE t.id = $1
+    RETURNING id;
+    `,
+    [taskId, dueDate, recurrence],
+  );
+  return created.rows[0].id;
+}
+
+// Board order is a rank kept per board: a project's tasks are ranked among
+// themselves, and so are the tasks in each user's inbox. Filtered views of a
+// board (a status column, a tag) list its tasks in a consistent order, and
+// reordering one board never reads or rewrites another's rows. Moving a task
+// places it halfway between two neighbours; when doubles run out of room
+// between them, that board's ranks are spread out again.
+const POSITION_STEP = 1024;
+
+// SQL matching the rows of `alias` that sit on the board of the given owner
+// and project: the project's tasks, or the owner's inbox when there is none.
+function onBoard(alias, ownerSql, projectSql) {
+  return `(${alias}.project_id = ${projectSql}
+    OR (${projectSql} IS NULL AND ${alias}.project_id IS NULL
+      AND ${alias}.owner_id = ${ownerSql}))`;
+}
+
+// Position for a task created now: above everything else on its board.
+function newTaskPosition(ownerSql, projectSql) {
+  return `(SELECT COALESCE(MIN(board.position), 0) - ${POSITION_STEP} FROM tasks board
+    WHERE ${onBoard("board", ownerSql, projectSql)})`;
+}
+
+async function renumberBoard(anchorId) {
+  await pool.query(
+    `
+    UPDATE tasks
+    SET position = ordered.rank * ${POSITION_STEP}
+    FROM (
+      SELECT board.id, ROW_NUMBER() OVER (ORDER BY board.position, board.id) AS rank
+      FROM tasks board, tasks anchor
+      WHERE anchor.id = $1 AND ${onBoard("board", "anchor.owner_id", "anchor.project_id")}
+    ) AS ordered
+    WHERE tasks.id = ordered.id
+    `,
+    [anchorId],
+  );
+}
+
+// Finds a free position directly before (or after) the anchor task on its
+// board, skipping the task being moved. Returns null when there is no room
+// left.
+async function positionBeside(taskId, anchorId, side) {
+  const before = side === "before";
+  const found = await pool.query(
+    `
+    SELECT anchor.position AS anchor,
+      (SELECT ${before ? "MAX" : "MIN"}(board.position)
+       FROM tasks board
+       WHERE ${onBoard("board", "anchor.owner_id", "anchor.project_id")}
+         AND (board.position, board.id) ${before ? "<" : ">"} (anchor.position, anchor.id)
+         AND board.id <> $2) AS neighbour
+    FROM tasks AS anchor
+    WHERE anchor.id = $1
+    `,
+    [anchorId, taskId],
+  );
+
+  const { anchor, neighbour } = found.rows[0];
+  if (neighbour == null) return before ? anchor - POSITION_STEP : anchor + POSITION_STEP;
+
+  const middle = (anchor + neighbour) / 2;
+  const low = Math.min(anchor, neighbour);
+  const high = Math.max(anchor, neighbour);
+  return middle > low && middle < high ? middle : null;
+}
+
+// Moves a task next to another one: `{ beforeId }` or `{ afterId }`.
+export async function moveTask(taskId, { beforeId, afterId }) {
+  const anchorId = beforeId ?? afterId;
+  const side = beforeId != null ? "before" : "after";
+
+  let position = await positionBeside(taskId, anchorId, side);
+  if (position === null) {
+    await renumberBoard(anchorId);
+    position = await positionBeside(taskId, anchorId, side);
+  }
+
+  const moved = await pool.query(
+    `
+    UPDATE tasks
+    SET position = $1
+    WHERE id = $2
+    `,
+    [position, taskId],
+  );
+  return moved.rowCount;
+}
+
+// How many open tasks outside the trash each of the projects has, keyed by
+// project id. Projects without any are left out.
+export async function countOpenTasksByProject(projectIds) {
+  const result = await pool.query(
+    `
+    SELECT project_id, COUNT(*)::int AS open_count
+    FROM tasks
+    WHERE project_id = ANY($1::int[]) AND NOT completed AND deleted_at IS NULL
+    GROUP BY project_id
+    `,
+    [projectIds],
+  );
+  return new Map(result.rows.map((row) => [row.project_id, row.open_count]));
+}
+
+// Whether a project still has any tasks, those in the trash included.
+export async function hasProjectTasks(projectId) {
+  const found = await pool.query("SELECT 1 FROM tasks WHERE project_id = $1 LIMIT 1;", [
+    projectId,
+  ]);
+  return found.rows.length > 0;
+}
+
+// Takes a user off every task of a project they no longer belong to. Returns
+// the tasks changed, each with the email of the assignee it lost.
+export async function unassignProjectTasks(projectId, userId) {
+  const unassigned = await pool.query(
+    `
+    UPDATE tasks
+    SET assignee_id = NULL
+    WHERE project_id = $1 AND assignee_id = $2
+    RETURNING id, (SELECT email FROM users WHERE id = $2) AS assignee_email;
+    `,
+    [projectId, userId],
+  );
+  return unassigned.rows;
+}
+
+// How many tasks outside the trash carry each of the tags, keyed by tag id.
+// Tags without any are left out.
+export async function countTasksByTag(tagIds) {
+  const result = await pool.query(
+    `
+    SELECT task_tags.tag_id, COUNT(*)::int AS task_count
+    FROM task_tags
+    JOIN tasks ON tasks.id = task_tags.task_id
+    WHERE task_tags.tag_id = ANY($1::int[]) AND tasks.deleted_at IS NULL
+    GROUP BY task_tags.tag_id
+    `,
+    [tagIds],
+  );
+  return new Map(result.rows.map((row) => [row.tag_id, row.task_count]));
+}
+
+// Recomputes remind_at for the reminders of one task or of one user, whichever
+// is given. Reminders of tasks without a due time go off relative to
+// `allDayTime` on the due day, in the zone of the user who set them. A
+// reminder whose time changed is re-armed, unless the new time has already
+// passed, in which case it is skipped rather than fired late.
+export async function rescheduleReminders({ taskId = null, userId = null }, allDayTime) {
+  await pool.query(
+    `
+    UPDATE task_reminders AS r
+    SET remind_at = next.remind_at,
+        sent_at = CASE
+          WHEN next.remind_at IS NOT DISTINCT FROM r.remind_at THEN r.sent_at
+          WHEN next.remind_at < NOW() THEN NOW()
+          ELSE NULL
+        END
+    FROM (
+      SELECT r.id,
+        COALESCE(
+          t.due_at,
+          (t.due_date + $3::time) AT TIME ZONE u.time_zone
+        ) - r.minutes_before * INTERVAL '1 minute' AS remind_at
+      FROM task_reminders r
+      JOIN tasks t ON t.id = r.task_id
+      JOIN users u ON u.id = r.user_id
+      WHERE r.task_id = $1 OR r.user_id = $2
+    ) AS next
+    WHERE r.id = next.id
+    `,
+    [taskId, userId, allDayTime],
+  );
+}
+
+// Marks up to `limit` due reminders sent and returns them with their task and
+// user. `deliverable` is false for reminders whose task was completed or
+// trashed since, or that their user can no longer see.
+export async function claimDueReminders(limit) {
+  const claimed = await pool.query(
+    `
+    UPDATE task_reminders AS r
+    SET sent_at = NOW()
+    FROM tasks t, users u
+    WHERE r.id IN (
+        SELECT id
+        FROM task_reminders
+        WHERE sent_at IS NULL AND remind_at <= NOW()
+        ORDER BY remind_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      AND t.id = r.task_id
+      AND u.id = r.user_id
+    RETURNING r.minutes_before, r.remind_at, t.id AS task_id, t.title, t.due_date,
+      t.due_at, u.id AS user_id, u.email, u.time_zone,
+      NOT t.completed AND t.deleted_at IS NULL AND (
+        (t.project_id IS NULL AND t.owner_id = u.id)
+        OR EXISTS (
+          SELECT 1 FROM project_members m
+          WHERE m.project_id = t.project_id AND m.user_id = u.id
+        )
+      ) AS deliverable;
+    `,
+    [limit],
+  );
+  return claimed.rows;
+}
+
+// The open tasks that are the user's to do: their own unassigned tasks and
+// everything assigned to them, due on `today` or earlier, outside archived
+// projects.
+export async function listDigestTasks(userId, today) {
+  const result = await pool.query(
+    `
+    SELECT tasks.title, tasks.due_date, p.name AS project_name
+    FROM tasks
+    LEFT JOIN projects p ON p.id = tasks.project_id
+    WHERE ${visibleTasksClause("$1")}
+      AND tasks.deleted_at IS NULL
+      AND NOT tasks.completed
+      AND p.archived_at IS NULL
+      AND tasks.due_date <= $2
+      AND (tasks.assignee_id = $1 OR (tasks.assignee_id IS NULL AND tasks.owner_id = $1))
+    ORDER BY tasks.due_date, tasks.id;
+    `,
+    [userId, today],
+  );
+  return result.rows;
+}
@@ -0,0 +1,82 @@
+import { pool } from "../db.js";
+
+// Reads and writes of the recovery_codes and login_challenges tables behind
+// two-factor login. Codes and challenge tokens are only ever stored hashed;
+// callers hash them (see twoFactor.js).
+
+// Swaps every recovery code the user has for the given ones.
+export async function replaceRecoveryCodeHashes(userId, codeHashes) {
+  await pool.query("DELETE FROM recovery_codes WHERE user_id = $1;", [userId]);
+  await pool.query(
+    `
+    INSERT INTO recovery_codes (user_id, code_hash)
+    SELECT $1, UNNEST($2::text[])
+    `,
+    [userId, codeHashes],
+  );
+}
+
+// Marks an unused recovery code used; false when there is none to spend.
+export async function spendRecoveryCode(userId, codeHash) {
+  const spent = await pool.query(
+    `
+    UPDATE recovery_codes SET used_at = NOW()
+    WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+    `,
+    [userId, codeHash],
+  );
+  return spent.rowCount === 1;
+}
+
+export async function deleteRecoveryCodes(userId) {
+  await pool.query("DELETE FROM recovery_codes WHERE user_id = $1;", [userId]);
+}
+
+export async function insertLoginChallenge(userId, tokenHash, ttlMinutes) {
+  await pool.query(
+    `
+    INSERT INTO login_challenges (user_id, token_hash, expires_at)
+    VALUES ($1, $2, NOW() + $3 * INTERVAL '1 minute')
+    `,
+    [userId, tokenHash, ttlMinutes],
+  );
+}
+
+// The open challenge with this token hash, with its user's id and email, or
+// null.
+export async function findOpenLoginChallenge(tokenHash) {
+  const found = await pool.query(
+    `
+    SELECT login_challenges.id, users.id AS user_id, users.email
+    FROM login_challenges
+    JOIN users ON users.id = login_challenges.user_id
+    WHERE login_challenges.token_hash = $1
+      AND login_challenges.used_at IS NULL
+      AND login_challenges.expires_at > NOW()
+    `,
+    [tokenHash],
+  );
+  return found.rows[0] ?? null;
+}
+
+// Counts a wrong code, closing the challenge once it has had `maxAttempts`.
+export async function countLoginChallengeFailure(challengeId, maxAttempts) {
+  await pool.query(
+    `
+    UPDATE login_challenges
+    SET attempts = attempts + 1,
+        used_at = CASE WHEN attempts + 1 >= $2 THEN NOW() END
+    WHERE id = $1
+    `,
+    [challengeId, maxAttempts],
+  );
+}
+
+// Closes the challenge; false when it was closed already.
+export async function closeLoginChallenge(challengeId) {
+  const closed = await pool.query(
+    "UPDATE login_challenges SET used_at = NOW() WHERE id = $1 AND used_at IS NULL;",
+    [challengeId],
+  );
+  return closed.rowCount === 1;
+}
@@ -0,0 +1,184 @@
+import { pool } from "../db.js";
+
+// Reads and writes of the users table behind sign-up, login, two-factor and
+// the account routes. Rows come back as plain objects with snake_case columns, as
+// node-postgres returns them.
+
+export const DEFAULT_TIME_ZONE = "UTC";
+
+const ACCOUNT_COLUMNS = `
+  id, email, time_zone, email_verified_at IS NOT NULL AS email_verified, email_digest,
+  task_view, created_at
+`;
+
+export async function findUserById(userId) {
+  const found = await pool.query(
+    "SELECT id, email, email_verified_at FROM users WHERE id = $1;",
+    [userId],
+  );
+  return found.rows[0] ?? null;
+}
+
+// Includes the password hash and whether a second step is needed, for
+// checking a login.
+export async function findUserByEmail(email) {
+  const found = await pool.query(
+    `
+    SELECT id, email, password_hash, email_verified_at,
+           totp_secret IS NOT NULL AS two_factor_enabled
+    FROM users WHERE email = $1;
+    `,
+    [email],
+  );
+  return found.rows[0] ?? null;
+}
+
+export async function createUser({ email, passwordHash, timeZone }) {
+  const created = await pool.query(
+    `
+    INSERT INTO users (email, password_hash, time_zone)
+    VALUES ($1, $2, $3)
+    RETURNING id, email;
+    `,
+    [email, passwordHash, timeZone],
+  );
+  return created.rows[0];
+}
+
+export async function setPasswordHash(userId, passwordHash) {
+  await pool.query("UPDATE users SET password_hash = $1 WHERE id = $2;", [
+    passwordHash,
+    userId,
+  ]);
+}
+
+export async function markEmailVerified(userId) {
+  await pool.query(
+    `
+    UPDATE users
+    SET email_verified_at = COALESCE(email_verified_at, NOW())
+    WHERE id = $1
+    `,
+    [userId],
+  );
+}
+
+export async function getTimeZone(userId) {
+  const found = await pool.query("SELECT time_zone FROM users WHERE id = $1;", [userId]);
+  return found.rows[0]?.time_zone ?? DEFAULT_TIME_ZONE;
+}
+
+// The settings a user sees and edits on their account page.
+export async function getAccount(userId) {
+  const found = await pool.query(`SELECT ${ACCOUNT_COLUMNS} FROM users WHERE id = $1;`, [
+    userId,
+  ]);
+  return found.rows[0] ?? null;
+}
+
+// Updates the settings given and leaves the rest; null means "unchanged".
+export async function updateAccount(userId, { timeZone, emailDigest, taskView }) {
+  const updated = await pool.query(
+    `
+    UPDATE users
+    SET time_zone = COALESCE($1, time_zone),
+        email_digest = COALESCE($2, email_digest),
+        task_view = COALESCE($3, task_view)
+    WHERE id = $4
+    RETURNING ${ACCOUNT_COLUMNS};
+    `,
+    [timeZone ?? null, emailDigest ?? null, taskView ?? null, userId],
+  );
+  return updated.rows[0] ?? null;
+}
+
+export async function getPasswordHash(userId) {
+  const found = await pool.query("SELECT password_hash FROM users WHERE id = $1;", [userId]);
+  return found.rows[0]?.password_hash ?? null;
+}
+
+// The user's two-factor secrets: the one logins are checked against, the one
+// waiting for setup to be confirmed, and the last time step a code was
+// accepted for. `lock` holds the row until the transaction ends.
+export async function findTwoFactorSecrets(userId, { lock = false } = {}) {
+  const found = await pool.query(
+    `
+    SELECT totp_secret, totp_pending_secret, totp_last_step
+    FROM users WHERE id = $1
+    ${lock ? "FOR UPDATE" : ""}
+    `,
+    [userId],
+  );
+  const user = found.rows[0];
+  if (!user) return null;
+  return {
+    ...user,
+    totp_last_step: user.totp_last_step === null ? null : Number(user.totp_last_step),
+  };
+}
+
+// Records that a code for `step` was used. False when that step or a later
+// one already was, so one code cannot be used twice.
+export async function useTotpStep(userId, step) {
+  const used = await pool.query(
+    `
+    UPDATE users SET totp_last_step = $2
+    WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+    `,
+    [userId, step],
+  );
+  return used.rowCount === 1;
+}
+
+// Whether two-factor is on and how many recovery codes are unused, or null
+// when there is no such user.
+export async function getTwoFactorStatus(userId) {
+  const found = await pool.query(
+    `
+    SELECT totp_secret IS NOT NULL AS enabled,
+           (SELECT COUNT(*)::int FROM recovery_codes
+            WHERE user_id = users.id AND used_at IS NULL) AS recovery_codes_left
+    FROM users WHERE id = $1
+    `,
+    [userId],
+  );
+  return found.rows[0] ?? null;
+}
+
+// Keeps a secret for setup to confirm. Returns the user's email, or null when
+// two-factor is already on.
+export async function setPendingTotpSecret(userId, secret) {
+  const updated = await pool.query(
+    `
+    UPDATE users SET totp_pending_secret = $2
+    WHERE id = $1 AND totp_secret IS NULL
+    RETURNING email
+    `,
+    [userId, secret],
+  );
+  return updated.rows[0]?.email ?? null;
+}
+
+// Makes the pending secret the one logins are checked against, with the code
+// that confirmed it counted as used.
+export async function enableTotp(userId, step) {
+  await pool.query(
+    `
+    UPDATE users
+    SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_last_step = $2
+    WHERE id = $1
+    `,
+    [userId, step],
+  );
+}
+
+export async function disableTotp(userId) {
+  await pool.query(
+    `
+    UPDATE users
+    SET totp_secret = NULL, totp_pending_secret = NULL, totp_last_step = NULL
+    WHERE id = $1
+    `,
+    [userId],
+  );
+}
@@ -0,0 +1,153 @@
+import crypto from "node:crypto";
+import { pool } from "./db.js";
+import { findUserById } from "./repositories/users.js";
+
+export const REFRESH_TOKEN_TTL_DAYS = 30;
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+export function generateToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function describeClient(req) {
+  return String(req.headers["user-agent"] || "Unknown device").slice(0, 255);
+}
+
+// Starts a new session for the user and returns the session id together with
+// the plain refresh token. Only the hash of the token is ever stored.
+export async function createSession(userId, req) {
+  const refreshToken = generateToken();
+  const created = await pool.query(
+    `
+    INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id;
+    `,
+    [
+      userId,
+      hashToken(refreshToken),
+      describeClient(req),
+      req.ip || null,
+      refreshExpiry(),
+    ],
+  );
+
+  return { sessionId: created.rows[0].id, refreshToken };
+}
+
+// Exchanges a refresh token for a new one. The old token stops working as soon
+// as it has been used, so a leaked token can be replayed at most once.
+export async function rotateSession(refreshToken, req) {
+  const nextToken = generateToken();
+  const rotated = await pool.query(
+    `
+    UPDATE sessions
+    SET refresh_token_hash = $2,
+        last_used_at = NOW(),
+        user_agent = $3,
+        ip = $4,
+        expires_at = $5
+    WHERE refresh_token_hash = $1
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+    RETURNING id, user_id;
+    `,
+    [
+      hashToken(refreshToken),
+      hashToken(nextToken),
+      describeClient(req),
+      req.ip || null,
+      refreshExpiry(),
+    ],
+  );
+
+  const session = rotated.rows[0];
+  if (!session) return null;
+
+  return {
+    sessionId: session.id,
+    user: await findUserById(session.user_id),
+    refreshToken: nextToken,
+  };
+}
+
+// Whether the session an access token belongs to is still signed in, so a
+// device that was signed out loses access right away rather than when its
+// access token expires.
+export async function isSessionActive(sessionId) {
+  if (!Number.isInteger(sessionId)) return false;
+
+  const found = await pool.query(
+    "SELECT 1 FROM sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW();",
+    [sessionId],
+  );
+  return found.rowCount === 1;
+}
+
+export async function revokeSessionByToken(refreshToken) {
+  const revoked = await pool.query(
+    `
+    UPDATE sessions
+    SET revoked_at = NOW()
+    WHERE refresh_token_hash = $1 AND revoked_at IS NULL
+    `,
+    [hashToken(refreshToken)],
+  );
+  return revoked.rowCount;
+}
+
+export async function revokeSession(userId, sessionId) {
+  const revoked = await pool.query(
+    `
+    UPDATE sessions
+    SET revoked_at = NOW()
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+    `,
+    [sessionId, userId],
+  );
+  return revoked.rowCount;
+}
+
+export async function revokeOtherSessions(userId, currentSessionId) {
+  const revoked = await pool.query(
+    `
+    UPDATE sessions
+    SET revoked_at = NOW()
+    WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL
+    `,
+    [userId, currentSessionId ?? 0],
+  );
+  return revoked.rowCount;
+}
+
+export async function revokeAllSessions(userId) {
+  const revoked = await pool.query(
+    `
+    UPDATE sessions
+    SET revoked_at = NOW()
+    WHERE user_id = $1 AND revoked_at IS NULL
+    `,
+    [userId],
+  );
+  return revoked.rowCount;
+}
+
+export async function listSessions(userId) {
+  const result = await pool.query(
+    `
+    SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+    FROM sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC;
+    `,
+    [userId],
+  );
+  return result.rows;
+}
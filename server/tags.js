@@ -0,0 +1,212 @@
+import express from "express";
+import { requireAuth } from "./auth.js";
+import { pool } from "./db.js";
+import { countTasksByTag } from "./repositories/tasks.js";
+import { idParam } from "./validation.js";
+
+export const tagsRouter = express.Router();
+
+tagsRouter.use(requireAuth);
+tagsRouter.param("id", idParam("Tag not found."));
+
+const TAG_COLUMNS = "id, name, color, created_at";
+const DEFAULT_TAG_COLOR = "#6b7387";
+export const MAX_TAG_NAME_LENGTH = 40;
+
+function normalizeColor(value) {
+  if (typeof value !== "string") return DEFAULT_TAG_COLOR;
+  return /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : DEFAULT_TAG_COLOR;
+}
+
+function readName(value) {
+  const name = String(value || "").trim();
+  return name.length >= 1 && name.length <= MAX_TAG_NAME_LENGTH ? name : null;
+}
+
+// Validates a `tagIds` body field. Returns the ids, or undefined when the
+// value is malformed or names a tag the user does not own.
+export async function readTagIds(userId, value) {
+  if (value == null) return [];
+  if (!Array.isArray(value) || !value.every((id) => Number.isInteger(id) && id > 0)) {
+    return undefined;
+  }
+
+  const tagIds = [...new Set(value)];
+  if (!tagIds.length) return tagIds;
+
+  const owned = await pool.query(
+    "SELECT COUNT(*)::int AS count FROM tags WHERE owner_id = $1 AND id = ANY($2::int[]);",
+    [userId, tagIds],
+  );
+  return owned.rows[0].count === tagIds.length ? tagIds : undefined;
+}
+
+// The user's tags with these names, ignoring case, as a Map from the
+// lower-cased name to the tag id.
+export async function findTagIds(userId, names) {
+  const found = await pool.query(
+    "SELECT id, LOWER(name) AS key FROM tags WHERE owner_id = $1 AND LOWER(name) = ANY($2::text[]);",
+    [userId, names.map((name) => name.toLowerCase())],
+  );
+  return new Map(found.rows.map((row) => [row.key, row.id]));
+}
+
+// Like findTagIds, but first creates the tags the user does not have yet.
+export async function ensureTags(userId, names) {
+  await pool.query(
+    `
+    INSERT INTO tags (owner_id, name, color)
+    SELECT $1, name, $3 FROM UNNEST($2::text[]) AS name
+    ON CONFLICT DO NOTHING
+    `,
+    [userId, names, DEFAULT_TAG_COLOR],
+  );
+  return findTagIds(userId, names);
+}
+
+// Tags are personal: replacing a task's tags only touches the caller's own,
+// so tags other project members put on a shared task stay in place.
+export async function setTaskTags(userId, taskId, tagIds) {
+  await pool.query(
+    `
+    DELETE FROM task_tags
+    WHERE task_id = $1
+      AND tag_id IN (SELECT id FROM tags WHERE owner_id = $2)
+      AND NOT (tag_id = ANY($3::int[]))
+    `,
+    [taskId, userId, tagIds],
+  );
+
+  await pool.query(
+    `
+    INSERT INTO task_tags (task_id, tag_id)
+    SELECT $1, UNNEST($2::int[])
+    ON CONFLICT DO NOTHING
+    `,
+    [taskId, tagIds],
+  );
+}
+
+tagsRouter.get("/", async (req, res) => {
+  try {
+    const result = await pool.query(
+      `
+      SELECT ${TAG_COLUMNS}
+      FROM tags
+      WHERE owner_id = $1
+      ORDER BY LOWER(name);
+      `,
+      [req.user.id],
+    );
+    const taskCounts = await countTasksByTag(result.rows.map((tag) => tag.id));
+
+    res.json(
+      result.rows.map((tag) => ({ ...tag, task_count: taskCounts.get(tag.id) ?? 0 })),
+    );
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+tagsRouter.post("/", async (req, res) => {
+  try {
+    const name = readName(req.body.name);
+    if (!name) {
+      return res
+        .status(400)
+        .json({ error: "Tag names need between 1 and 40 characters." });
+    }
+
+    const created = await pool.query(
+      `
+      INSERT INTO tags (owner_id, name, color)
+      VALUES ($1, $2, $3)
+      ON CONFLICT DO NOTHING
+      RETURNING ${TAG_COLUMNS};
+      `,
+      [req.user.id, name, normalizeColor(req.body.color)],
+    );
+
+    if (created.rowCount === 0) {
+      return res.status(409).json({ error: "You already have a tag with that name." });
+    }
+
+    res.status(201).json({ ...created.rows[0], task_count: 0 });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+tagsRouter.put("/:id", async (req, res) => {
+  try {
+    const tagId = Number(req.params.id);
+
+    const current = await pool.query(
+      "SELECT name, color FROM tags WHERE id = $1 AND owner_id = $2;",
+      [tagId, req.user.id],
+    );
+    const existing = current.rows[0];
+    if (!existing) {
+      return res.status(404).json({ error: "Tag not found." });
+    }
+
+    let name = existing.name;
+    if (Object.hasOwn(req.body, "name")) {
+      name = readName(req.body.name);
+      if (!name) {
+        return res
+          .status(400)
+          .json({ error: "Tag names need between 1 and 40 characters." });
+      }
+    }
+    const color = Object.hasOwn(req.body, "color")
+      ? normalizeColor(req.body.color)
+      : existing.color;
+
+    const clash = await pool.query(
+      "SELECT 1 FROM tags WHERE owner_id = $1 AND LOWER(name) = LOWER($2) AND id <> $3;",
+      [req.user.id, name, tagId],
+    );
+    if (clash.rowCount > 0) {
+      return res.status(409).json({ error: "You already have a tag with that name." });
+    }
+
+    const updated = await pool.query(
+      `
+      UPDATE tags
+      SET name = $1, color = $2
+      WHERE id = $3
+      RETURNING ${TAG_COLUMNS};
+      `,
+      [name, color, tagId],
+    );
+
+    res.json(updated.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+tagsRouter.delete("/:id", async (req, res) => {
+  try {
+    const deleted = await pool.query(
+      `
+      DELETE FROM tags
+      WHERE id = $1 AND owner_id = $2
+      `,
+      [Number(req.params.id), req.user.id],
+    );
+
+    if (deleted.rowCount === 0) {
+      return res.status(404).json({ error: "Tag not found." });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
@@ -0,0 +1,258 @@
+import { visibleTasksClause } from "./access.js";
+import { normalizeDueDate, VALID_PRIORITIES, VALID_STATUSES } from "./validation.js";
+
+// Columns every task response carries, for use in SELECT and RETURNING lists.
+export const TASK_COLUMNS = `
+  id, title, completed, completed_at, priority, status, due_date, due_at, project_id, assignee_id,
+  auto_complete, recurrence, position, version, updated_at, deleted_at,
+  description IS NOT NULL AS has_description,
+  (SELECT email FROM users WHERE users.id = tasks.assignee_id) AS assignee_email,
+  (SELECT COUNT(*)::int FROM task_checklist_items items WHERE items.task_id = tasks.id)
+    AS checklist_total,
+  (SELECT COUNT(*)::int FROM task_checklist_items items
+    WHERE items.task_id = tasks.id AND items.completed) AS checklist_done,
+  COALESCE(
+    (SELECT json_agg(json_build_object('id', tags.id, 'name', tags.name, 'color', tags.color)
+       ORDER BY LOWER(tags.name))
+     FROM task_tags JOIN tags ON tags.id = task_tags.tag_id
+     WHERE task_tags.task_id = tasks.id),
+    '[]'
+  ) AS tags
+`;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const PRIORITY_RANK_SQL =
+  "CASE priority WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END";
+
+// SQL for the instant a task is due: the wall-clock date and time in the given
+// zone, or NULL for tasks that are due on a day rather than at a time.
+export function dueAtExpression(dateParam, timeParam, zoneParam) {
+  return `CASE WHEN ${timeParam}::text IS NULL THEN NULL
+    ELSE (${dateParam}::date + ${timeParam}::text::time) AT TIME ZONE ${zoneParam} END`;
+}
+
+// Orders timed tasks within their day; all-day tasks follow them in either
+// direction, so their suffix sorts above every time going up and below every
+// time going down.
+function dueTimeSortSql(order) {
+  const allDay = order === "asc" ? "' ~'" : "' '";
+  return `COALESCE(to_char(due_at AT TIME ZONE 'UTC', ' YYYY-MM-DD HH24:MI:SS'), ${allDay})`;
+}
+
+// Each sort key maps to an SQL expression, its natural direction and the type
+// of value it produces, which a cursor must carry. Tasks without a due date
+// always sort last, whichever direction is requested.
+const SORTS = {
+  created: { expression: () => "id", order: "desc", type: "number" },
+  priority: { expression: () => PRIORITY_RANK_SQL, order: "desc", type: "number" },
+  due_date: {
+    expression: (order) =>
+      order === "asc"
+        ? `COALESCE(due_date::text, '9999-12-31') || ${dueTimeSortSql(order)}`
+        : `COALESCE(due_date::text, '0000-01-01') || ${dueTimeSortSql(order)}`,
+    order: "asc",
+    type: "string",
+  },
+  title: { expression: () => "LOWER(title)", order: "asc", type: "string" },
+  position: { expression: () => "position", order: "asc", type: "number" },
+};
+
+function readList(value, allowed, label) {
+  if (value == null || value === "") return { values: [] };
+
+  const values = String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+  const unknown = values.find((item) => !allowed.has(item));
+  if (unknown) return { error: `Unknown ${label} filter: ${unknown}.` };
+
+  return { values };
+}
+
+function readIds(value, label) {
+  if (value == null || value === "") return { values: [] };
+
+  const values = String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map(Number);
+  if (!values.every((id) => Number.isInteger(id) && id > 0)) {
+    return { error: `${label} must be a comma-separated list of ids.` };
+  }
+
+  return { values };
+}
+
+function readDate(value, label) {
+  if (value == null || value === "") return { value: null };
+  const date = normalizeDueDate(value);
+  if (!date) return { error: `${label} must be a YYYY-MM-DD date.` };
+  return { value: date };
+}
+
+function toSearchQuery(text) {
+  return String(text)
+    .split(/\s+/)
+    .map((word) => word.replace(/[^\p{L}\p{N}_]/gu, ""))
+    .filter(Boolean)
+    .map((word) => `${word}:*`)
+    .join(" & ");
+}
+
+// Tasks in archived projects stay out of every view unless that project is
+// opened explicitly. "inbox" selects the tasks that belong to no project.
+function readProjectScope(value, addParam) {
+  if (value == null || value === "") {
+    return {
+      clause:
+        "(project_id IS NULL OR project_id IN (SELECT id FROM projects WHERE archived_at IS NULL))",
+    };
+  }
+  if (value === "inbox") return { clause: "project_id IS NULL" };
+
+  const projectId = Number(value);
+  if (!Number.isInteger(projectId) || projectId < 1) {
+    return { error: "Unknown project filter." };
+  }
+  return { clause: `project_id = ${addParam(projectId)}` };
+}
+
+// The WHERE conditions shared by the task list and the stats cards: what the
+// user may see outside the trash, narrowed to a project and/or to the tasks
+// assigned to them. The user's id must already be $1.
+export function buildTaskScope(query, addParam) {
+  const where = [visibleTasksClause("$1"), "tasks.deleted_at IS NULL"];
+
+  const project = readProjectScope(query.project, addParam);
+  if (project.error) return { error: project.error };
+  where.push(project.clause);
+
+  if (query.assignee != null && query.assignee !== "") {
+    if (query.assignee !== "me") return { error: "assignee must be me." };
+    where.push("assignee_id = $1");
+  }
+
+  return { where };
+}
+
+export function encodeCursor(sortKey, id) {
+  return Buffer.from(JSON.stringify([sortKey, id])).toString("base64url");
+}
+
+// Cursors come back from clients, so the sort key has to be checked against the
+// sort it is used with before it reaches the query.
+function decodeCursor(cursor, type) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (!Array.isArray(decoded) || decoded.length !== 2) return null;
+    if (!Number.isInteger(decoded[1])) return null;
+    if (type === "number" ? !Number.isFinite(decoded[0]) : typeof decoded[0] !== "string") {
+      return null;
+    }
+    return decoded;
+  } catch {
+    return null;
+  }
+}
+
+// Turns the query string of GET /api/tasks into a parameterised SELECT.
+// Returns { error } when a parameter is invalid so the route can answer 400.
+export function buildTaskListQuery(userId, query) {
+  const params = [userId];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const scope = buildTaskScope(query, addParam);
+  if (scope.error) return { error: scope.error };
+  const { where } = scope;
+
+  const statuses = readList(query.status, VALID_STATUSES, "status");
+  if (statuses.error) return { error: statuses.error };
+  if (statuses.values.length) {
+    where.push(`status = ANY(${addParam(statuses.values)}::text[])`);
+  }
+
+  const priorities = readList(query.priority, VALID_PRIORITIES, "priority");
+  if (priorities.error) return { error: priorities.error };
+  if (priorities.values.length) {
+    where.push(`priority = ANY(${addParam(priorities.values)}::text[])`);
+  }
+
+  // Matches tasks carrying any of the listed tags.
+  const tagIds = readIds(query.tags, "tags");
+  if (tagIds.error) return { error: tagIds.error };
+  if (tagIds.values.length) {
+    where.push(
+      `EXISTS (SELECT 1 FROM task_tags WHERE task_tags.task_id = tasks.id
+        AND task_tags.tag_id = ANY(${addParam(tagIds.values)}::int[]))`,
+    );
+  }
+
+  const dueFrom = readDate(query.dueFrom ?? query.due_from, "dueFrom");
+  if (dueFrom.error) return { error: dueFrom.error };
+  if (dueFrom.value) where.push(`due_date >= ${addParam(dueFrom.value)}`);
+
+  const dueTo = readDate(query.dueTo ?? query.due_to, "dueTo");
+  if (dueTo.error) return { error: dueTo.error };
+  if (dueTo.value) where.push(`due_date <= ${addParam(dueTo.value)}`);
+
+  if (query.completed != null && query.completed !== "") {
+    if (query.completed !== "true" && query.completed !== "false") {
+      return { error: "completed must be true or false." };
+    }
+    where.push(`completed = ${addParam(query.completed === "true")}`);
+  }
+
+  if (query.q != null && String(query.q).trim() !== "") {
+    const search = toSearchQuery(query.q);
+    if (!search) return { error: "Search must contain letters or numbers." };
+    where.push(
+      `to_tsvector('simple', title) @@ to_tsquery('simple', ${addParam(search)})`,
+    );
+  }
+
+  const sortName = query.sort || "created";
+  const sort = SORTS[sortName];
+  if (!sort) return { error: `Unknown sort: ${sortName}.` };
+
+  const order = query.order || sort.order;
+  if (order !== "asc" && order !== "desc") {
+    return { error: "order must be asc or desc." };
+  }
+  const sortExpression = sort.expression(order);
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit != null && query.limit !== "") {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}.` };
+    }
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sort.type);
+    if (!cursor) return { error: "Invalid cursor." };
+
+    const comparison = order === "asc" ? ">" : "<";
+    where.push(
+      `(${sortExpression}, id) ${comparison} (${addParam(cursor[0])}, ${addParam(cursor[1])})`,
+    );
+  }
+
+  // One extra row tells us whether another page exists.
+  const text = `
+    SELECT ${TASK_COLUMNS}, ${sortExpression} AS sort_key
+    FROM tasks
+    WHERE ${where.join(" AND ")}
+    ORDER BY ${sortExpression} ${order.toUpperCase()}, id ${order.toUpperCase()}
+    LIMIT ${addParam(limit + 1)};
+  `;
+
+  return { text, values: params, limit };
+}
@@ -0,0 +1,870 @@
+import express from "express";
+import {
+  canEdit,
+  findProjectIdsByName,
+  getProjectRole,
+  getTaskAccess,
+  isValidAssignee,
+} from "./access.js";
+import { activityRouter, recordActivity, recordChanges } from "./activity.js";
+import { requireAuth } from "./auth.js";
+import { checklistRouter } from "./checklist.js";
+import { withTransaction } from "./db.js";
+import { notifyTask } from "./events.js";
+import { resolveLifecycle } from "./lifecycle.js";
+import { normalizeRecurrence, spawnNextOccurrence } from "./recurrence.js";
+import {
+  readMinutesBefore,
+  remindersRouter,
+  scheduleReminders,
+  setReminders,
+} from "./reminders.js";
+import {
+  completeTaskIfChecklistDone,
+  createTask,
+  deleteTask,
+  emptyTrash,
+  findTask,
+  findTasks,
+  getTaskStats,
+  listTasks,
+  listTasksForExport,
+  listTrash,
+  moveTask,
+  restoreTask,
+  touchTask,
+  trashTask,
+  updateTask,
+  updateTaskLifecycle,
+  updateTaskMeta,
+} from "./repositories/tasks.js";
+import { getTimeZone } from "./repositories/users.js";
+import {
+  ensureTags,
+  findTagIds,
+  MAX_TAG_NAME_LENGTH,
+  readTagIds,
+  setTaskTags,
+} from "./tags.js";
+import { EXPORT_FORMATS, formatExport, readImport } from "./transfer.js";
+import { TRASH_RETENTION_DAYS } from "./trash.js";
+import {
+  idParam,
+  MAX_DESCRIPTION_LENGTH,
+  normalizeDescription,
+  normalizeDueDate,
+  normalizeDueTime,
+  normalizeId,
+  normalizePriority,
+} from "./validation.js";
+
+export const tasksRouter = express.Router();
+
+tasksRouter.use(requireAuth);
+tasksRouter.param("id", idParam("Task not found."));
+tasksRouter.param("taskId", idParam("Task not found."));
+tasksRouter.use("/:taskId/items", checklistRouter);
+tasksRouter.use("/:taskId/reminders", remindersRouter);
+tasksRouter.use("/:taskId/activity", activityRouter);
+
+tasksRouter.get("/", async (req, res) => {
+  try {
+    const page = await listTasks(req.user.id, req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    res.json(page);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+tasksRouter.get("/stats", async (req, res) => {
+  try {
+    const stats = await getTaskStats(
+      req.user.id,
+      req.query,
+      normalizeDueDate(req.query.today),
+    );
+    if (stats.error) {
+      return res.status(400).json({ error: stats.error });
+    }
+
+    res.json(stats);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Deleted tasks wait here for TRASH_RETENTION_DAYS, then are purged (see
+// trash.js).
+tasksRouter.get("/trash", async (req, res) => {
+  try {
+    res.json({
+      tasks: await listTrash(req.user.id),
+      retentionDays: TRASH_RETENTION_DAYS,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+tasksRouter.delete("/trash", async (req, res) => {
+  try {
+    res.json({ success: true, deleted: await emptyTrash(req.user.id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Deletes a task in the trash for good.
+tasksRouter.delete("/trash/:id", async (req, res) => {
+  try {
+    const taskId = Number(req.params.id);
+
+    const access = await getTaskAccess(req.user.id, taskId, { trashed: true });
+    if (!access) {
+      return res.status(404).json({ error: "Task not found in the trash." });
+    }
+    if (!canEdit(access.role)) {
+      return res
+        .status(403)
+        .json({ error: "You can only view tasks in this project." });
+    }
+
+    await deleteTask(taskId);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Downloads every task the user can see as JSON, CSV or iCalendar (only tasks
+// with a due date, as to-dos).
+tasksRouter.get("/export", async (req, res) => {
+  try {
+    const format = req.query.format ?? "json";
+    if (!EXPORT_FORMATS.has(format)) {
+      return res.status(400).json({ error: "format must be json, csv or ics." });
+    }
+
+    const tasks = await listTasksForExport(req.user.id, await getTimeZone(req.user.id));
+    const { contentType, body } = formatExport(tasks, format);
+
+    res.attachment(`taskist-${new Date().toISOString().slice(0, 10)}.${format}`);
+    res.type(contentType);
+    res.send(body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Runs each imported row through planNewTask with its project and tag names
+// resolved. Tags the user does not have yet are only created once the import
+// runs, so the names travel next to the plan.
+async function planImport(userId, rows) {
+  const projectNames = rows.map((row) => row.fields?.project).filter(Boolean);
+  const projectIds = await findProjectIdsByName(userId, [...new Set(projectNames)]);
+
+  const planned = [];
+  const errors = [];
+  for (const { row, fields, error } of rows) {
+    if (error) {
+      errors.push({ row, error });
+      continue;
+    }
+
+    const { project, tags, ...body } = fields;
+    const tagNames = [
+      ...new Map(tags.map((name) => [name.trim().toLowerCase(), name.trim()])).values(),
+    ].filter(Boolean);
+    if (tagNames.some((name) => name.length > MAX_TAG_NAME_LENGTH)) {
+      errors.push({
+        row,
+        error: `Tag names must be at most ${MAX_TAG_NAME_LENGTH} characters.`,
+      });
+      continue;
+    }
+    if (project) {
+      body.projectId = projectIds.get(project.toLowerCase());
+      if (!body.projectId) {
+        errors.push({ row, error: `Project not found: ${project}.` });
+        continue;
+      }
+    }
+
+    const result = await planNewTask(userId, body);
+    if (result.error) errors.push({ row, error: result.error });
+    else planned.push({ row, plan: result.plan, tagNames });
+  }
+
+  return { planned, errors };
+}
+
+// Creates tasks from a CSV or JSON file sent as { format, content }. Rows
+// that fail the checks a new task gets are reported by row number and left
+// out; the rest are imported together. `dryRun: true` only previews.
+tasksRouter.post("/import", async (req, res) => {
+  try {
+    const file = readImport(
+      req.body.format,
+      req.body.content,
+      await getTimeZone(req.user.id),
+    );
+    if (file.error) {
+      return res.status(400).json({ error: file.error });
+    }
+
+    const { planned, errors } = await planImport(req.user.id, file.rows);
+    const tagNames = [...new Set(planned.flatMap((item) => item.tagNames))];
+    const summary = { source: file.source, skipped: file.skipped, errors };
+
+    if (req.body.dryRun === true) {
+      const existing = await findTagIds(req.user.id, tagNames);
+      return res.json({
+        ...summary,
+        dryRun: true,
+        tasks: planned.map(({ row, plan, tagNames: tags }) => ({
+          row,
+          title: plan.title,
+          status: plan.lifecycle.status,
+          priority: plan.priority,
+          due_date: plan.dueDate,
+          due_time: plan.dueTime,
+          project_id: plan.projectId,
+          tags,
+        })),
+        newTags: tagNames.filter((name) => !existing.has(name.toLowerCase())),
+      });
+    }
+
+    if (!planned.length) {
+      return res.status(400).json({ ...summary, error: "None of the rows can be imported." });
+    }
+
+    const imported = await withTransaction(async () => {
+      const tagIds = await ensureTags(req.user.id, tagNames);
+      for (const { plan, tagNames: tags } of planned) {
+        await insertTask(req.user.id, {
+          ...plan,
+          tagIds: tags.map((name) => tagIds.get(name.toLowerCase())),
+        });
+      }
+      return planned.length;
+    });
+
+    res.status(201).json({ ...summary, success: true, imported });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+tasksRouter.post("/:id/restore", async (req, res) => {
+  try {
+    const taskId = Number(req.params.id);
+
+    const access = await getTaskAccess(req.user.id, taskId, { trashed: true });
+    if (!access) {
+      return res.status(404).json({ error: "Task not found in the trash." });
+    }
+    if (!canEdit(access.role)) {
+      return res
+        .status(403)
+        .json({ error: "You can only view tasks in this project." });
+    }
+
+    await restoreTask(taskId);
+    await recordActivity(req.user.id, taskId, "restored");
+    await notifyTask(taskId);
+    const task = await findTask(taskId);
+    res.set("ETag", taskETag(task));
+    res.json({ success: true, task });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// The list only flags whether a task has a description; the full text comes
+// from here, when a task is opened.
+tasksRouter.get("/:id", async (req, res) => {
+  try {
+    const taskId = Number(req.params.id);
+
+    const access = await getTaskAccess(req.user.id, taskId);
+    if (!access) {
+      return res.status(404).json({ error: "Task not found." });
+    }
+
+    const task = await findTask(taskId, { withDescription: true });
+    res.set("ETag", taskETag(task));
+    res.json(task);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Checks the body of a new task the way POST /api/tasks takes it. Returns
+// { status, error } or { plan } for insertTask.
+async function planNewTask(userId, body) {
+  const title = String(body.title || "").trim();
+  if (title.length < 2) {
+    return { status: 400, error: "Title must be at least 2 characters." };
+  }
+
+  const priority = normalizePriority(body.priority);
+  const lifecycle = resolveLifecycle({ completed: false, status: "todo" }, body) ?? {
+    completed: false,
+    status: "todo",
+  };
+  const dueDate = normalizeDueDate(body.dueDate ?? body.due_date);
+  const dueTime = normalizeDueTime(body.dueTime ?? body.due_time);
+  const reminders = readMinutesBefore(body.reminders ?? []);
+  const projectId = normalizeId(body.projectId ?? body.project_id);
+  const assigneeId = normalizeId(body.assigneeId ?? body.assignee_id);
+  const recurrence = normalizeRecurrence(body.recurrence);
+  const description = normalizeDescription(body.description);
+
+  const tagIds = await readTagIds(userId, body.tagIds);
+
+  if (lifecycle.error) {
+    return { status: 400, error: lifecycle.error };
+  }
+  if (description === undefined) {
+    return {
+      status: 400,
+      error: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters.`,
+    };
+  }
+  if (tagIds === undefined) {
+    return { status: 400, error: "Tags not found." };
+  }
+  if (priority === undefined) {
+    return { status: 400, error: "priority must be low, medium or high." };
+  }
+  if (dueDate === undefined) {
+    return { status: 400, error: "Due date must be a YYYY-MM-DD date." };
+  }
+  if (dueTime === undefined) {
+    return { status: 400, error: "Due time must be HH:MM." };
+  }
+  if (dueTime && !dueDate) {
+    return { status: 400, error: "Set a due date before a due time." };
+  }
+  if (!reminders) {
+    return { status: 400, error: "reminders must list minutes before the due time." };
+  }
+  if (recurrence.error) {
+    return { status: 400, error: recurrence.error };
+  }
+  if (projectId === undefined) {
+    return { status: 400, error: "Project not found." };
+  }
+  if (projectId !== null) {
+    const role = await getProjectRole(userId, projectId);
+    if (!role) return { status: 400, error: "Project not found." };
+    if (!canEdit(role)) {
+      return { status: 403, error: "You can only view tasks in this project." };
+    }
+  }
+
+  if (assigneeId === undefined || !(await isValidAssignee(assigneeId, projectId, userId))) {
+    return { status: 400, error: "Assignee must be a member of the project." };
+  }
+
+  return {
+    plan: {
+      title,
+      lifecycle,
+      priority,
+      dueDate,
+      dueTime,
+      reminders,
+      projectId,
+      assigneeId,
+      recurrence: recurrence.value,
+      description,
+      tagIds,
+    },
+  };
+}
+
+// Creates a task planned by planNewTask and returns it.
+async function insertTask(userId, plan) {
+  const created = await createTask({
+    ownerId: userId,
+    title: plan.title,
+    completed: plan.lifecycle.completed,
+    status: plan.lifecycle.status,
+    priority: plan.priority,
+    dueDate: plan.dueDate,
+    dueTime: plan.dueTime,
+    timeZone: await getTimeZone(userId),
+    projectId: plan.projectId,
+    assigneeId: plan.assigneeId,
+    recurrence: plan.recurrence,
+    description: plan.description,
+  });
+  await recordActivity(userId, created.id, "created", { newValue: plan.title });
+
+  if (plan.reminders.length) await setReminders(userId, created.id, plan.reminders);
+  if (plan.tagIds.length) await setTaskTags(userId, created.id, plan.tagIds);
+  await notifyTask(created.id, { created: true });
+
+  return plan.tagIds.length ? findTask(created.id) : created;
+}
+
+tasksRouter.post("/", async (req, res) => {
+  try {
+    const { status, error, plan } = await planNewTask(req.user.id, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.status(201).json(await insertTask(req.user.id, plan));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Fields an update may carry. The snake_case spellings are kept for older
+// clients.
+const UPDATE_FIELDS = new Set([
+  "title",
+  "description",
+  "recurrence",
+  "autoComplete",
+  "tagIds",
+  "beforeId",
+  "afterId",
+  "completed",
+  "status",
+  "priority",
+  "dueDate",
+  "due_date",
+  "dueTime",
+  "due_time",
+  "projectId",
+  "project_id",
+  "assigneeId",
+  "assignee_id",
+]);
+
+// Tasks are tagged with their version, which changes on every edit.
+function taskETag(task) {
+  return `"${task.version}"`;
+}
+
+// Reads an If-Match header: undefined when there is none (or "*"), the task
+// version it names, or null when it is not one of our ETags.
+function readIfMatch(header) {
+  if (header == null || header.trim() === "*") return undefined;
+  const match = /^(?:W\/)?"(\d+)"$/.exec(header.trim());
+  return match ? Number(match[1]) : null;
+}
+
+// Ranks are kept per board (see repositories/tasks.js), so a task can only be
+// placed next to a task on the board it ends up on: the same project, or the
+// same owner's inbox.
+function checkAnchorBoard(plan, anchorTask, board) {
+  if (!anchorTask) return plan;
+
+  const sameBoard =
+    board.project_id === null
+      ? anchorTask.project_id === null && anchorTask.owner_id === board.owner_id
+      : anchorTask.project_id === board.project_id;
+  if (sameBoard) return plan;
+  return { status: 400, error: "Tasks can only be moved next to tasks on the same board." };
+}
+
+// Validates a whole update against the task as it stands and works out the
+// writes it needs. Returns { status, error } for the first problem, so an
+// invalid field anywhere in the body means nothing is written.
+async function planTaskUpdate(userId, task, body) {
+  const has = (field) => Object.hasOwn(body, field);
+  const plan = { fields: {}, tagIds: null, anchor: null, lifecycle: null, meta: null };
+
+  if (has("title")) {
+    const title = typeof body.title === "string" ? body.title.trim() : "";
+    if (title.length < 2) {
+      return { status: 400, error: "Title must be at least 2 characters." };
+    }
+    plan.fields.title = title;
+  }
+
+  if (has("description")) {
+    const description = normalizeDescription(body.description);
+    if (description === undefined) {
+      return {
+        status: 400,
+        error: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters.`,
+      };
+    }
+    plan.fields.description = description;
+  }
+
+  if (has("recurrence")) {
+    const recurrence = normalizeRecurrence(body.recurrence);
+    if (recurrence.error) return { status: 400, error: recurrence.error };
+    plan.fields.recurrence = recurrence.value;
+  }
+
+  if (has("autoComplete")) {
+    if (typeof body.autoComplete !== "boolean") {
+      return { status: 400, error: "autoComplete must be true or false." };
+    }
+    plan.fields.autoComplete = body.autoComplete;
+  }
+
+  if (has("tagIds")) {
+    const tagIds = await readTagIds(userId, body.tagIds);
+    if (tagIds === undefined) return { status: 400, error: "Tags not found." };
+    plan.tagIds = tagIds;
+  }
+
+  // Board drag and drop: place the task directly before or after another
+  // task the caller can see, once it is known to share the task's board.
+  let anchorTask = null;
+  if (has("beforeId") || has("afterId")) {
+    const anchorId = normalizeId(has("beforeId") ? body.beforeId : body.afterId);
+    const anchor = anchorId && anchorId !== task.id && (await getTaskAccess(userId, anchorId));
+    if (!anchor) return { status: 400, error: "Task to move next to not found." };
+    anchorTask = anchor.task;
+    plan.anchor = has("beforeId") ? { beforeId: anchorId } : { afterId: anchorId };
+  }
+
+  // `completed` and `status` move together; see lifecycle.js.
+  const lifecycle = resolveLifecycle(task, body);
+  if (lifecycle?.error) return { status: 400, error: lifecycle.error };
+  plan.lifecycle = lifecycle;
+
+  const dueDateGiven = has("dueDate") || has("due_date");
+  const dueTimeGiven = has("dueTime") || has("due_time");
+  const projectGiven = has("projectId") || has("project_id");
+  const assigneeGiven = has("assigneeId") || has("assignee_id");
+  if (!has("priority") && !dueDateGiven && !dueTimeGiven && !projectGiven && !assigneeGiven) {
+    return checkAnchorBoard(plan, anchorTask, task);
+  }
+
+  const priority = has("priority") ? normalizePriority(body.priority) : task.priority;
+  // Sending a due date without a due time makes the task all-day; sending
+  // only a time keeps the current date.
+  const dueDate = dueDateGiven
+    ? normalizeDueDate(body.dueDate ?? body.due_date)
+    : task.due_date;
+  const dueTime = dueTimeGiven ? normalizeDueTime(body.dueTime ?? body.due_time) : null;
+  const projectId = projectGiven
+    ? normalizeId(body.projectId ?? body.project_id)
+    : task.project_id;
+  const movedProject = projectId !== task.project_id;
+  const assigneeId = assigneeGiven
+    ? normalizeId(body.assigneeId ?? body.assignee_id)
+    : task.assignee_id;
+
+  if (priority === undefined) {
+    return { status: 400, error: "priority must be low, medium or high." };
+  }
+  if (dueDate === undefined) {
+    return { status: 400, error: "Due date must be a YYYY-MM-DD date." };
+  }
+  if (dueTime === undefined) {
+    return { status: 400, error: "Due time must be HH:MM." };
+  }
+  if (dueTime && !dueDate) {
+    return { status: 400, error: "Set a due date before a due time." };
+  }
+  if (projectId === undefined) {
+    return { status: 400, error: "Project not found." };
+  }
+  if (movedProject && projectId !== null) {
+    const role = await getProjectRole(userId, projectId);
+    if (!role) return { status: 400, error: "Project not found." };
+    if (!canEdit(role)) {
+      return { status: 403, error: "You can only view tasks in that project." };
+    }
+  }
+  if (assigneeId === undefined) {
+    return { status: 400, error: "Assignee must be a member of the project." };
+  }
+
+  // Moving a task to a project the assignee is not part of unassigns it
+  // rather than failing the move.
+  let nextAssigneeId = assigneeId;
+  if (!(await isValidAssignee(assigneeId, projectId, userId))) {
+    if (movedProject && assigneeId === task.assignee_id) {
+      nextAssigneeId = null;
+    } else {
+      return { status: 400, error: "Assignee must be a member of the project." };
+    }
+  }
+
+  plan.meta = {
+    priority,
+    dueDate,
+    dueTime,
+    dueChanged: dueDateGiven || dueTimeGiven,
+    timeZone: await getTimeZone(userId),
+    projectId,
+    assigneeId: nextAssigneeId,
+    // Inbox tasks are private, so a task moved out of a shared project lands
+    // in the inbox of whoever moved it.
+    ownerId: movedProject && projectId === null ? userId : task.owner_id,
+  };
+  return checkAnchorBoard(plan, anchorTask, {
+    project_id: projectId,
+    owner_id: plan.meta.ownerId,
+  });
+}
+
+// Carries out a plan from planTaskUpdate and logs what it changed. Returns the
+// next occurrence when the update completed a recurring task.
+async function applyTaskUpdate(userId, task, plan) {
+  const before = await findTask(task.id);
+  let completedNow = false;
+
+  await updateTask(task.id, plan.fields);
+  if (plan.tagIds) {
+    await setTaskTags(userId, task.id, plan.tagIds);
+    await touchTask(task.id);
+  }
+  if (plan.anchor) await moveTask(task.id, plan.anchor);
+
+  if (plan.lifecycle) {
+    await updateTaskLifecycle(task.id, plan.lifecycle);
+    completedNow = plan.lifecycle.completed && !task.completed;
+  }
+  if (plan.fields.autoComplete && (await completeTaskIfChecklistDone(task.id))) {
+    completedNow = true;
+  }
+
+  if (plan.meta) {
+    await updateTaskMeta(task.id, plan.meta);
+    if (plan.meta.dueChanged) await scheduleReminders(task.id);
+  }
+
+  await recordChanges(userId, before, await findTask(task.id));
+  await notifyTask(task.id, { formerProjectId: before.project_id });
+
+  // Completing one occurrence of a recurring task queues up the next one,
+  // after the other changes so it inherits the task's latest fields.
+  const nextTask = completedNow ? await spawnNextOccurrence(task.id) : null;
+  if (nextTask) {
+    await recordActivity(userId, nextTask.id, "created", { newValue: nextTask.title });
+    await notifyTask(nextTask.id, { created: true });
+  }
+  return nextTask;
+}
+
+// Applies a partial update in one transaction, with the task row locked
+// throughout. Sending the task's ETag in If-Match makes the update fail with
+// 412 if someone else changed the task since it was loaded.
+async function updateTaskRoute(req, res) {
+  try {
+    const taskId = Number(req.params.id);
+    const body = req.body ?? {};
+
+    const unknown = Object.keys(body).find((field) => !UPDATE_FIELDS.has(field));
+    if (unknown) {
+      return res.status(400).json({ error: `Unknown field: ${unknown}.` });
+    }
+    if (!Object.keys(body).length) {
+      return res.status(400).json({ error: "Nothing to update." });
+    }
+
+    const expectedVersion = readIfMatch(req.get("If-Match"));
+    if (expectedVersion === null) {
+      return res.status(400).json({ error: "If-Match must be a task ETag." });
+    }
+
+    const result = await withTransaction(async () => {
+      const access = await getTaskAccess(req.user.id, taskId, { lock: true });
+      if (!access) return { status: 404, error: "Task not found." };
+      if (!canEdit(access.role)) {
+        return { status: 403, error: "You can only view tasks in this project." };
+      }
+      if (expectedVersion !== undefined && expectedVersion !== access.task.version) {
+        return {
+          status: 412,
+          error: "This task was changed somewhere else. Review it and try again.",
+          task: await findTask(taskId),
+        };
+      }
+
+      const plan = await planTaskUpdate(req.user.id, access.task, body);
+      if (plan.error) return plan;
+
+      const nextTask = await applyTaskUpdate(req.user.id, access.task, plan);
+      return { task: await findTask(taskId), nextTask };
+    });
+
+    if (result.task) res.set("ETag", taskETag(result.task));
+    if (result.error) {
+      const { status, ...rest } = result;
+      return res.status(status).json(rest);
+    }
+
+    res.json({ success: true, task: result.task, nextTask: result.nextTask });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+tasksRouter.patch("/:id", updateTaskRoute);
+// PUT predates PATCH and is kept for older clients; it is the same partial
+// update.
+tasksRouter.put("/:id", updateTaskRoute);
+
+// Fields a bulk update may set on every selected task.
+const BULK_FIELDS = new Set([
+  "completed",
+  "status",
+  "priority",
+  "dueDate",
+  "due_date",
+  "dueTime",
+  "due_time",
+  "projectId",
+  "project_id",
+]);
+
+const MAX_BULK_TASKS = 200;
+
+// Reads the task ids of a bulk request, without duplicates and in ascending
+// order so that concurrent requests lock rows in the same order. Returns
+// undefined unless it is a list of 1 to MAX_BULK_TASKS ids.
+function readBulkTaskIds(value) {
+  if (!Array.isArray(value) || !value.length || value.length > MAX_BULK_TASKS) {
+    return undefined;
+  }
+  const ids = value.map(normalizeId);
+  if (ids.some((id) => !id)) return undefined;
+  return [...new Set(ids)].sort((a, b) => a - b);
+}
+
+// Completes, reopens, edits, moves, deletes or restores many tasks in one
+// transaction. It is all or nothing: if any task cannot take the change,
+// nothing is written and the error names that task in `taskId`.
+tasksRouter.post("/bulk", async (req, res) => {
+  try {
+    const { action, changes = {} } = req.body ?? {};
+
+    const taskIds = readBulkTaskIds(req.body?.taskIds);
+    if (!taskIds) {
+      return res
+        .status(400)
+        .json({ error: `Select between 1 and ${MAX_BULK_TASKS} tasks.` });
+    }
+    if (!["update", "delete", "restore"].includes(action)) {
+      return res
+        .status(400)
+        .json({ error: 'Action must be "update", "delete" or "restore".' });
+    }
+    if (action === "update") {
+      if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+        return res.status(400).json({ error: "Changes must be an object." });
+      }
+      const unknown = Object.keys(changes).find((field) => !BULK_FIELDS.has(field));
+      if (unknown) {
+        return res.status(400).json({ error: `Unknown field: ${unknown}.` });
+      }
+      if (!Object.keys(changes).length) {
+        return res.status(400).json({ error: "Nothing to update." });
+      }
+    }
+
+    const result = await withTransaction(async () => {
+      const tasks = [];
+      for (const taskId of taskIds) {
+        const access = await getTaskAccess(req.user.id, taskId, {
+          lock: true,
+          trashed: action === "restore",
+        });
+        if (!access) return { status: 404, error: "Task not found.", taskId };
+        if (!canEdit(access.role)) {
+          return { status: 403, error: "You can only view tasks in this project.", taskId };
+        }
+        tasks.push(access.task);
+      }
+
+      if (action === "delete") {
+        for (const task of tasks) {
+          await trashTask(task.id);
+          await recordActivity(req.user.id, task.id, "deleted");
+          await notifyTask(task.id);
+        }
+        return { deleted: taskIds };
+      }
+      if (action === "restore") {
+        for (const task of tasks) {
+          await restoreTask(task.id);
+          await recordActivity(req.user.id, task.id, "restored");
+          await notifyTask(task.id);
+        }
+        return { tasks: await findTasks(taskIds) };
+      }
+
+      const plans = [];
+      for (const task of tasks) {
+        const plan = await planTaskUpdate(req.user.id, task, changes);
+        if (plan.error) return { ...plan, taskId: task.id };
+        plans.push(plan);
+      }
+
+      const nextTasks = [];
+      for (const [index, task] of tasks.entries()) {
+        const nextTask = await applyTaskUpdate(req.user.id, task, plans[index]);
+        if (nextTask) nextTasks.push(nextTask);
+      }
+      return { tasks: await findTasks(taskIds), nextTasks };
+    });
+
+    if (result.error) {
+      const { status, ...rest } = result;
+      return res.status(status).json(rest);
+    }
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+tasksRouter.delete("/:id", async (req, res) => {
+  try {
+    const taskId = Number(req.params.id);
+
+    const access = await getTaskAccess(req.user.id, taskId);
+    if (!access) {
+      return res.status(404).json({ error: "Task not found." });
+    }
+    if (!canEdit(access.role)) {
+      return res
+        .status(403)
+        .json({ error: "You can only view tasks in this project." });
+    }
+
+    // Restorable from the trash until it is purged.
+    if ((await trashTask(taskId)) === 0) {
+      return res.status(404).json({ error: "Task not found." });
+    }
+    await recordActivity(req.user.id, taskId, "deleted");
+    await notifyTask(taskId);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
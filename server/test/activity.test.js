@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { api, createTask, register, startServer, stopServer } from "./helpers.js";
+
+const { pool } = await import("../db.js");
+
+let alice;
+let bob;
+
+before(async () => {
+  await startServer();
+  alice = await register("alice@example.com", { timeZone: "UTC" });
+  bob = await register("bob@example.com");
+});
+after(stopServer);
+
+// The task's history oldest first, as [action, old value, new value].
+async function history(taskId, token = alice) {
+  const res = await api("GET", `/api/tasks/${taskId}/activity`, { token });
+  assert.equal(res.status, 200, res.body.error);
+  return res.body.reverse().map((entry) => [entry.action, entry.old_value, entry.new_value]);
+}
+
+describe("GET /api/tasks/:id/activity", () => {
+  test("records who changed what, newest first", async () => {
+    const task = await createTask(alice, { title: "Draft plan", dueDate: "2030-01-01" });
+    await api("PATCH", `/api/tasks/${task.id}`, {
+      token: alice,
+      body: { title: "Final plan", priority: "high" },
+    });
+    await api("PATCH", `/api/tasks/${task.id}`, {
+      token: alice,
+      body: { dueDate: "2030-01-02", dueTime: "09:00" },
+    });
+    await api("PATCH", `/api/tasks/${task.id}`, { token: alice, body: { status: "in_progress" } });
+    await api("PATCH", `/api/tasks/${task.id}`, { token: alice, body: { completed: true } });
+
+    assert.deepEqual(await history(task.id), [
+      ["created", null, "Draft plan"],
+      ["renamed", "Draft plan", "Final plan"],
+      ["priority_changed", "medium", "high"],
+      ["due_changed", "2030-01-01", "2030-01-02T09:00:00.000Z"],
+      ["status_changed", "todo", "in_progress"],
+      ["completed", null, null],
+    ]);
+
+    const res = await api("GET", `/api/tasks/${task.id}/activity`, { token: alice });
+    assert.equal(res.body[0].action, "completed");
+    assert.equal(res.body[0].user_email, "alice@example.com");
+    assert.ok(res.body[0].created_at);
+  });
+
+  test("logs nothing for an update that changes nothing", async () => {
+    const task = await createTask(alice, { title: "Steady", priority: "low" });
+    await api("PATCH", `/api/tasks/${task.id}`, { token: alice, body: { priority: "low" } });
+
+    assert.deepEqual(await history(task.id), [["created", null, "Steady"]]);
+  });
+
+  test("records deleting and restoring, one by one and in bulk", async () => {
+    const task = await createTask(alice, { title: "Back and forth" });
+    await api("DELETE", `/api/tasks/${task.id}`, { token: alice });
+    await api("POST", `/api/tasks/${task.id}/restore`, { token: alice });
+    await api("POST", "/api/tasks/bulk", {
+      token: alice,
+      body: { action: "delete", taskIds: [task.id] },
+    });
+    await api("POST", "/api/tasks/bulk", {
+      token: alice,
+      body: { action: "restore", taskIds: [task.id] },
+    });
+    await api("POST", "/api/tasks/bulk", {
+      token: alice,
+      body: { action: "update", taskIds: [task.id], changes: { priority: "high" } },
+    });
+
+    assert.deepEqual(await history(task.id), [
+      ["created", null, "Back and forth"],
+      ["deleted", null, null],
+      ["restored", null, null],
+      ["deleted", null, null],
+      ["restored", null, null],
+      ["priority_changed", "medium", "high"],
+    ]);
+  });
+
+  test("records a task completed by its checklist", async () => {
+    const task = await createTask(alice, { title: "Pack" });
+    const item = await api("POST", `/api/tasks/${task.id}/items`, {
+      token: alice,
+      body: { title: "Socks" },
+    });
+    await api("PATCH", `/api/tasks/${task.id}`, { token: alice, body: { autoComplete: true } });
+    await api("PUT", `/api/tasks/${task.id}/items/${item.body.id}`, {
+      token: alice,
+      body: { completed: true },
+    });
+
+    assert.deepEqual((await history(task.id)).at(-1), ["completed", null, null]);
+  });
+
+  test("is only readable by those who can see the task", async () => {
+    const task = await createTask(alice, { title: "Private history" });
+
+    const res = await api("GET", `/api/tasks/${task.id}/activity`, { token: bob });
+    assert.equal(res.status, 404);
+  });
+
+  test("cannot be rewritten", async () => {
+    const task = await createTask(alice, { title: "Set in stone" });
+
+    await assert.rejects(
+      pool.query("UPDATE task_activity SET action = 'renamed' WHERE task_id = $1", [task.id]),
+      /append-only/,
+    );
+  });
+});
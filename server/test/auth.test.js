@@ -0,0 +1,196 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import jwt from "jsonwebtoken";
+import { api, register, startServer, stopServer } from "./helpers.js";
+
+before(startServer);
+after(stopServer);
+
+describe("POST /api/auth/register", () => {
+  test("creates an account and signs it in", async () => {
+    const res = await api("POST", "/api/auth/register", {
+      body: { email: " New@Example.com ", password: "secret1" },
+    });
+
+    assert.equal(res.status, 201);
+    assert.ok(res.body.token);
+    assert.ok(res.body.refreshToken);
+
+    const account = await api("GET", "/api/account", { token: res.body.token });
+    assert.equal(account.status, 200);
+    assert.equal(account.body.email, "new@example.com");
+    assert.equal(account.body.email_verified, false);
+    assert.equal(account.body.time_zone, "UTC");
+  });
+
+  test("keeps the time zone the client sends", async () => {
+    const token = await register("zone@example.com", { timeZone: "Europe/Paris" });
+
+    const account = await api("GET", "/api/account", { token });
+    assert.equal(account.body.time_zone, "Europe/Paris");
+  });
+
+  test("falls back to UTC for an unknown time zone", async () => {
+    const token = await register("nozone@example.com", { timeZone: "Mars/Base" });
+
+    const account = await api("GET", "/api/account", { token });
+    assert.equal(account.body.time_zone, "UTC");
+  });
+
+  test("rejects an email that is already registered, in any case", async () => {
+    await register("taken@example.com");
+
+    const res = await api("POST", "/api/auth/register", {
+      body: { email: "TAKEN@example.com", password: "secret1" },
+    });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, "Email already registered.");
+  });
+
+  test("rejects an invalid email", async () => {
+    for (const email of ["", "no-at-sign", "a@b", "two words@example.com"]) {
+      const res = await api("POST", "/api/auth/register", {
+        body: { email, password: "secret1" },
+      });
+      assert.equal(res.status, 400, email);
+      assert.equal(res.body.error, "Enter a valid email.");
+    }
+  });
+
+  test("rejects a short password", async () => {
+    const res = await api("POST", "/api/auth/register", {
+      body: { email: "short@example.com", password: "12345" },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Password must be at least 6 characters.");
+  });
+});
+
+describe("POST /api/auth/login", () => {
+  before(() => register("login@example.com", { password: "right-password" }));
+
+  test("signs in with the right password", async () => {
+    const res = await api("POST", "/api/auth/login", {
+      body: { email: "Login@Example.com", password: "right-password" },
+    });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token);
+    assert.ok(res.body.refreshToken);
+    assert.equal(jwt.decode(res.body.token).email, "login@example.com");
+  });
+
+  test("rejects a wrong password", async () => {
+    const res = await api("POST", "/api/auth/login", {
+      body: { email: "login@example.com", password: "wrong-password" },
+    });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Invalid credentials.");
+  });
+
+  test("answers an unknown email the same way", async () => {
+    const res = await api("POST", "/api/auth/login", {
+      body: { email: "nobody@example.com", password: "right-password" },
+    });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Invalid credentials.");
+  });
+});
+
+describe("requireAuth", () => {
+  test("rejects a request without a token", async () => {
+    const res = await api("GET", "/api/tasks");
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Missing token");
+  });
+
+  test("rejects a malformed token", async () => {
+    const res = await api("GET", "/api/tasks", { token: "not-a-jwt" });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Invalid or expired token");
+  });
+
+  test("rejects a token signed with another secret", async () => {
+    const forged = jwt.sign({ id: 1, email: "new@example.com", sid: 1 }, "other-secret");
+
+    const res = await api("GET", "/api/tasks", { token: forged });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Invalid or expired token");
+  });
+
+  test("rejects an expired token", async () => {
+    const expired = jwt.sign(
+      { id: 1, email: "new@example.com", sid: 1, exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET || "dev-fallback",
+    );
+
+    const res = await api("GET", "/api/tasks", { token: expired });
+    assert.equal(res.status, 401);
+  });
+
+  test("lets a valid token through", async () => {
+    const token = await register("valid@example.com");
+
+    const res = await api("GET", "/api/tasks", { token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.tasks, []);
+  });
+});
+
+describe("refresh tokens", () => {
+  test("rotate on every use", async () => {
+    const signedUp = await api("POST", "/api/auth/register", {
+      body: { email: "rotate@example.com", password: "secret1" },
+    });
+    const first = signedUp.body.refreshToken;
+
+    const refreshed = await api("POST", "/api/auth/refresh", {
+      body: { refreshToken: first },
+    });
+    assert.equal(refreshed.status, 200);
+    assert.ok(refreshed.body.token);
+    assert.notEqual(refreshed.body.refreshToken, first);
+
+    const replayed = await api("POST", "/api/auth/refresh", {
+      body: { refreshToken: first },
+    });
+    assert.equal(replayed.status, 401);
+  });
+
+  test("stop working after logout", async () => {
+    const signedUp = await api("POST", "/api/auth/register", {
+      body: { email: "logout@example.com", password: "secret1" },
+    });
+    const { refreshToken } = signedUp.body;
+
+    const loggedOut = await api("POST", "/api/auth/logout", { body: { refreshToken } });
+    assert.equal(loggedOut.status, 200);
+
+    const refreshed = await api("POST", "/api/auth/refresh", { body: { refreshToken } });
+    assert.equal(refreshed.status, 401);
+  });
+
+  test("take the access token down with them when revoked", async () => {
+    const signedUp = await api("POST", "/api/auth/register", {
+      body: { email: "revoked@example.com", password: "secret1" },
+    });
+    const other = await api("POST", "/api/auth/login", {
+      body: { email: "revoked@example.com", password: "secret1" },
+    });
+    assert.equal((await api("GET", "/api/tasks", { token: other.body.token })).status, 200);
+
+    await api("DELETE", "/api/auth/sessions", { token: signedUp.body.token });
+    const res = await api("GET", "/api/tasks", { token: other.body.token });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Session expired. Please log in again.");
+    assert.equal((await api("GET", "/api/tasks", { token: signedUp.body.token })).status, 200);
+
+    await api("POST", "/api/auth/logout", { body: { refreshToken: signedUp.body.refreshToken } });
+    assert.equal((await api("GET", "/api/tasks", { token: signedUp.body.token })).status, 401);
+  });
+
+  test("must be sent", async () => {
+    const res = await api("POST", "/api/auth/refresh", { body: {} });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Missing refresh token.");
+  });
+});
@@ -0,0 +1,130 @@
+import assert from "node:assert/strict";
+import { rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, test } from "node:test";
+import { api, startServer, stopServer } from "./helpers.js";
+import { readConfig } from "../config.js";
+
+const STRONG_SECRET = "0123456789abcdef0123456789abcdef";
+const PRODUCTION = {
+  NODE_ENV: "production",
+  JWT_SECRET: STRONG_SECRET,
+  DATABASE_URL: "postgres://app@db.example.com/taskist",
+  PUBLIC_APP_URL: "https://www.taskist.com",
+};
+
+describe("readConfig", () => {
+  test("runs locally with nothing set", () => {
+    const { config, errors, warnings } = readConfig({});
+
+    assert.deepEqual(errors, []);
+    assert.equal(config.storage, "memory");
+    assert.equal(config.port, 3001);
+    assert.equal(config.databaseSsl, "disable");
+    assert.equal(warnings.length, 1);
+  });
+
+  test("refuses to run production without a strong JWT secret", () => {
+    for (const [secret, pattern] of [
+      [undefined, /JWT_SECRET must be set/],
+      ["dev-fallback", /JWT_SECRET is too weak/],
+      ["short-secret", /JWT_SECRET is too weak/],
+    ]) {
+      const { errors } = readConfig({ ...PRODUCTION, JWT_SECRET: secret });
+      assert.equal(errors.length, 1, secret);
+      assert.match(errors[0], pattern);
+    }
+
+    assert.deepEqual(readConfig(PRODUCTION).errors, []);
+  });
+
+  test("refuses to run production on the embedded database", () => {
+    for (const [env, message] of [
+      [{ DATABASE_URL: undefined }, "DATABASE_URL must be set in production."],
+      [{ STORAGE: "memory" }, "STORAGE=memory cannot be used in production; use postgres."],
+      [
+        { DATABASE_URL: undefined, STORAGE: "memory" },
+        "DATABASE_URL must be set in production.",
+      ],
+    ]) {
+      assert.deepEqual(readConfig({ ...PRODUCTION, ...env }).errors, [message]);
+    }
+
+    assert.equal(readConfig(PRODUCTION).config.storage, "postgres");
+  });
+
+  test("checks database certificates in production", () => {
+    assert.equal(readConfig(PRODUCTION).config.databaseSsl, "verify");
+    assert.equal(readConfig(PRODUCTION).config.databaseCa, null);
+
+    const caFile = join(tmpdir(), `taskist-ca-${process.pid}.pem`);
+    writeFileSync(caFile, "-----BEGIN CERTIFICATE-----\n");
+    const withCa = readConfig({ ...PRODUCTION, DATABASE_CA_FILE: caFile });
+    rmSync(caFile);
+    assert.equal(withCa.config.databaseCa, "-----BEGIN CERTIFICATE-----\n");
+
+    const missing = readConfig({ ...PRODUCTION, DATABASE_CA_FILE: "/nowhere/ca.pem" });
+    assert.match(missing.errors[0], /DATABASE_CA_FILE cannot be read/);
+  });
+
+  test("allows only the origins it is given", () => {
+    const { config, errors } = readConfig({
+      CLIENT_URL: "https://taskist-client.onrender.com/app",
+      CORS_ORIGINS: "https://staging.taskist.com, http://localhost:4173",
+    });
+
+    assert.deepEqual(errors, []);
+    assert.ok(config.allowedOrigins.has("https://taskist-client.onrender.com"));
+    assert.ok(config.allowedOrigins.has("https://staging.taskist.com"));
+    assert.ok(config.allowedOrigins.has("http://localhost:4173"));
+    assert.ok(!config.allowedOrigins.has("https://other.onrender.com"));
+  });
+
+  test("reports every value it cannot use", () => {
+    const { errors } = readConfig({
+      PORT: "eighty",
+      STORAGE: "sqlite",
+      CORS_ORIGINS: "https://ok.example.com,https://bad.example.com/path",
+      REMINDER_NOTIFIER: "webhook",
+      TRASH_RETENTION_DAYS: "0",
+      RATE_LIMIT_REDIS_URL: "localhost:6379",
+    });
+
+    assert.deepEqual(errors, [
+      "STORAGE must be one of: postgres, memory.",
+      'CORS_ORIGINS has "https://bad.example.com/path", which is not an origin such as https://app.example.com.',
+      "REMINDER_WEBHOOK_URL must be set when REMINDER_NOTIFIER is webhook.",
+      "PORT must be a whole number from 1 to 65535.",
+      "RATE_LIMIT_REDIS_URL must be a redis: or rediss: URL.",
+      "TRASH_RETENTION_DAYS must be a whole number of at least 1.",
+    ]);
+  });
+});
+
+describe("responses", () => {
+  before(startServer);
+  after(stopServer);
+
+  test("carry security headers", async () => {
+    const res = await api("GET", "/api/health");
+
+    assert.equal(res.headers.get("x-content-type-options"), "nosniff");
+    assert.equal(res.headers.get("x-frame-options"), "DENY");
+    assert.equal(res.headers.get("referrer-policy"), "no-referrer");
+    assert.match(res.headers.get("content-security-policy"), /default-src 'none'/);
+    assert.equal(res.headers.get("x-powered-by"), null);
+  });
+
+  test("are only shared with allowed origins", async () => {
+    const allowed = await api("GET", "/api/health", {
+      headers: { Origin: "https://www.taskist.com" },
+    });
+    assert.equal(allowed.headers.get("access-control-allow-origin"), "https://www.taskist.com");
+
+    const other = await api("GET", "/api/health", {
+      headers: { Origin: "https://someone.onrender.com" },
+    });
+    assert.equal(other.headers.get("access-control-allow-origin"), null);
+  });
+});
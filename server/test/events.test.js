@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { api, createTask, openEvents, register, startServer, stopServer } from "./helpers.js";
+
+let alice;
+let bob;
+const streams = [];
+
+before(async () => {
+  await startServer();
+  alice = await register("alice@example.com");
+  bob = await register("bob@example.com");
+});
+after(async () => {
+  streams.forEach((stream) => stream.close());
+  await stopServer();
+});
+
+// Opens a stream and waits until it is ready to deliver new events.
+async function listen(token, options) {
+  const stream = await openEvents(token, options);
+  streams.push(stream);
+  const first = await stream.next();
+  stream.readyId = first.id;
+  stream.first = first;
+  return stream;
+}
+
+describe("GET /api/events", () => {
+  test("needs a valid token", async () => {
+    const res = await api("GET", "/api/events");
+    assert.equal(res.status, 401);
+  });
+
+  test("pushes task changes to every open app of the owner", async () => {
+    const laptop = await listen(alice);
+    const phone = await listen(alice);
+    assert.equal(laptop.first.type, "ready");
+
+    const task = await createTask(alice, { title: "Water plants" });
+    for (const stream of [laptop, phone]) {
+      const event = await stream.next();
+      assert.equal(event.type, "task.created");
+      assert.equal(event.data.task.id, task.id);
+    }
+
+    await api("PATCH", `/api/tasks/${task.id}`, { token: alice, body: { completed: true } });
+    const updated = await laptop.next();
+    assert.equal(updated.type, "task.updated");
+    assert.equal(updated.data.task.completed, true);
+    assert.equal(updated.data.task.version, task.version + 1);
+
+    await api("DELETE", `/api/tasks/${task.id}`, { token: alice });
+    const deleted = await laptop.next();
+    assert.equal(deleted.type, "task.deleted");
+    assert.deepEqual(deleted.data, { id: task.id });
+
+    await api("POST", `/api/tasks/${task.id}/restore`, { token: alice });
+    const restored = await laptop.next();
+    assert.equal(restored.type, "task.updated");
+    assert.equal(restored.data.task.deleted_at, null);
+  });
+
+  test("keeps other users' tasks to themselves", async () => {
+    const stream = await listen(bob);
+
+    await createTask(alice, { title: "Alice only" });
+    await createTask(bob, { title: "Bob only" });
+
+    const event = await stream.next();
+    assert.equal(event.data.task.title, "Bob only");
+  });
+
+  test("reaches project members and drops tasks that leave the project", async () => {
+    const project = await api("POST", "/api/projects", { token: alice, body: { name: "Trip" } });
+    const bobStream = await listen(bob);
+
+    await api("POST", `/api/projects/${project.body.id}/members`, {
+      token: alice,
+      body: { email: "bob@example.com", role: "editor" },
+    });
+    assert.equal((await bobStream.next()).type, "resync");
+
+    const task = await createTask(alice, { title: "Book flights", projectId: project.body.id });
+    assert.equal((await bobStream.next()).data.task.id, task.id);
+
+    await api("PATCH", `/api/tasks/${task.id}`, { token: alice, body: { projectId: null } });
+    assert.deepEqual((await bobStream.next()).data, { id: task.id });
+  });
+
+  test("sends nothing for changes that are rolled back", async () => {
+    const stream = await listen(alice);
+    const task = await createTask(alice, { title: "Stable" });
+    await stream.next();
+
+    const stale = await api("PATCH", `/api/tasks/${task.id}`, {
+      token: alice,
+      headers: { "If-Match": `"${task.version + 5}"` },
+      body: { title: "Changed" },
+    });
+    assert.equal(stale.status, 412);
+    const failed = await api("POST", "/api/tasks/bulk", {
+      token: alice,
+      body: { action: "update", taskIds: [task.id, 99999], changes: { priority: "high" } },
+    });
+    assert.equal(failed.status, 404);
+
+    await api("PATCH", `/api/tasks/${task.id}`, { token: alice, body: { priority: "low" } });
+    const event = await stream.next();
+    assert.equal(event.data.task.title, "Stable");
+    assert.equal(event.data.task.priority, "low");
+  });
+
+  test("replays missed events after a reconnect", async () => {
+    const stream = await listen(alice);
+    stream.close();
+
+    const first = await createTask(alice, { title: "While away 1" });
+    const second = await createTask(alice, { title: "While away 2" });
+
+    const resumed = await openEvents(alice, { lastEventId: stream.readyId });
+    streams.push(resumed);
+    assert.equal((await resumed.next()).data.task.id, first.id);
+    assert.equal((await resumed.next()).data.task.id, second.id);
+    assert.equal((await resumed.next()).type, "ready");
+  });
+
+  test("asks for a reload when it cannot replay", async () => {
+    const stream = await listen(alice, { lastEventId: "0000-1" });
+    assert.equal(stream.first.type, "resync");
+  });
+});
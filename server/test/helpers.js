@@ -0,0 +1,106 @@
+import { once } from "node:events";
+
+// Every test file runs in its own process (node --test), so each one gets a
+// fresh in-memory database. STORAGE has to be set before db.js is loaded.
+process.env.STORAGE = "memory";
+delete process.env.STORAGE_DIR;
+
+const { app } = await import("../app.js");
+const { migrateUp } = await import("../migrator.js");
+const { pool } = await import("../db.js");
+
+let server;
+let baseUrl;
+
+export async function startServer() {
+  await migrateUp();
+  server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+export async function stopServer() {
+  server.close();
+  await once(server, "close");
+  await pool.end();
+}
+
+// Calls the API and returns { status, headers, body } with a JSON body parsed
+// and any other body as text.
+export async function api(method, path, { token, body, headers: extra } = {}) {
+  const headers = { "Content-Type": "application/json", ...extra };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  const json = res.headers.get("content-type")?.includes("application/json");
+  return {
+    status: res.status,
+    headers: res.headers,
+    body: !text ? null : json ? JSON.parse(text) : text,
+  };
+}
+
+// Registers a new account and returns its access token.
+export async function register(email, { password = "secret1", timeZone } = {}) {
+  const res = await api("POST", "/api/auth/register", {
+    body: { email, password, timeZone },
+  });
+  if (res.status !== 201) throw new Error(`Could not register ${email}: ${res.body.error}`);
+  return res.body.token;
+}
+
+// Creates a task and returns it as the API answers.
+export async function createTask(token, body) {
+  const res = await api("POST", "/api/tasks", { token, body });
+  if (res.status !== 201) throw new Error(`Could not create a task: ${res.body.error}`);
+  return res.body;
+}
+
+// Opens GET /api/events and returns { next, close }: next() resolves with the
+// following event as { id, type, data } and fails after `timeoutMs`.
+export async function openEvents(token, { lastEventId, timeoutMs = 3000 } = {}) {
+  const controller = new AbortController();
+  const headers = { Authorization: `Bearer ${token}` };
+  if (lastEventId) headers["Last-Event-ID"] = lastEventId;
+
+  const res = await fetch(`${baseUrl}/api/events`, { headers, signal: controller.signal });
+  if (res.status !== 200) throw new Error(`Could not open events: ${res.status}`);
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+
+  async function next() {
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      for (;;) {
+        const end = buffer.indexOf("\n\n");
+        if (end !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          if (block.startsWith(":")) continue;
+
+          const fields = Object.fromEntries(
+            block.split("\n").map((line) => {
+              const colon = line.indexOf(":");
+              return [line.slice(0, colon), line.slice(colon + 2)];
+            }),
+          );
+          return { id: fields.id, type: fields.event, data: JSON.parse(fields.data) };
+        }
+
+        const { value, done } = await reader.read();
+        if (done) throw new Error("The event stream ended.");
+        buffer += value;
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return { next, close: () => controller.abort() };
+}
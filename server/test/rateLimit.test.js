@@ -0,0 +1,169 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createServer } from "node:net";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { api, register, startServer, stopServer } from "./helpers.js";
+import { createMemoryStore, createRedisStore, setLimiterStore } from "../rateLimit.js";
+import { createRedisClient } from "../redis.js";
+
+before(async () => {
+  await startServer();
+  await register("victim@example.com", { password: "right-password" });
+});
+after(stopServer);
+
+// Every test starts with nothing counted.
+beforeEach(() => setLimiterStore(createMemoryStore()));
+
+function login(email, password) {
+  return api("POST", "/api/auth/login", { body: { email, password } });
+}
+
+describe("login limits", () => {
+  test("lock an account after five failed attempts", async () => {
+    for (let i = 0; i < 5; i += 1) {
+      const res = await login("victim@example.com", "wrong-password");
+      assert.equal(res.status, 401);
+    }
+
+    const res = await login("victim@example.com", "right-password");
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error, "Too many attempts. Try again in 1 minute.");
+    const retryAfter = Number(res.headers.get("retry-after"));
+    assert.ok(retryAfter > 0 && retryAfter <= 30, `Retry-After ${retryAfter}`);
+
+    // Another account is not affected.
+    const other = await login("someone@example.com", "any-password");
+    assert.equal(other.status, 401);
+  });
+
+  test("lock unknown emails the same way", async () => {
+    for (let i = 0; i < 5; i += 1) {
+      assert.equal((await login("nobody@example.com", "guess")).status, 401);
+    }
+    assert.equal((await login("nobody@example.com", "guess")).status, 429);
+  });
+
+  test("forget failures after a successful login", async () => {
+    for (let i = 0; i < 4; i += 1) await login("victim@example.com", "wrong-password");
+    assert.equal((await login("victim@example.com", "right-password")).status, 200);
+
+    for (let i = 0; i < 4; i += 1) {
+      assert.equal((await login("victim@example.com", "wrong-password")).status, 401);
+    }
+    assert.equal((await login("victim@example.com", "right-password")).status, 200);
+  });
+
+  test("stop an address that fails across many accounts", async () => {
+    for (let i = 0; i < 20; i += 1) {
+      assert.equal((await login(`guess${i}@example.com`, "password")).status, 401);
+    }
+
+    const res = await login("victim@example.com", "right-password");
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error, "Too many attempts. Try again in 15 minutes.");
+  });
+});
+
+describe("registration limits", () => {
+  test("allow twenty attempts an hour from one address", async () => {
+    for (let i = 0; i < 20; i += 1) {
+      const res = await api("POST", "/api/auth/register", {
+        body: { email: `new${i}@example.com`, password: "x" },
+      });
+      assert.equal(res.status, 400);
+    }
+
+    const res = await api("POST", "/api/auth/register", {
+      body: { email: "late@example.com", password: "secret1" },
+    });
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get("retry-after")) > 3500);
+  });
+});
+
+// Answers the commands createRedisStore sends the way Redis would, and keeps
+// a list of them.
+function fakeRedis() {
+  const keys = new Map();
+  const commands = [];
+
+  function live(key) {
+    if (keys.get(key)?.expiresAt <= Date.now()) keys.delete(key);
+    return keys.get(key);
+  }
+
+  async function sendCommand(args) {
+    commands.push(args);
+    const [name, ...rest] = args;
+    switch (name) {
+      case "EVAL": {
+        const [, , key, windowMs] = rest;
+        let entry = live(key);
+        if (!entry) {
+          entry = { count: 0, expiresAt: Date.now() + Number(windowMs) };
+          keys.set(key, entry);
+        }
+        entry.count += 1;
+        return [entry.count, entry.expiresAt - Date.now()];
+      }
+      case "GET":
+        return live(rest[0]) ? String(live(rest[0]).count) : null;
+      case "PTTL":
+        return live(rest[0]) ? live(rest[0]).expiresAt - Date.now() : -2;
+      case "DEL":
+        return keys.delete(rest[0]) ? 1 : 0;
+      default:
+        throw new Error(`Unexpected command ${name}`);
+    }
+  }
+
+  return { keys, commands, sendCommand };
+}
+
+describe("redis store", () => {
+  test("keeps the counts in Redis under its prefix", async () => {
+    const redis = fakeRedis();
+    setLimiterStore(createRedisStore(redis.sendCommand, { prefix: "test:" }));
+
+    for (let i = 0; i < 5; i += 1) {
+      assert.equal((await login("victim@example.com", "wrong-password")).status, 401);
+    }
+    const res = await login("victim@example.com", "right-password");
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get("retry-after")) <= 30);
+
+    assert.equal(redis.keys.get("test:login:failures:victim@example.com").count, 5);
+    assert.ok(redis.keys.has("test:login:lock:victim@example.com"));
+    assert.ok(redis.commands.every(([, ...args]) => args.some((arg) => arg.startsWith("test:"))));
+
+    // Another instance on the same Redis sees the lock too.
+    setLimiterStore(createRedisStore(redis.sendCommand, { prefix: "test:" }));
+    assert.equal((await login("victim@example.com", "right-password")).status, 429);
+    redis.keys.clear();
+    assert.equal((await login("victim@example.com", "right-password")).status, 200);
+  });
+
+  test("fails open to this process's counts while Redis is unreachable", async (t) => {
+    // A port nothing listens on any more.
+    const server = createServer().listen(0, "127.0.0.1");
+    await once(server, "listening");
+    const { port } = server.address();
+    server.close();
+    await once(server, "close");
+
+    const errors = t.mock.method(console, "error", () => {});
+    const client = createRedisClient(`redis://127.0.0.1:${port}`);
+    t.after(() => client.close());
+    setLimiterStore(createRedisStore(client.sendCommand, { prefix: "test:" }));
+
+    for (let i = 0; i < 5; i += 1) {
+      assert.equal((await login("victim@example.com", "wrong-password")).status, 401);
+    }
+    assert.equal((await login("victim@example.com", "right-password")).status, 429);
+    assert.equal(
+      errors.mock.calls.filter(({ arguments: [message] }) => message.startsWith("Limiter")).length,
+      1,
+    );
+  });
+});
@@ -0,0 +1,884 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { api, createTask, register, startServer, stopServer } from "./helpers.js";
+
+const { pool } = await import("../db.js");
+
+let alice;
+let bob;
+
+before(async () => {
+  await startServer();
+  alice = await register("alice@example.com", { timeZone: "America/New_York" });
+  bob = await register("bob@example.com");
+});
+after(stopServer);
+
+async function updateTask(token, id, body) {
+  return api("PUT", `/api/tasks/${id}`, { token, body });
+}
+
+async function getTask(token, id) {
+  const res = await api("GET", `/api/tasks/${id}`, { token });
+  assert.equal(res.status, 200, res.body.error);
+  return res.body;
+}
+
+describe("POST /api/tasks", () => {
+  test("fills in defaults", async () => {
+    const task = await createTask(alice, { title: "  Buy milk  " });
+
+    assert.equal(task.title, "Buy milk");
+    assert.equal(task.priority, "medium");
+    assert.equal(task.status, "todo");
+    assert.equal(task.completed, false);
+    assert.equal(task.completed_at, null);
+    assert.equal(task.due_date, null);
+    assert.equal(task.due_at, null);
+    assert.equal(task.project_id, null);
+    assert.equal(task.assignee_id, null);
+    assert.equal(task.recurrence, null);
+    assert.equal(task.has_description, false);
+    assert.deepEqual(task.tags, []);
+  });
+
+  test("stores every field it is given", async () => {
+    const tag = await api("POST", "/api/tags", {
+      token: alice,
+      body: { name: "Errands", color: "#FF8800" },
+    });
+    const task = await createTask(alice, {
+      title: "Dentist",
+      priority: "high",
+      status: "in_progress",
+      dueDate: "2030-01-02",
+      dueTime: "09:30",
+      reminders: [60, 0],
+      recurrence: "FREQ=MONTHLY",
+      description: "Bring the *forms*.",
+      tagIds: [tag.body.id],
+    });
+
+    assert.equal(task.priority, "high");
+    assert.equal(task.status, "in_progress");
+    assert.equal(task.due_date, "2030-01-02");
+    // 09:30 in New York, where Alice lives.
+    assert.equal(task.due_at, "2030-01-02T14:30:00.000Z");
+    assert.equal(task.recurrence, "FREQ=MONTHLY");
+    assert.equal(task.has_description, true);
+    assert.deepEqual(task.tags, [{ id: tag.body.id, name: "Errands", color: "#ff8800" }]);
+
+    const opened = await getTask(alice, task.id);
+    assert.equal(opened.description, "Bring the *forms*.");
+
+    const reminders = await api("GET", `/api/tasks/${task.id}/reminders`, { token: alice });
+    assert.deepEqual(
+      reminders.body.map((reminder) => reminder.minutes_before),
+      [0, 60],
+    );
+  });
+
+  test("can create a task that is already done", async () => {
+    const task = await createTask(alice, { title: "Old chore", completed: true });
+
+    assert.equal(task.completed, true);
+    assert.equal(task.status, "done");
+    assert.ok(task.completed_at);
+  });
+
+  test("puts new tasks at the top of the board", async () => {
+    const older = await createTask(alice, { title: "Older" });
+    const newer = await createTask(alice, { title: "Newer" });
+
+    assert.ok(newer.position < older.position);
+  });
+
+  test("ranks each board on its own", async () => {
+    const dana = await register("dana@example.com");
+    const first = await createTask(dana, { title: "Dana's first" });
+    assert.equal(first.position, -1024);
+
+    // Other people's tasks and projects do not push it down.
+    await createTask(alice, { title: "Alice again" });
+    const project = await api("POST", "/api/projects", { token: dana, body: { name: "Side" } });
+    const inProject = await createTask(dana, { title: "Side task", projectId: project.body.id });
+    assert.equal(inProject.position, -1024);
+    assert.equal((await createTask(dana, { title: "Dana's second" })).position, -2048);
+  });
+
+  test("strips script from descriptions", async () => {
+    const task = await createTask(alice, {
+      title: "Sneaky",
+      description: 'Hi <script>alert(1)</script><img src=x onerror="alert(2)">',
+    });
+
+    const opened = await getTask(alice, task.id);
+    assert.equal(opened.description, "Hi <img src=x>");
+  });
+
+  test("keeps code samples as typed while cleaning the text around them", async () => {
+    const code = [
+      "Then `<svg onload=x>` and the rest of the line stay.",
+      "",
+      "```html",
+      "<form action=\"/x\"><style>p {}</style></form>",
+      "```",
+    ].join("\n");
+    const task = await createTask(alice, {
+      title: "Code sample",
+      description: `${code}\n\n[Docs](javascript:alert(1)) <img src=x \`a\` onerror=alert(2)>`,
+    });
+
+    const opened = await getTask(alice, task.id);
+    assert.equal(opened.description, `${code}\n\n[Docs](blocked:alert(1)) <img src=x \`a\`>`);
+  });
+
+  const invalid = [
+    [{ title: "x" }, "Title must be at least 2 characters."],
+    [{ title: "   " }, "Title must be at least 2 characters."],
+    [{ title: "Call", dueTime: "10:00" }, "Set a due date before a due time."],
+    [{ title: "Call", dueDate: "2030-01-02", dueTime: "25:00" }, "Due time must be HH:MM."],
+    [{ title: "Call", status: "blocked" }, "status must be todo, in_progress or done."],
+    [{ title: "Call", priority: "urgent" }, "priority must be low, medium or high."],
+    [{ title: "Call", dueDate: "2030-02-30" }, "Due date must be a YYYY-MM-DD date."],
+    [{ title: "Call", completed: "yes" }, "completed must be true or false."],
+    [
+      { title: "Call", completed: true, status: "todo" },
+      "completed must be true exactly when status is done.",
+    ],
+    [{ title: "Call", reminders: "soon" }, "reminders must list minutes before the due time."],
+    [{ title: "Call", recurrence: "FREQ=HOURLY" }, "Unsupported FREQ: HOURLY."],
+    [{ title: "Call", projectId: "abc" }, "Project not found."],
+    [{ title: "Call", projectId: 999 }, "Project not found."],
+    [{ title: "Call", tagIds: [999] }, "Tags not found."],
+    [{ title: "Call", assigneeId: "abc" }, "Assignee must be a member of the project."],
+    [
+      { title: "Call", description: "x".repeat(10001) },
+      "Description must be at most 10000 characters.",
+    ],
+  ];
+  for (const [body, error] of invalid) {
+    test(`rejects ${JSON.stringify(body).slice(0, 60)}`, async () => {
+      const res = await api("POST", "/api/tasks", { token: alice, body });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, error);
+    });
+  }
+});
+
+describe("PUT /api/tasks/:id", () => {
+  let task;
+
+  beforeEach(async () => {
+    task = await createTask(alice, {
+      title: "Write report",
+      priority: "low",
+      dueDate: "2030-03-10",
+      dueTime: "17:00",
+    });
+  });
+
+  test("updates the title", async () => {
+    const res = await updateTask(alice, task.id, { title: "  Write summary " });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.task.title, "Write summary");
+    assert.equal(res.body.nextTask, null);
+  });
+
+  test("rejects a title that is too short", async () => {
+    const res = await updateTask(alice, task.id, { title: "x" });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Title must be at least 2 characters.");
+    assert.equal((await getTask(alice, task.id)).title, "Write report");
+  });
+
+  test("changing only the priority keeps the due date and time", async () => {
+    const res = await updateTask(alice, task.id, { priority: "high" });
+
+    assert.equal(res.body.task.priority, "high");
+    assert.equal(res.body.task.due_date, "2030-03-10");
+    assert.equal(res.body.task.due_at, "2030-03-10T21:00:00.000Z");
+  });
+
+  test("rejects an unknown priority or a date that does not exist", async () => {
+    const before = await getTask(alice, task.id);
+
+    for (const [body, error] of [
+      [{ priority: "urgent" }, "priority must be low, medium or high."],
+      [{ dueDate: "tomorrow" }, "Due date must be a YYYY-MM-DD date."],
+      [{ dueDate: "2030-02-30" }, "Due date must be a YYYY-MM-DD date."],
+    ]) {
+      const res = await updateTask(alice, task.id, body);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, error);
+    }
+
+    const after = await getTask(alice, task.id);
+    assert.equal(after.priority, before.priority);
+    assert.equal(after.due_date, before.due_date);
+  });
+
+  test("a new due time keeps the due date", async () => {
+    const res = await updateTask(alice, task.id, { dueTime: "08:15" });
+
+    assert.equal(res.body.task.due_date, "2030-03-10");
+    assert.equal(res.body.task.due_at, "2030-03-10T12:15:00.000Z");
+  });
+
+  test("a due date without a time makes the task all-day", async () => {
+    const res = await updateTask(alice, task.id, { dueDate: "2030-04-01" });
+
+    assert.equal(res.body.task.due_date, "2030-04-01");
+    assert.equal(res.body.task.due_at, null);
+  });
+
+  test("an empty due date clears it", async () => {
+    const res = await updateTask(alice, task.id, { dueDate: "" });
+
+    assert.equal(res.body.task.due_date, null);
+    assert.equal(res.body.task.due_at, null);
+  });
+
+  test("rejects a due time without a due date", async () => {
+    await updateTask(alice, task.id, { dueDate: null });
+
+    const res = await updateTask(alice, task.id, { dueTime: "10:00" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Set a due date before a due time.");
+  });
+
+  test("rejects a malformed due time", async () => {
+    const res = await updateTask(alice, task.id, { dueTime: "5pm" });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Due time must be HH:MM.");
+  });
+
+  test("completing and reopening restores the earlier status", async () => {
+    await updateTask(alice, task.id, { status: "in_progress" });
+
+    const done = await updateTask(alice, task.id, { completed: true });
+    assert.equal(done.body.task.completed, true);
+    assert.equal(done.body.task.status, "done");
+    assert.ok(done.body.task.completed_at);
+
+    const reopened = await updateTask(alice, task.id, { completed: false });
+    assert.equal(reopened.body.task.completed, false);
+    assert.equal(reopened.body.task.status, "in_progress");
+    assert.equal(reopened.body.task.completed_at, null);
+  });
+
+  test("moving to the done column completes the task", async () => {
+    const res = await updateTask(alice, task.id, { status: "done" });
+
+    assert.equal(res.body.task.completed, true);
+    assert.equal(res.body.task.status, "done");
+  });
+
+  test("rejects a contradictory completed and status", async () => {
+    const res = await updateTask(alice, task.id, { completed: false, status: "done" });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "completed must be true exactly when status is done.");
+  });
+
+  test("sets and clears the description", async () => {
+    await updateTask(alice, task.id, { description: "Quarterly numbers" });
+    assert.equal((await getTask(alice, task.id)).description, "Quarterly numbers");
+
+    const res = await updateTask(alice, task.id, { description: "" });
+    assert.equal(res.body.task.has_description, false);
+  });
+
+  test("completing a recurring task queues the next occurrence", async () => {
+    await updateTask(alice, task.id, { recurrence: "FREQ=WEEKLY" });
+
+    const res = await updateTask(alice, task.id, { completed: true });
+    assert.equal(res.body.task.recurrence, null);
+    assert.equal(res.body.nextTask.title, "Write report");
+    assert.equal(res.body.nextTask.due_date, "2030-03-17");
+    assert.equal(res.body.nextTask.due_at, "2030-03-17T21:00:00.000Z");
+    assert.equal(res.body.nextTask.recurrence, "FREQ=WEEKLY");
+  });
+
+  test("rejects an invalid repeat rule", async () => {
+    const res = await updateTask(alice, task.id, { recurrence: "FREQ=WEEKLY;INTERVAL=0" });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "INTERVAL must be between 1 and 365.");
+  });
+
+  test("sets auto-complete", async () => {
+    const res = await updateTask(alice, task.id, { autoComplete: true });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.task.auto_complete, true);
+  });
+
+  test("replaces the tags", async () => {
+    const home = await api("POST", "/api/tags", { token: alice, body: { name: "Home" } });
+    const work = await api("POST", "/api/tags", { token: alice, body: { name: "Work" } });
+    await updateTask(alice, task.id, { tagIds: [home.body.id] });
+
+    const res = await updateTask(alice, task.id, { tagIds: [work.body.id] });
+    assert.deepEqual(
+      res.body.task.tags.map((tag) => tag.name),
+      ["Work"],
+    );
+  });
+
+  test("rejects tags that belong to someone else", async () => {
+    const theirs = await api("POST", "/api/tags", { token: bob, body: { name: "Bob's" } });
+
+    const res = await updateTask(alice, task.id, { tagIds: [theirs.body.id] });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Tags not found.");
+  });
+
+  test("moves next to another task on the board", async () => {
+    const anchor = await createTask(alice, { title: "Anchor" });
+
+    const before = await updateTask(alice, task.id, { beforeId: anchor.id });
+    assert.ok(before.body.task.position < anchor.position);
+
+    const after = await updateTask(alice, task.id, { afterId: anchor.id });
+    assert.ok(after.body.task.position > anchor.position);
+  });
+
+  test("spreads out only its own board once ranks run out of room", async () => {
+    const erin = await register("erin@example.com");
+    const bottom = await createTask(erin, { title: "Bottom" });
+    const middle = await createTask(erin, { title: "Middle" });
+    const top = await createTask(erin, { title: "Top" });
+    const alicesBefore = await getTask(alice, task.id);
+
+    // Each move halves the gap under the top task until doubles cannot split it.
+    let [mover, other] = [middle, bottom];
+    for (let i = 0; i < 60; i += 1) {
+      const res = await updateTask(erin, mover.id, { afterId: top.id });
+      assert.equal(res.status, 200, res.body.error);
+      [mover, other] = [other, mover];
+    }
+
+    const list = await api("GET", "/api/tasks?sort=position", { token: erin });
+    assert.deepEqual(
+      list.body.tasks.map((item) => item.id),
+      [top.id, other.id, mover.id],
+    );
+    assert.equal((await getTask(alice, task.id)).position, alicesBefore.position);
+  });
+
+  test("moves only next to tasks on the same board", async () => {
+    const fay = await register("fay@example.com");
+    const project = await api("POST", "/api/projects", { token: fay, body: { name: "Garden" } });
+    const projectId = project.body.id;
+    const errand = await createTask(fay, { title: "Buy seeds" });
+    const chore = await createTask(fay, { title: "Fix the gate" });
+    const planted = await createTask(fay, { title: "Plant beans", projectId });
+    const weeded = await createTask(fay, { title: "Pull weeds", projectId });
+
+    for (const [taskId, body] of [
+      [errand.id, { beforeId: planted.id }],
+      [weeded.id, { afterId: errand.id }],
+      [errand.id, { projectId, afterId: chore.id }],
+    ]) {
+      const res = await updateTask(fay, taskId, body);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, "Tasks can only be moved next to tasks on the same board.");
+    }
+
+    // The board a task ends up on is the one that counts.
+    const joined = await updateTask(fay, errand.id, { projectId, afterId: planted.id });
+    assert.equal(joined.status, 200, joined.body.error);
+    const left = await updateTask(fay, weeded.id, { projectId: null, beforeId: chore.id });
+    assert.equal(left.status, 200, left.body.error);
+  });
+
+  test("moves into a project and assigns a member", async () => {
+    const project = await api("POST", "/api/projects", {
+      token: alice,
+      body: { name: "Launch" },
+    });
+    await api("POST", `/api/projects/${project.body.id}/members`, {
+      token: alice,
+      body: { email: "bob@example.com", role: "editor" },
+    });
+    const bobId = (await api("GET", "/api/account", { token: bob })).body.id;
+
+    const res = await updateTask(alice, task.id, {
+      projectId: project.body.id,
+      assigneeId: bobId,
+    });
+    assert.equal(res.status, 200, res.body.error);
+    assert.equal(res.body.task.project_id, project.body.id);
+    assert.equal(res.body.task.assignee_id, bobId);
+    assert.equal(res.body.task.assignee_email, "bob@example.com");
+
+    // Back in the inbox, nobody else can be assigned.
+    const inbox = await updateTask(alice, task.id, { projectId: null });
+    assert.equal(inbox.body.task.project_id, null);
+    assert.equal(inbox.body.task.assignee_id, null);
+  });
+
+  test("rejects an assignee outside the project", async () => {
+    const bobId = (await api("GET", "/api/account", { token: bob })).body.id;
+
+    const res = await updateTask(alice, task.id, { assigneeId: bobId });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Assignee must be a member of the project.");
+  });
+
+  test("rejects fields it does not know", async () => {
+    const res = await updateTask(alice, task.id, { title: "Renamed", unknownField: 1 });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Unknown field: unknownField.");
+    assert.equal((await getTask(alice, task.id)).title, "Write report");
+  });
+
+  test("rejects an empty body", async () => {
+    const res = await updateTask(alice, task.id, {});
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Nothing to update.");
+  });
+});
+
+describe("PATCH /api/tasks/:id", () => {
+  let task;
+
+  beforeEach(async () => {
+    task = await createTask(alice, { title: "Plan trip", priority: "low" });
+  });
+
+  function patchTask(body, headers) {
+    return api("PATCH", `/api/tasks/${task.id}`, { token: alice, body, headers });
+  }
+
+  test("applies every field and returns the task with its ETag", async () => {
+    const res = await patchTask(
+      { title: "Plan holiday", priority: "high", status: "in_progress" },
+      { "If-Match": `"${task.version}"` },
+    );
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.task.title, "Plan holiday");
+    assert.equal(res.body.task.priority, "high");
+    assert.equal(res.body.task.status, "in_progress");
+    assert.equal(res.body.task.version, task.version + 1);
+    assert.equal(res.headers.get("ETag"), `"${res.body.task.version}"`);
+  });
+
+  test("writes nothing when one field is invalid", async () => {
+    const res = await patchTask({ title: "Plan holiday", priority: "high", dueTime: "25:00" });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Due time must be HH:MM.");
+
+    const current = await getTask(alice, task.id);
+    assert.equal(current.title, "Plan trip");
+    assert.equal(current.priority, "low");
+    assert.equal(current.version, task.version);
+  });
+
+  test("refuses a stale If-Match and returns the current task", async () => {
+    await patchTask({ title: "Plan holiday" });
+
+    const res = await patchTask({ priority: "high" }, { "If-Match": `"${task.version}"` });
+
+    assert.equal(res.status, 412);
+    assert.equal(res.body.task.title, "Plan holiday");
+    assert.equal(res.body.task.priority, "low");
+    assert.equal(res.headers.get("ETag"), `"${res.body.task.version}"`);
+  });
+
+  test("accepts a weak ETag or * in If-Match", async () => {
+    const weak = await patchTask(
+      { title: "Plan holiday" },
+      { "If-Match": `W/"${task.version}"` },
+    );
+    assert.equal(weak.status, 200);
+
+    const any = await patchTask({ title: "Plan weekend" }, { "If-Match": "*" });
+    assert.equal(any.status, 200);
+  });
+
+  test("rejects an If-Match that is not an ETag", async () => {
+    const res = await patchTask({ title: "Plan holiday" }, { "If-Match": "yesterday" });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "If-Match must be a task ETag.");
+  });
+
+  test("tag changes bump the version, board moves do not", async () => {
+    const other = await createTask(alice, { title: "Pack bags" });
+    const moved = await patchTask({ afterId: other.id });
+    assert.equal(moved.body.task.version, task.version);
+
+    const tag = await api("POST", "/api/tags", { token: alice, body: { name: "Travel" } });
+    const tagged = await patchTask({ tagIds: [tag.body.id] });
+    assert.equal(tagged.body.task.version, task.version + 1);
+  });
+
+  test("GET sends the same ETag", async () => {
+    const res = await api("GET", `/api/tasks/${task.id}`, { token: alice });
+
+    assert.equal(res.headers.get("ETag"), `"${task.version}"`);
+  });
+});
+
+describe("POST /api/tasks/bulk", () => {
+  let tasks;
+
+  beforeEach(async () => {
+    tasks = [
+      await createTask(alice, { title: "Sweep floor", priority: "low" }),
+      await createTask(alice, { title: "Mop floor", priority: "low" }),
+      await createTask(alice, { title: "Dust shelves", status: "in_progress" }),
+    ];
+  });
+
+  function bulk(body, token = alice) {
+    return api("POST", "/api/tasks/bulk", { token, body });
+  }
+
+  test("completes every selected task and returns them", async () => {
+    const res = await bulk({
+      action: "update",
+      taskIds: tasks.map((task) => task.id),
+      changes: { completed: true },
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.tasks.map((task) => [task.id, task.status, task.completed]),
+      tasks.map((task) => [task.id, "done", true]),
+    );
+    assert.deepEqual(res.body.nextTasks, []);
+  });
+
+  test("sets priority and due date together", async () => {
+    const res = await bulk({
+      action: "update",
+      taskIds: [tasks[0].id, tasks[1].id],
+      changes: { priority: "high", dueDate: "2030-06-01" },
+    });
+
+    assert.equal(res.status, 200);
+    for (const task of res.body.tasks) {
+      assert.equal(task.priority, "high");
+      assert.equal(task.due_date, "2030-06-01");
+    }
+    assert.equal((await getTask(alice, tasks[2].id)).priority, "medium");
+  });
+
+  test("moves tasks into a project", async () => {
+    const project = await api("POST", "/api/projects", {
+      token: alice,
+      body: { name: "Chores" },
+    });
+
+    const res = await bulk({
+      action: "update",
+      taskIds: [tasks[0].id, tasks[1].id],
+      changes: { projectId: project.body.id },
+    });
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.tasks.every((task) => task.project_id === project.body.id));
+  });
+
+  test("deletes every selected task", async () => {
+    const res = await bulk({ action: "delete", taskIds: [tasks[0].id, tasks[1].id] });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.deleted, [tasks[0].id, tasks[1].id]);
+    const opened = await api("GET", `/api/tasks/${tasks[0].id}`, { token: alice });
+    assert.equal(opened.status, 404);
+    assert.equal((await getTask(alice, tasks[2].id)).title, "Dust shelves");
+  });
+
+  test("changes nothing when one task cannot be changed", async () => {
+    const bobs = await createTask(bob, { title: "Bob's chore" });
+
+    const res = await bulk({
+      action: "update",
+      taskIds: [tasks[0].id, bobs.id],
+      changes: { priority: "high" },
+    });
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.taskId, bobs.id);
+    assert.equal((await getTask(alice, tasks[0].id)).priority, "low");
+
+    const deleted = await bulk({ action: "delete", taskIds: [tasks[0].id, bobs.id] });
+    assert.equal(deleted.status, 404);
+    assert.equal((await getTask(alice, tasks[0].id)).title, "Sweep floor");
+
+    const cleanedUp = await bulk({ action: "delete", taskIds: [bobs.id] }, bob);
+    assert.equal(cleanedUp.status, 200);
+  });
+
+  test("rejects a change one of the tasks cannot take", async () => {
+    const res = await bulk({
+      action: "update",
+      taskIds: tasks.map((task) => task.id),
+      changes: { completed: true, status: "todo" },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.taskId, tasks[0].id);
+    assert.equal((await getTask(alice, tasks[2].id)).status, "in_progress");
+  });
+
+  test("rejects an unknown priority", async () => {
+    const res = await bulk({
+      action: "update",
+      taskIds: tasks.map((task) => task.id),
+      changes: { priority: "urgent" },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "priority must be low, medium or high.");
+    assert.equal((await getTask(alice, tasks[2].id)).priority, "medium");
+  });
+
+  for (const [name, body, error] of [
+    ["no tasks", { action: "delete", taskIds: [] }, "Select between 1 and 200 tasks."],
+    ["a bad id", { action: "delete", taskIds: ["x"] }, "Select between 1 and 200 tasks."],
+    [
+      "an unknown action",
+      { action: "archive", taskIds: [1] },
+      'Action must be "update", "delete" or "restore".',
+    ],
+    [
+      "a field bulk updates do not take",
+      { action: "update", taskIds: [1], changes: { title: "Same" } },
+      "Unknown field: title.",
+    ],
+    ["no changes", { action: "update", taskIds: [1], changes: {} }, "Nothing to update."],
+  ]) {
+    test(`rejects ${name}`, async () => {
+      const res = await bulk(body);
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, error);
+    });
+  }
+});
+
+describe("checklist items", () => {
+  test("ticking the last one completes the task and queues the next together", async (t) => {
+    const task = await createTask(alice, {
+      title: "Water plants",
+      dueDate: "2030-03-01",
+      recurrence: "FREQ=WEEKLY",
+    });
+    await updateTask(alice, task.id, { autoComplete: true });
+    const added = await api("POST", `/api/tasks/${task.id}/items`, {
+      token: alice,
+      body: { title: "Balcony" },
+    });
+    const itemPath = `/api/tasks/${task.id}/items/${added.body.id}`;
+
+    // The next occurrence cannot be created, so nothing of the change stays.
+    const query = pool.query;
+    t.mock.method(pool, "query", (text, params) => {
+      if (String(text).includes("INSERT INTO tasks")) throw new Error("Lost the database");
+      return query(text, params);
+    });
+    t.mock.method(console, "error", () => {});
+    const failed = await api("PUT", itemPath, { token: alice, body: { completed: true } });
+    assert.equal(failed.status, 500);
+    t.mock.restoreAll();
+
+    assert.equal((await getTask(alice, task.id)).completed, false);
+    const items = await api("GET", `/api/tasks/${task.id}/items`, { token: alice });
+    assert.equal(items.body[0].completed, false);
+
+    const res = await api("PUT", itemPath, { token: alice, body: { completed: true } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.taskCompleted, true);
+    assert.equal(res.body.nextTask.due_date, "2030-03-08");
+  });
+});
+
+describe("ownership", () => {
+  let task;
+
+  before(async () => {
+    task = await createTask(alice, { title: "Alice's secret" });
+  });
+
+  test("other users do not see the task in their list or stats", async () => {
+    const list = await api("GET", "/api/tasks", { token: bob });
+    assert.ok(list.body.tasks.every((item) => item.id !== task.id));
+
+    const stats = await api("GET", "/api/tasks/stats", { token: bob });
+    assert.equal(stats.body.total, 0);
+  });
+
+  test("other users cannot open, edit or delete it", async () => {
+    const opened = await api("GET", `/api/tasks/${task.id}`, { token: bob });
+    assert.equal(opened.status, 404);
+
+    const edited = await updateTask(bob, task.id, { title: "Mine now" });
+    assert.equal(edited.status, 404);
+
+    const deleted = await api("DELETE", `/api/tasks/${task.id}`, { token: bob });
+    assert.equal(deleted.status, 404);
+
+    assert.equal((await getTask(alice, task.id)).title, "Alice's secret");
+  });
+
+  test("other users cannot move their tasks next to it", async () => {
+    const own = await createTask(bob, { title: "Bob's task" });
+
+    const res = await updateTask(bob, own.id, { beforeId: task.id });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Task to move next to not found.");
+  });
+
+  test("other users cannot create tasks in a project they are not in", async () => {
+    const project = await api("POST", "/api/projects", {
+      token: alice,
+      body: { name: "Private" },
+    });
+
+    const res = await api("POST", "/api/tasks", {
+      token: bob,
+      body: { title: "Intruder", projectId: project.body.id },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Project not found.");
+  });
+
+  test("the owner can delete it", async () => {
+    const deleted = await api("DELETE", `/api/tasks/${task.id}`, { token: alice });
+    assert.equal(deleted.status, 200);
+
+    const opened = await api("GET", `/api/tasks/${task.id}`, { token: alice });
+    assert.equal(opened.status, 404);
+  });
+});
+
+describe("ids in the path", () => {
+  for (const [method, path, error] of [
+    ["GET", "/api/tasks/abc", "Task not found."],
+    ["PATCH", "/api/tasks/1.5", "Task not found."],
+    ["POST", "/api/tasks/0/restore", "Task not found."],
+    ["DELETE", "/api/tasks/trash/-3", "Task not found."],
+    ["GET", "/api/tasks/abc/items", "Task not found."],
+    ["PUT", "/api/tasks/1/items/x", "Checklist item not found."],
+    ["GET", "/api/tasks/1e-3/activity", "Task not found."],
+    ["PUT", "/api/projects/abc", "Project not found."],
+    ["DELETE", "/api/projects/1/members/abc", "Member not found."],
+    ["DELETE", "/api/tags/abc", "Tag not found."],
+    ["DELETE", "/api/auth/sessions/abc", "Session not found."],
+  ]) {
+    test(`${method} ${path} answers 404`, async () => {
+      const body = method === "GET" ? undefined : {};
+      const res = await api(method, path, { token: alice, body });
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error, error);
+    });
+  }
+});
+
+describe("GET /api/tasks", () => {
+  test("filters, sorts and pages", async () => {
+    const carol = await register("carol@example.com");
+    for (const [title, dueDate] of [
+      ["First", "2030-05-03"],
+      ["Second", "2030-05-01"],
+      ["Third", "2030-05-02"],
+    ]) {
+      await createTask(carol, { title, dueDate, priority: "high" });
+    }
+    await createTask(carol, { title: "Low one", priority: "low" });
+
+    const page = await api("GET", "/api/tasks?priority=high&sort=due_date&limit=2", {
+      token: carol,
+    });
+    assert.deepEqual(
+      page.body.tasks.map((item) => item.title),
+      ["Second", "Third"],
+    );
+    assert.ok(page.body.nextCursor);
+
+    const rest = await api(
+      "GET",
+      `/api/tasks?priority=high&sort=due_date&limit=2&cursor=${page.body.nextCursor}`,
+      { token: carol },
+    );
+    assert.deepEqual(
+      rest.body.tasks.map((item) => item.title),
+      ["First"],
+    );
+    assert.equal(rest.body.nextCursor, null);
+  });
+
+  test("lists timed tasks before all-day ones on the same day, in either order", async () => {
+    const dave = await register("dave@example.com");
+    for (const [title, dueDate, dueTime] of [
+      ["All day", "2030-06-02", undefined],
+      ["Evening", "2030-06-02", "18:00"],
+      ["Morning", "2030-06-02", "08:00"],
+      ["Day before", "2030-06-01", undefined],
+      ["Someday", undefined, undefined],
+    ]) {
+      await createTask(dave, { title, dueDate, dueTime });
+    }
+
+    const titles = async (order) => {
+      const res = await api("GET", `/api/tasks?sort=due_date&order=${order}`, { token: dave });
+      return res.body.tasks.map((item) => item.title);
+    };
+    assert.deepEqual(await titles("asc"), [
+      "Day before",
+      "Morning",
+      "Evening",
+      "All day",
+      "Someday",
+    ]);
+    assert.deepEqual(await titles("desc"), [
+      "Evening",
+      "Morning",
+      "All day",
+      "Day before",
+      "Someday",
+    ]);
+  });
+
+  test("rejects an unknown filter value", async () => {
+    const res = await api("GET", "/api/tasks?status=bogus", { token: alice });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Unknown status filter: bogus.");
+  });
+
+  test("rejects a date that does not exist", async () => {
+    const res = await api("GET", "/api/tasks?dueFrom=2026-02-30", { token: alice });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "dueFrom must be a YYYY-MM-DD date.");
+  });
+
+  test("rejects a cursor whose key does not fit the sort", async () => {
+    const forged = (key) => Buffer.from(JSON.stringify([key, 5])).toString("base64url");
+
+    for (const path of [
+      `/api/tasks?cursor=${forged({ a: 1 })}`,
+      `/api/tasks?cursor=${forged("10")}`,
+      `/api/tasks?sort=title&cursor=${forged(10)}`,
+    ]) {
+      const res = await api("GET", path, { token: alice });
+      assert.equal(res.status, 400, path);
+      assert.equal(res.body.error, "Invalid cursor.");
+    }
+  });
+});
@@ -0,0 +1,279 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { api, register, startServer, stopServer } from "./helpers.js";
+
+let alice;
+let bob;
+let project;
+
+before(async () => {
+  await startServer();
+  alice = await register("alice@example.com", { timeZone: "Europe/Berlin" });
+  bob = await register("bob@example.com");
+
+  project = (await api("POST", "/api/projects", { token: alice, body: { name: "Launch" } })).body;
+  const tag = (await api("POST", "/api/tags", { token: alice, body: { name: "Work" } })).body;
+
+  await api("POST", "/api/tasks", {
+    token: alice,
+    body: {
+      title: "Ship it",
+      description: "Line one\nLine two; with, separators",
+      priority: "high",
+      dueDate: "2030-05-01",
+      dueTime: "09:30",
+      projectId: project.id,
+      tagIds: [tag.id],
+      recurrence: "FREQ=WEEKLY",
+    },
+  });
+  await api("POST", "/api/tasks", {
+    token: alice,
+    body: { title: "=SUM(A1:A2)", dueDate: "2030-05-02", status: "done" },
+  });
+  await api("POST", "/api/tasks", { token: alice, body: { title: "Someday" } });
+  const trashed = await api("POST", "/api/tasks", { token: alice, body: { title: "Gone" } });
+  await api("DELETE", `/api/tasks/${trashed.body.id}`, { token: alice });
+  await api("POST", "/api/tasks", { token: bob, body: { title: "Bob's own" } });
+});
+after(stopServer);
+
+async function importFile(format, content, { dryRun = false, token = alice } = {}) {
+  return api("POST", "/api/tasks/import", { token, body: { format, content, dryRun } });
+}
+
+async function titles(token = alice) {
+  const res = await api("GET", "/api/tasks?sort=title&limit=200", { token });
+  return res.body.tasks.map((task) => task.title);
+}
+
+describe("GET /api/tasks/export", () => {
+  test("exports every visible task as JSON", async () => {
+    const res = await api("GET", "/api/tasks/export", { token: alice });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-disposition"), /attachment; filename="taskist-.*\.json"/);
+    assert.deepEqual(
+      res.body.tasks.map((task) => task.title),
+      ["Ship it", "=SUM(A1:A2)", "Someday"],
+    );
+
+    const [shipIt, formula] = res.body.tasks;
+    assert.equal(shipIt.project, "Launch");
+    assert.deepEqual(shipIt.tags, ["Work"]);
+    assert.equal(shipIt.due_date, "2030-05-01");
+    assert.equal(shipIt.due_time, "09:30");
+    assert.equal(shipIt.description, "Line one\nLine two; with, separators");
+    assert.equal(formula.completed, true);
+    assert.ok(formula.completed_at);
+  });
+
+  test("writes CSV that spreadsheets will not run", async () => {
+    const res = await api("GET", "/api/tasks/export?format=csv", { token: alice });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/csv/);
+    const lines = res.body.split("\r\n");
+    assert.equal(
+      lines[0],
+      "id,title,description,status,completed,priority,due_date,due_time,recurrence,project,tags,created_at,completed_at",
+    );
+    assert.match(res.body, /,"Line one\r?\nLine two; with, separators",/);
+    assert.match(res.body, /,'=SUM\(A1:A2\),/);
+  });
+
+  test("writes tasks with a due date as iCalendar to-dos", async () => {
+    const res = await api("GET", "/api/tasks/export?format=ics", { token: alice });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/calendar/);
+    assert.equal(res.body.match(/BEGIN:VTODO/g).length, 2);
+    assert.match(res.body, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(res.body, /DUE:20300501T073000Z\r\n/);
+    assert.match(res.body, /DTSTART:20300501T073000Z\r\nRRULE:FREQ=WEEKLY\r\n/);
+    assert.match(res.body, /DUE;VALUE=DATE:20300502\r\n/);
+    assert.match(res.body, /DESCRIPTION:Line one\\nLine two\\; with\\, separators\r\n/);
+    assert.match(res.body, /STATUS:COMPLETED\r\n/);
+    assert.ok(res.body.split("\r\n").every((line) => Buffer.byteLength(line) <= 75));
+  });
+
+  test("rejects an unknown format", async () => {
+    const res = await api("GET", "/api/tasks/export?format=xml", { token: alice });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("POST /api/tasks/import", () => {
+  test("previews a CSV import and reports bad rows", async () => {
+    const csv = [
+      "title,priority,due_date,due_time,project,tags",
+      "Plan trip,high,2030-06-01,18:00,Launch,Travel",
+      "x,low,,,,",
+      ",,,,,",
+      "Book hotel,,2030-06-31,,,",
+      "Pack,,,,Nowhere,",
+    ].join("\n");
+
+    const res = await importFile("csv", csv, { dryRun: true });
+
+    assert.equal(res.status, 200, res.body.error);
+    assert.equal(res.body.dryRun, true);
+    assert.equal(res.body.source, "csv");
+    assert.deepEqual(res.body.tasks, [
+      {
+        row: 2,
+        title: "Plan trip",
+        status: "todo",
+        priority: "high",
+        due_date: "2030-06-01",
+        due_time: "18:00",
+        project_id: project.id,
+        tags: ["Travel"],
+      },
+    ]);
+    assert.deepEqual(res.body.errors, [
+      { row: 3, error: "Title must be at least 2 characters." },
+      { row: 5, error: "Due date must be a YYYY-MM-DD date." },
+      { row: 6, error: "Project not found: Nowhere." },
+    ]);
+    assert.deepEqual(res.body.newTags, ["Travel"]);
+    assert.ok(!(await titles()).includes("Plan trip"));
+  });
+
+  test("imports the valid rows and creates missing tags", async () => {
+    const csv = "Title,Tags,Project\nWrite brief,\"Work, Writing\",launch\nx,,\n";
+
+    const res = await importFile("csv", csv);
+
+    assert.equal(res.status, 201, res.body.error);
+    assert.equal(res.body.imported, 1);
+    assert.deepEqual(res.body.errors, [{ row: 3, error: "Title must be at least 2 characters." }]);
+
+    const list = await api("GET", "/api/tasks?limit=200", { token: alice });
+    const task = list.body.tasks.find((item) => item.title === "Write brief");
+    assert.equal(task.project_id, project.id);
+    assert.deepEqual(
+      task.tags.map((tag) => tag.name),
+      ["Work", "Writing"],
+    );
+
+    const tags = await api("GET", "/api/tags", { token: alice });
+    assert.equal(tags.body.filter((tag) => tag.name.toLowerCase() === "work").length, 1);
+
+    const history = await api("GET", `/api/tasks/${task.id}/activity`, { token: alice });
+    assert.deepEqual(
+      history.body.map((entry) => entry.action),
+      ["created"],
+    );
+  });
+
+  test("reads Todoist exports", async () => {
+    const csv = [
+      "TYPE,CONTENT,DESCRIPTION,PRIORITY,INDENT,AUTHOR,RESPONSIBLE,DATE,DATE_LANG,TIMEZONE",
+      "section,Errands,,,,,,,,",
+      "task,Buy milk,Semi-skimmed,4,1,,,2030-07-01,en,",
+      "task,Call mum,,1,1,,,2030-07-02 17:15,en,",
+      "note,Remember the receipt,,,,,,,,",
+      "task,Water plants,,2,1,,,every day,en,",
+    ].join("\r\n");
+
+    const res = await importFile("csv", csv, { dryRun: true });
+
+    assert.equal(res.body.source, "todoist");
+    assert.equal(res.body.skipped, 2);
+    assert.deepEqual(
+      res.body.tasks.map((task) => [task.title, task.priority, task.due_date, task.due_time]),
+      [
+        ["Buy milk", "high", "2030-07-01", null],
+        ["Call mum", "low", "2030-07-02", "17:15"],
+      ],
+    );
+    assert.deepEqual(res.body.errors, [{ row: 6, error: "Unsupported Todoist date: every day." }]);
+  });
+
+  test("reads Trello exports", async () => {
+    const csv = [
+      "Card ID,Card Name,Card Description,Labels,Due Date,List Name,Archived,Due Complete",
+      'a1,Design logo,Two options,"Design (green), Urgent (red)",2030-08-01T10:00:00.000Z,Doing,false,false',
+      "a2,Old idea,,,,Backlog,true,false",
+      "a3,Launch page,,,,Done,false,false",
+    ].join("\n");
+
+    const res = await importFile("csv", csv, { dryRun: true });
+
+    assert.equal(res.body.source, "trello");
+    assert.equal(res.body.skipped, 1);
+    assert.deepEqual(
+      res.body.tasks.map((task) => [task.title, task.status, task.due_date, task.due_time, task.tags]),
+      [
+        ["Design logo", "in_progress", "2030-08-01", "12:00", ["Design", "Urgent"]],
+        ["Launch page", "done", null, null, []],
+      ],
+    );
+  });
+
+  test("imports its own JSON export", async () => {
+    const exported = await api("GET", "/api/tasks/export", { token: alice });
+
+    const res = await importFile("json", JSON.stringify(exported.body), { token: bob });
+
+    assert.equal(res.status, 201, res.body.error);
+    // Bob is not in Alice's project, so its tasks cannot come along.
+    assert.deepEqual(res.body.errors, [
+      { row: 1, error: "Project not found: Launch." },
+      { row: 4, error: "Project not found: Launch." },
+    ]);
+    const bobTitles = await titles(bob);
+    for (const title of ["=SUM(A1:A2)", "Someday"]) {
+      assert.ok(bobTitles.includes(title), title);
+    }
+
+    const list = await api("GET", "/api/tasks?limit=200", { token: bob });
+    const formula = list.body.tasks.find((task) => task.title === "=SUM(A1:A2)");
+    assert.equal(formula.completed, true);
+    assert.equal(formula.due_date, "2030-05-02");
+  });
+
+  test("round-trips its own CSV export", async () => {
+    const exported = await api("GET", "/api/tasks/export?format=csv", { token: alice });
+
+    const res = await importFile("csv", exported.body, { dryRun: true });
+
+    assert.equal(res.status, 200, res.body.error);
+    assert.deepEqual(res.body.errors, []);
+    const formula = res.body.tasks.find((task) => task.title === "=SUM(A1:A2)");
+    assert.equal(formula.status, "done");
+    const shipIt = res.body.tasks.find((task) => task.title === "Ship it");
+    assert.equal(shipIt.due_time, "09:30");
+    assert.equal(shipIt.project_id, project.id);
+  });
+
+  test("accepts files larger than other requests", async () => {
+    const rows = Array.from({ length: 900 }, (_, i) => `Task number ${i} ${"x".repeat(150)}`);
+
+    const res = await importFile("csv", `title\n${rows.join("\n")}\n`, { dryRun: true });
+
+    assert.equal(res.status, 200, res.body?.error);
+    assert.equal(res.body.tasks.length, 900);
+  });
+
+  test("rejects files it cannot read", async () => {
+    for (const [format, content, error] of [
+      ["csv", "", "The file is empty."],
+      ["csv", "name,when\nfoo,bar\n", "The CSV needs a title column, or has to be a Todoist or Trello export."],
+      ["csv", 'title\n"unclosed\n', "The CSV has a quoted field that is never closed."],
+      ["json", "{", "The file is not valid JSON."],
+      ["json", '{"tasks": 3}', "The JSON must be a list of tasks."],
+      ["xml", "<tasks/>", "format must be csv or json."],
+    ]) {
+      const res = await importFile(format, content);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, error);
+    }
+
+    const res = await importFile("json", '[{"title": "x"}]');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "None of the rows can be imported.");
+    assert.deepEqual(res.body.errors, [{ row: 1, error: "Title must be at least 2 characters." }]);
+  });
+});
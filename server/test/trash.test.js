@@ -0,0 +1,175 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { api, createTask, register, startServer, stopServer } from "./helpers.js";
+
+const { pool } = await import("../db.js");
+const { purgeTrash } = await import("../repositories/tasks.js");
+
+let alice;
+let bob;
+
+before(async () => {
+  await startServer();
+  alice = await register("alice@example.com");
+  bob = await register("bob@example.com");
+});
+after(stopServer);
+
+async function trash(token = alice) {
+  const res = await api("GET", "/api/tasks/trash", { token });
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+describe("DELETE /api/tasks/:id", () => {
+  test("moves the task to the trash", async () => {
+    const task = await createTask(alice, { title: "Old notes" });
+
+    const deleted = await api("DELETE", `/api/tasks/${task.id}`, { token: alice });
+    assert.equal(deleted.status, 200);
+
+    const list = await api("GET", "/api/tasks", { token: alice });
+    assert.ok(list.body.tasks.every((item) => item.id !== task.id));
+    const opened = await api("GET", `/api/tasks/${task.id}`, { token: alice });
+    assert.equal(opened.status, 404);
+
+    const trashed = (await trash()).tasks.find((item) => item.id === task.id);
+    assert.ok(trashed.deleted_at);
+  });
+
+  test("leaves trashed tasks out of the stats", async () => {
+    const before = (await api("GET", "/api/tasks/stats", { token: alice })).body.total;
+    const task = await createTask(alice, { title: "Counted once" });
+    await api("DELETE", `/api/tasks/${task.id}`, { token: alice });
+
+    const stats = await api("GET", "/api/tasks/stats", { token: alice });
+    assert.equal(stats.body.total, before);
+  });
+});
+
+describe("GET /api/tasks/trash", () => {
+  test("lists the newest deletions first, with the retention period", async () => {
+    const first = await createTask(alice, { title: "First out" });
+    const second = await createTask(alice, { title: "Second out" });
+    await api("DELETE", `/api/tasks/${first.id}`, { token: alice });
+    await api("DELETE", `/api/tasks/${second.id}`, { token: alice });
+
+    const body = await trash();
+    assert.equal(body.retentionDays, 30);
+    const ids = body.tasks.map((item) => item.id);
+    assert.ok(ids.indexOf(second.id) < ids.indexOf(first.id));
+  });
+
+  test("does not show other users' tasks", async () => {
+    const task = await createTask(bob, { title: "Bob's draft" });
+    await api("DELETE", `/api/tasks/${task.id}`, { token: bob });
+
+    assert.ok((await trash()).tasks.every((item) => item.id !== task.id));
+  });
+});
+
+describe("POST /api/tasks/:id/restore", () => {
+  test("brings the task back", async () => {
+    const task = await createTask(alice, { title: "Misclicked" });
+    await api("DELETE", `/api/tasks/${task.id}`, { token: alice });
+
+    const res = await api("POST", `/api/tasks/${task.id}/restore`, { token: alice });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.task.deleted_at, null);
+
+    const opened = await api("GET", `/api/tasks/${task.id}`, { token: alice });
+    assert.equal(opened.body.title, "Misclicked");
+  });
+
+  test("only restores tasks in the trash", async () => {
+    const task = await createTask(alice, { title: "Still here" });
+
+    const res = await api("POST", `/api/tasks/${task.id}/restore`, { token: alice });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, "Task not found in the trash.");
+  });
+
+  test("restores many tasks at once", async () => {
+    const tasks = [
+      await createTask(alice, { title: "Bulk one" }),
+      await createTask(alice, { title: "Bulk two" }),
+    ];
+    const taskIds = tasks.map((task) => task.id);
+    const deleted = await api("POST", "/api/tasks/bulk", {
+      token: alice,
+      body: { action: "delete", taskIds },
+    });
+    assert.equal(deleted.status, 200);
+
+    const restored = await api("POST", "/api/tasks/bulk", {
+      token: alice,
+      body: { action: "restore", taskIds },
+    });
+    assert.equal(restored.status, 200);
+    assert.deepEqual(
+      restored.body.tasks.map((task) => task.deleted_at),
+      [null, null],
+    );
+  });
+});
+
+describe("purging", () => {
+  test("DELETE /api/tasks/trash/:id removes one task for good", async () => {
+    const task = await createTask(alice, { title: "Gone for good" });
+    await api("DELETE", `/api/tasks/${task.id}`, { token: alice });
+
+    const res = await api("DELETE", `/api/tasks/trash/${task.id}`, { token: alice });
+    assert.equal(res.status, 200);
+    assert.ok((await trash()).tasks.every((item) => item.id !== task.id));
+
+    const restored = await api("POST", `/api/tasks/${task.id}/restore`, { token: alice });
+    assert.equal(restored.status, 404);
+  });
+
+  test("DELETE /api/tasks/trash empties only the caller's trash", async () => {
+    const bobs = await createTask(bob, { title: "Bob's keepsake" });
+    await api("DELETE", `/api/tasks/${bobs.id}`, { token: bob });
+    const task = await createTask(alice, { title: "Alice's junk" });
+    await api("DELETE", `/api/tasks/${task.id}`, { token: alice });
+
+    const res = await api("DELETE", "/api/tasks/trash", { token: alice });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.deleted >= 1);
+    assert.deepEqual((await trash()).tasks, []);
+    assert.ok((await trash(bob)).tasks.some((item) => item.id === bobs.id));
+  });
+
+  test("expired tasks are purged after the retention period", async () => {
+    const expired = await createTask(alice, { title: "Long gone" });
+    const recent = await createTask(alice, { title: "Recently binned" });
+    await api("DELETE", `/api/tasks/${expired.id}`, { token: alice });
+    await api("DELETE", `/api/tasks/${recent.id}`, { token: alice });
+    await pool.query("UPDATE tasks SET deleted_at = NOW() - INTERVAL '31 days' WHERE id = $1", [
+      expired.id,
+    ]);
+
+    assert.equal(await purgeTrash(30), 1);
+    const ids = (await trash()).tasks.map((item) => item.id);
+    assert.deepEqual(ids, [recent.id]);
+  });
+});
+
+describe("DELETE /api/projects/:id", () => {
+  test("refuses while the project has tasks, in the trash or out of it", async () => {
+    const project = await api("POST", "/api/projects", { token: alice, body: { name: "Attic" } });
+    const projectId = project.body.id;
+    const task = await createTask(alice, { title: "Sort boxes", projectId });
+
+    const refused = await api("DELETE", `/api/projects/${projectId}`, { token: alice });
+    assert.equal(refused.status, 409);
+
+    await api("DELETE", `/api/tasks/${task.id}`, { token: alice });
+    const stillRefused = await api("DELETE", `/api/projects/${projectId}`, { token: alice });
+    assert.equal(stillRefused.status, 409);
+    assert.ok((await trash()).tasks.some((item) => item.id === task.id));
+
+    await api("DELETE", `/api/tasks/trash/${task.id}`, { token: alice });
+    const deleted = await api("DELETE", `/api/projects/${projectId}`, { token: alice });
+    assert.equal(deleted.status, 200);
+  });
+});
@@ -0,0 +1,213 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { api, register, startServer, stopServer } from "./helpers.js";
+import { createMemoryStore, setLimiterStore } from "../rateLimit.js";
+import { currentStep, totpCode, verifyTotp } from "../totp.js";
+
+before(startServer);
+after(stopServer);
+
+// Wrong codes count as failed logins; every test starts with nothing counted.
+beforeEach(() => setLimiterStore(createMemoryStore()));
+
+function login(email, password = "secret1") {
+  return api("POST", "/api/auth/login", { body: { email, password } });
+}
+
+function secondStep(challenge, code) {
+  return api("POST", "/api/auth/login/2fa", { body: { challenge, code } });
+}
+
+// Turns two-factor on with the current code and returns what the app and the
+// user would keep: the secret, the step already used and the recovery codes.
+async function enableTwoFactor(token) {
+  const setup = await api("POST", "/api/auth/2fa/setup", { token });
+  assert.equal(setup.status, 200);
+
+  const step = currentStep();
+  const enabled = await api("POST", "/api/auth/2fa/enable", {
+    token,
+    body: { code: totpCode(setup.body.secret, step) },
+  });
+  assert.equal(enabled.status, 200);
+  return { secret: setup.body.secret, step, recoveryCodes: enabled.body.recoveryCodes };
+}
+
+describe("totp", () => {
+  test("matches the RFC 6238 test vector", () => {
+    // The ASCII secret "12345678901234567890" in base32, at 59 seconds.
+    const secret = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+    assert.equal(totpCode(secret, currentStep(59 * 1000)), "287082");
+  });
+
+  test("allows a step of drift and refuses used steps", () => {
+    const secret = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+    const now = 1_000_000 * 30 * 1000;
+
+    assert.equal(verifyTotp(secret, totpCode(secret, 999_999), { now }), 999_999);
+    assert.equal(verifyTotp(secret, totpCode(secret, 999_998), { now }), null);
+    const used = { now, lastStep: 1_000_000 };
+    assert.equal(verifyTotp(secret, totpCode(secret, 1_000_000), used), null);
+    assert.equal(verifyTotp(secret, "12345", { now }), null);
+  });
+});
+
+describe("setup", () => {
+  test("turns on only once a code from the app checks out", async () => {
+    const token = await register("setup@example.com");
+
+    const setup = await api("POST", "/api/auth/2fa/setup", { token });
+    assert.match(setup.body.secret, /^[A-Z2-7]{32}$/);
+    assert.match(setup.body.otpauthUri, /^otpauth:\/\/totp\/Taskist%3Asetup%40example\.com\?/);
+
+    const wrong = await api("POST", "/api/auth/2fa/enable", { token, body: { code: "000000" } });
+    assert.equal(wrong.status, 400);
+    assert.equal((await login("setup@example.com")).body.twoFactorRequired, undefined);
+
+    const enabled = await api("POST", "/api/auth/2fa/enable", {
+      token,
+      body: { code: totpCode(setup.body.secret, currentStep()) },
+    });
+    assert.equal(enabled.status, 200);
+    assert.equal(enabled.body.recoveryCodes.length, 10);
+    assert.match(enabled.body.recoveryCodes[0], /^[a-z2-9]{5}-[a-z2-9]{5}$/);
+
+    const status = await api("GET", "/api/auth/2fa", { token });
+    assert.deepEqual(status.body, { enabled: true, recoveryCodesLeft: 10 });
+    assert.equal((await api("POST", "/api/auth/2fa/setup", { token })).status, 409);
+  });
+});
+
+describe("login", () => {
+  let secret;
+  let step;
+  let recoveryCodes;
+
+  before(async () => {
+    const token = await register("login@example.com");
+    ({ secret, step, recoveryCodes } = await enableTwoFactor(token));
+  });
+
+  test("answers a right password with a challenge instead of tokens", async () => {
+    const res = await login("login@example.com");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.twoFactorRequired, true);
+    assert.equal(typeof res.body.challenge, "string");
+    assert.equal(res.body.token, undefined);
+    assert.equal((await login("login@example.com", "wrong")).status, 401);
+  });
+
+  test("signs in with the next code, once", async () => {
+    const { challenge } = (await login("login@example.com")).body;
+
+    assert.equal((await secondStep(challenge, "000000")).status, 401);
+    // The code that turned two-factor on was already used.
+    assert.equal((await secondStep(challenge, totpCode(secret, step))).status, 401);
+
+    const res = await secondStep(challenge, totpCode(secret, step + 1));
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token && res.body.refreshToken);
+    assert.equal((await api("GET", "/api/account", { token: res.body.token })).status, 200);
+
+    const again = await secondStep(challenge, recoveryCodes[0]);
+    assert.equal(again.status, 401);
+    assert.equal(again.body.error, "This login has expired. Please log in again.");
+  });
+
+  test("takes each recovery code once", async () => {
+    const first = (await login("login@example.com")).body.challenge;
+    const res = await secondStep(first, ` ${recoveryCodes[1].toUpperCase()} `);
+    assert.equal(res.status, 200);
+
+    const second = (await login("login@example.com")).body.challenge;
+    assert.equal((await secondStep(second, recoveryCodes[1])).status, 401);
+
+    const status = await api("GET", "/api/auth/2fa", { token: res.body.token });
+    assert.equal(status.body.recoveryCodesLeft, 9);
+  });
+
+  test("closes a challenge after five wrong codes", async () => {
+    const { challenge } = (await login("login@example.com")).body;
+    for (let i = 0; i < 5; i += 1) {
+      assert.equal((await secondStep(challenge, "000000")).status, 401);
+    }
+
+    const res = await secondStep(challenge, recoveryCodes[2]);
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "This login has expired. Please log in again.");
+  });
+});
+
+describe("settings", () => {
+  test("turning it off needs the password and a code", async () => {
+    const token = await register("disable@example.com");
+    const { recoveryCodes } = await enableTwoFactor(token);
+
+    const wrongPassword = await api("POST", "/api/auth/2fa/disable", {
+      token,
+      body: { password: "wrong", code: recoveryCodes[0] },
+    });
+    assert.equal(wrongPassword.status, 400);
+
+    const wrongCode = await api("POST", "/api/auth/2fa/disable", {
+      token,
+      body: { password: "secret1", code: "000000" },
+    });
+    assert.equal(wrongCode.status, 400);
+
+    const res = await api("POST", "/api/auth/2fa/disable", {
+      token,
+      body: { password: "secret1", code: recoveryCodes[0] },
+    });
+    assert.equal(res.status, 200);
+
+    const loggedIn = await login("disable@example.com");
+    assert.ok(loggedIn.body.token);
+    const status = await api("GET", "/api/auth/2fa", { token });
+    assert.deepEqual(status.body, { enabled: false, recoveryCodesLeft: 0 });
+  });
+
+  test("regenerating recovery codes retires the old ones", async () => {
+    const token = await register("regenerate@example.com");
+    const { recoveryCodes } = await enableTwoFactor(token);
+
+    const withoutPassword = await api("POST", "/api/auth/2fa/recovery-codes", {
+      token,
+      body: { code: recoveryCodes[0] },
+    });
+    assert.equal(withoutPassword.status, 400);
+    assert.equal(withoutPassword.body.error, "That password is not right.");
+
+    const res = await api("POST", "/api/auth/2fa/recovery-codes", {
+      token,
+      body: { password: "secret1", code: recoveryCodes[0] },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.recoveryCodes.length, 10);
+
+    const { challenge } = (await login("regenerate@example.com")).body;
+    assert.equal((await secondStep(challenge, recoveryCodes[1])).status, 401);
+    assert.equal((await secondStep(challenge, res.body.recoveryCodes[0])).status, 200);
+  });
+
+  test("wrong passwords count as failed logins", async () => {
+    const token = await register("guessed@example.com");
+    const { recoveryCodes } = await enableTwoFactor(token);
+
+    for (let i = 0; i < 5; i += 1) {
+      const res = await api("POST", "/api/auth/2fa/recovery-codes", {
+        token,
+        body: { password: `guess${i}`, code: recoveryCodes[0] },
+      });
+      assert.equal(res.status, 400);
+    }
+
+    const res = await api("POST", "/api/auth/2fa/disable", {
+      token,
+      body: { password: "secret1", code: recoveryCodes[0] },
+    });
+    assert.equal(res.status, 429);
+    assert.equal((await login("guessed@example.com")).status, 429);
+  });
+});
@@ -0,0 +1,81 @@
+import crypto from "node:crypto";
+
+// Time-based one-time passwords (RFC 6238) as authenticator apps make them:
+// HMAC-SHA1 over the number of 30-second steps since the epoch, cut to six
+// digits. Secrets are 20 random bytes, written in base32 as the apps expect.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side are accepted, for clocks that drift.
+const DRIFT_STEPS = 1;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function toBase32(bytes) {
+  let bits = "";
+  for (const byte of bytes) bits += byte.toString(2).padStart(8, "0");
+
+  let out = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return out;
+}
+
+function fromBase32(text) {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    bits += BASE32.indexOf(char).toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+export function generateSecret() {
+  return toBase32(crypto.randomBytes(20));
+}
+
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+export function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", fromBase32(secret)).update(counter).digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+// Returns the step the code belongs to, or null when it matches none near
+// now. Steps up to `lastStep` were already used and are refused, so a code
+// seen over someone's shoulder cannot be replayed.
+export function verifyTotp(secret, code, { lastStep = null, now = Date.now() } = {}) {
+  const digits = String(code ?? "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(digits)) return null;
+
+  const step = currentStep(now);
+  for (let candidate = step - DRIFT_STEPS; candidate <= step + DRIFT_STEPS; candidate += 1) {
+    if (lastStep !== null && candidate <= lastStep) continue;
+
+    const expected = Buffer.from(totpCode(secret, candidate));
+    if (crypto.timingSafeEqual(expected, Buffer.from(digits))) return candidate;
+  }
+  return null;
+}
+
+// The link authenticator apps read from a QR code, or take when tapped.
+export function otpauthUri({ secret, account, issuer = "Taskist" }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
@@ -0,0 +1,353 @@
+import { formatCsv, parseCsv } from "./csv.js";
+
+// Converts tasks to and from the files GET /api/tasks/export writes and
+// POST /api/tasks/import reads. Checking the imported values is left to the
+// same code that checks a new task (see planNewTask in tasks.js).
+
+export const EXPORT_FORMATS = new Set(["json", "csv", "ics"]);
+export const MAX_IMPORT_ROWS = 1000;
+
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "status",
+  "completed",
+  "priority",
+  "due_date",
+  "due_time",
+  "recurrence",
+  "project",
+  "tags",
+  "created_at",
+  "completed_at",
+];
+
+function isoInstant(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// The fields of an exported task, shared by the JSON and CSV formats.
+function exportRow(task) {
+  return {
+    id: task.id,
+    title: task.title,
+    description: task.description,
+    status: task.status,
+    completed: task.completed,
+    priority: task.priority,
+    due_date: task.due_date,
+    due_time: task.due_time,
+    recurrence: task.recurrence,
+    project: task.project_name,
+    tags: task.tags.map((tag) => tag.name),
+    created_at: isoInstant(task.created_at),
+    completed_at: isoInstant(task.completed_at),
+  };
+}
+
+// iCalendar text values escape backslashes, separators and line breaks.
+function icsText(value) {
+  return String(value)
+    .replaceAll("\\", "\\\\")
+    .replaceAll(";", "\\;")
+    .replaceAll(",", "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function icsInstant(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Lines longer than 75 bytes continue on the next line after a space.
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+const ICS_STATUSES = { todo: "NEEDS-ACTION", in_progress: "IN-PROCESS", done: "COMPLETED" };
+
+// One VTODO per task that has a due date. Timed tasks are due at their
+// instant (in UTC), all-day tasks on their date.
+function formatCalendar(tasks, now) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Taskist//Tasks//EN",
+    "CALSCALE:GREGORIAN",
+  ];
+
+  for (const task of tasks.filter((item) => item.due_date)) {
+    const due = task.due_at
+      ? icsInstant(task.due_at)
+      : `VALUE=DATE:${task.due_date.replaceAll("-", "")}`;
+    const dueLine = task.due_at ? `DUE:${due}` : `DUE;${due}`;
+
+    lines.push(
+      "BEGIN:VTODO",
+      `UID:task-${task.id}@taskist`,
+      `DTSTAMP:${icsInstant(now)}`,
+      `SUMMARY:${icsText(task.title)}`,
+    );
+    if (task.description) lines.push(`DESCRIPTION:${icsText(task.description)}`);
+    lines.push(
+      dueLine,
+      `PRIORITY:${ICS_PRIORITIES[task.priority]}`,
+      `STATUS:${ICS_STATUSES[task.status]}`,
+    );
+    if (task.completed_at) lines.push(`COMPLETED:${icsInstant(task.completed_at)}`);
+    if (task.recurrence) {
+      // A repeating to-do needs a start; UNTIL has to match its value type.
+      const rule = task.due_at
+        ? task.recurrence.replace(/UNTIL=(\d{8})$/, "UNTIL=$1T235959Z")
+        : task.recurrence;
+      lines.push(dueLine.replace(/^DUE/, "DTSTART"), `RRULE:${rule}`);
+    }
+    if (task.tags.length) {
+      lines.push(`CATEGORIES:${task.tags.map((tag) => icsText(tag.name)).join(",")}`);
+    }
+    lines.push("END:VTODO");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// Returns { contentType, body } for one of EXPORT_FORMATS.
+export function formatExport(tasks, format, now = new Date()) {
+  if (format === "ics") {
+    return { contentType: "text/calendar; charset=utf-8", body: formatCalendar(tasks, now) };
+  }
+
+  const rows = tasks.map(exportRow);
+  if (format === "csv") {
+    const values = rows.map((row) =>
+      CSV_COLUMNS.map((column) => (column === "tags" ? row.tags.join(", ") : row[column])),
+    );
+    return { contentType: "text/csv; charset=utf-8", body: formatCsv([CSV_COLUMNS, ...values]) };
+  }
+
+  return {
+    contentType: "application/json; charset=utf-8",
+    body: JSON.stringify({ exportedAt: now.toISOString(), tasks: rows }, null, 2),
+  };
+}
+
+function readBoolean(value) {
+  const text = value.trim().toLowerCase();
+  if (["true", "yes", "1"].includes(text)) return true;
+  if (["false", "no", "0"].includes(text)) return false;
+  return undefined;
+}
+
+function splitNames(value) {
+  return value
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+// The date and "HH:MM" an instant falls on in the given zone.
+function zonedDateTime(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(instant)
+      .map((part) => [part.type, part.value]),
+  );
+  return {
+    dueDate: `${parts.year}-${parts.month}-${parts.day}`,
+    dueTime: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+// Undoes the quote formatCsv puts in front of text a spreadsheet would run.
+function unquoteFormula(value) {
+  return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+// Each CSV mapping turns a row (keyed by lower-cased header) into the fields
+// of a new task, { skip: true } for rows that are not tasks, or { error }.
+const CSV_MAPPINGS = {
+  csv: {
+    matches: (headers) => headers.includes("title"),
+    read(cell) {
+      const fields = { title: unquoteFormula(cell("title")) };
+      const description = unquoteFormula(cell("description"));
+      if (description) fields.description = description;
+      if (cell("status")) fields.status = cell("status").trim();
+      if (cell("completed")) {
+        fields.completed = readBoolean(cell("completed"));
+        if (fields.completed === undefined) return { error: "completed must be true or false." };
+      }
+      if (cell("priority")) fields.priority = cell("priority").trim().toLowerCase();
+      if (cell("due_date")) fields.dueDate = cell("due_date").trim();
+      if (cell("due_time")) fields.dueTime = cell("due_time").trim();
+      if (cell("recurrence")) fields.recurrence = cell("recurrence").trim();
+      if (cell("project")) fields.project = unquoteFormula(cell("project")).trim();
+      fields.tags = splitNames(unquoteFormula(cell("tags")));
+      return { fields };
+    },
+  },
+
+  // Todoist's CSV numbers priorities the way its API does: 4 is p1 (urgent)
+  // and 1 is p4, the default. Sections and comments are skipped.
+  todoist: {
+    matches: (headers) => headers.includes("type") && headers.includes("content"),
+    read(cell) {
+      if (cell("type").trim().toLowerCase() !== "task") return { skip: true };
+
+      const fields = { title: cell("content"), priority: "low", tags: [] };
+      if (cell("description")) fields.description = cell("description");
+      if (cell("priority").trim() === "4") fields.priority = "high";
+      if (cell("priority").trim() === "3") fields.priority = "medium";
+
+      const date = cell("date").trim();
+      if (date) {
+        const match = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}))?$/.exec(date);
+        if (!match) return { error: `Unsupported Todoist date: ${date}.` };
+        fields.dueDate = match[1];
+        if (match[2]) fields.dueTime = match[2];
+      }
+      return { fields };
+    },
+  },
+
+  // Trello boards: archived cards are skipped, labels become tags and the
+  // card's list sets its status.
+  trello: {
+    matches: (headers) => headers.includes("card name"),
+    read(cell, timeZone) {
+      if (readBoolean(cell("archived")) === true) return { skip: true };
+
+      const fields = {
+        title: cell("card name"),
+        tags: splitNames(cell("labels")).map((label) => label.replace(/\s*\([^)]*\)$/, "")),
+      };
+      if (cell("card description")) fields.description = cell("card description");
+
+      const list = cell("list name").toLowerCase();
+      if (readBoolean(cell("due complete")) === true || /\bdone\b/.test(list)) {
+        fields.status = "done";
+      } else if (/\b(doing|in progress)\b/.test(list)) {
+        fields.status = "in_progress";
+      }
+
+      const due = cell("due date").trim();
+      if (due) {
+        const instant = new Date(due);
+        if (Number.isNaN(instant.getTime())) return { error: `Unsupported Trello due date: ${due}.` };
+        Object.assign(fields, zonedDateTime(instant, timeZone));
+      }
+      return { fields };
+    },
+  },
+};
+
+function readCsvImport(content, timeZone) {
+  const parsed = parseCsv(content);
+  if (parsed.error) return { error: parsed.error };
+
+  const [header = [], ...lines] = parsed.rows;
+  const headers = header.map((name) => name.trim().toLowerCase());
+  const source = Object.keys(CSV_MAPPINGS).find((name) =>
+    CSV_MAPPINGS[name].matches(headers),
+  );
+  if (!source) {
+    return {
+      error: "The CSV needs a title column, or has to be a Todoist or Trello export.",
+    };
+  }
+
+  const rows = [];
+  let skipped = 0;
+  lines.forEach((values, index) => {
+    // Spreadsheet numbering: the header is row 1.
+    const row = index + 2;
+    if (values.every((value) => !value.trim())) return;
+
+    const cell = (name) => values[headers.indexOf(name)] ?? "";
+    const result = CSV_MAPPINGS[source].read(cell, timeZone);
+    if (result.skip) skipped += 1;
+    else rows.push({ row, ...result });
+  });
+
+  return { source, rows, skipped };
+}
+
+// Accepts what the JSON export writes ({ tasks: [...] }) or a bare array, with
+// the same field names as POST /api/tasks plus `project` and `tags` by name.
+function readJsonImport(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    return { error: "The file is not valid JSON." };
+  }
+
+  const items = Array.isArray(data) ? data : data?.tasks;
+  if (!Array.isArray(items)) return { error: "The JSON must be a list of tasks." };
+
+  const rows = items.map((item, index) => {
+    const row = index + 1;
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      return { row, error: "Each task must be an object." };
+    }
+
+    const fields = { title: item.title, tags: item.tags ?? [] };
+    for (const key of ["description", "status", "completed", "priority", "recurrence"]) {
+      if (item[key] != null) fields[key] = item[key];
+    }
+    const dueDate = item.dueDate ?? item.due_date;
+    const dueTime = item.dueTime ?? item.due_time;
+    if (dueDate != null) fields.dueDate = dueDate;
+    if (dueTime != null) fields.dueTime = dueTime;
+    if (item.project != null) fields.project = String(item.project);
+
+    if (!Array.isArray(fields.tags) || !fields.tags.every((tag) => typeof tag === "string")) {
+      return { row, error: "tags must be a list of tag names." };
+    }
+    return { row, fields };
+  });
+
+  return { source: "json", rows, skipped: 0 };
+}
+
+// Reads an uploaded file into rows of task fields. Returns
+// { source, rows: [{ row, fields } | { row, error }], skipped } or { error }
+// when the file as a whole cannot be read.
+export function readImport(format, content, timeZone) {
+  if (typeof content !== "string" || !content.trim()) {
+    return { error: "The file is empty." };
+  }
+  if (format !== "csv" && format !== "json") {
+    return { error: "format must be csv or json." };
+  }
+
+  const result =
+    format === "csv" ? readCsvImport(content, timeZone) : readJsonImport(content);
+  if (result.error) return result;
+  if (!result.rows.length) return { error: "The file has no tasks in it." };
+  if (result.rows.length > MAX_IMPORT_ROWS) {
+    return { error: `Import at most ${MAX_IMPORT_ROWS} tasks at once.` };
+  }
+  return result;
+}
@@ -0,0 +1,15 @@
+import { config } from "./config.js";
+import { runPeriodically } from "./periodic.js";
+import { purgeTrash } from "./repositories/tasks.js";
+
+// How long a deleted task stays in the trash before it is removed for good.
+export const TRASH_RETENTION_DAYS = config.trashRetentionDays;
+
+// Purges expired tasks from the trash until the returned stop function is
+// called.
+export function startTrashPurger({
+  intervalMs = 60 * 60 * 1000,
+  retentionDays = TRASH_RETENTION_DAYS,
+} = {}) {
+  return runPeriodically("Trash purge", () => purgeTrash(retentionDays), intervalMs);
+}
@@ -0,0 +1,220 @@
+import crypto from "node:crypto";
+import bcrypt from "bcryptjs";
+import express from "express";
+import { requireAuth } from "./auth.js";
+import { withTransaction } from "./db.js";
+import {
+  checkLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+  tooManyAttempts,
+} from "./rateLimit.js";
+import {
+  closeLoginChallenge,
+  countLoginChallengeFailure,
+  deleteRecoveryCodes,
+  findOpenLoginChallenge,
+  insertLoginChallenge,
+  replaceRecoveryCodeHashes,
+  spendRecoveryCode,
+} from "./repositories/twoFactor.js";
+import {
+  disableTotp,
+  enableTotp,
+  findTwoFactorSecrets,
+  getPasswordHash,
+  getTwoFactorStatus,
+  setPendingTotpSecret,
+  useTotpStep,
+} from "./repositories/users.js";
+import { generateToken, hashToken } from "./sessions.js";
+import { generateSecret, otpauthUri, verifyTotp } from "./totp.js";
+
+// Two-factor login. A user turns it on by scanning a secret into an
+// authenticator app and typing back a code, and gets recovery codes for when
+// the phone is lost. From then on a correct password only earns a challenge,
+// which POST /api/auth/login/2fa trades for tokens along with a code.
+
+export const twoFactorRouter = express.Router();
+
+const RECOVERY_CODE_COUNT = 10;
+// No 0/o, 1/l/i, so codes survive being written down.
+const RECOVERY_ALPHABET = "abcdefghjkmnpqrstuvwxyz23456789";
+const CHALLENGE_TTL_MINUTES = 5;
+const CHALLENGE_ATTEMPTS = 5;
+
+const WRONG_CODE = "That code is not right. Check your authenticator app and try again.";
+
+// Ten characters, shown as "abcde-fghjk"; dashes and case do not matter.
+function generateRecoveryCode() {
+  const chars = Array.from(
+    { length: 10 },
+    () => RECOVERY_ALPHABET[crypto.randomInt(RECOVERY_ALPHABET.length)],
+  );
+  return `${chars.slice(0, 5).join("")}-${chars.slice(5).join("")}`;
+}
+
+function hashRecoveryCode(code) {
+  return hashToken(code.toLowerCase().replace(/[\s-]/g, ""));
+}
+
+// Replaces every recovery code the user has and returns the new ones, which
+// are shown this once and only kept hashed.
+async function replaceRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  await replaceRecoveryCodeHashes(userId, codes.map(hashRecoveryCode));
+  return codes;
+}
+
+// Accepts a code from the user's authenticator app, or spends one of their
+// recovery codes. Both updates are conditional, so two requests racing with
+// the same code cannot both get through.
+export async function checkSecondFactor(userId, code) {
+  const user = await findTwoFactorSecrets(userId);
+  if (!user?.totp_secret) return false;
+
+  const step = verifyTotp(user.totp_secret, code, { lastStep: user.totp_last_step });
+  if (step !== null) return useTotpStep(userId, step);
+
+  return spendRecoveryCode(userId, hashRecoveryCode(String(code ?? "")));
+}
+
+export async function createLoginChallenge(userId) {
+  const token = generateToken();
+  await insertLoginChallenge(userId, hashToken(token), CHALLENGE_TTL_MINUTES);
+  return token;
+}
+
+// The open challenge with this token, with its user's id and email, or null.
+export async function findLoginChallenge(token) {
+  return findOpenLoginChallenge(hashToken(token));
+}
+
+// Counts a wrong code; the challenge closes after CHALLENGE_ATTEMPTS of them
+// and the user has to enter their password again.
+export async function failLoginChallenge(challengeId) {
+  await countLoginChallengeFailure(challengeId, CHALLENGE_ATTEMPTS);
+}
+
+// Closes the challenge; false when another request closed it first.
+export async function spendLoginChallenge(challengeId) {
+  return closeLoginChallenge(challengeId);
+}
+
+// Making new recovery codes and turning two-factor off take the password as
+// well as a code, so an unlocked device left behind is not enough. Wrong
+// answers count against the account as failed logins do. Returns null to go
+// ahead, or what to answer.
+async function confirmIdentity(req) {
+  const { id, email } = req.user;
+  const blocked = await checkLogin(req.ip, email);
+  if (blocked) return { blocked };
+
+  const passwordHash = await getPasswordHash(id);
+  const password = String(req.body?.password || "");
+  if (!passwordHash || !(await bcrypt.compare(password, passwordHash))) {
+    await recordLoginFailure(req.ip, email);
+    return { status: 400, error: "That password is not right." };
+  }
+  if (!(await checkSecondFactor(id, req.body?.code))) {
+    await recordLoginFailure(req.ip, email);
+    return { status: 400, error: WRONG_CODE };
+  }
+
+  await recordLoginSuccess(email);
+  return null;
+}
+
+function refuse(res, { blocked, status, error }) {
+  if (blocked) return tooManyAttempts(res, blocked);
+  return res.status(status).json({ error });
+}
+
+twoFactorRouter.use(requireAuth);
+
+twoFactorRouter.get("/", async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.id);
+    if (!status) return res.status(404).json({ error: "Account not found." });
+
+    const { enabled, recovery_codes_left: recoveryCodesLeft } = status;
+    res.json({ enabled, recoveryCodesLeft });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Starts (or restarts) setup with a fresh secret. Nothing changes for logins
+// until POST /enable confirms the app has it.
+twoFactorRouter.post("/setup", async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const email = await setPendingTotpSecret(req.user.id, secret);
+    if (!email) {
+      return res.status(409).json({ error: "Two-factor authentication is already on." });
+    }
+
+    res.json({ secret, otpauthUri: otpauthUri({ secret, account: email }) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+twoFactorRouter.post("/enable", async (req, res) => {
+  try {
+    const result = await withTransaction(async () => {
+      const user = await findTwoFactorSecrets(req.user.id, { lock: true });
+      if (user?.totp_secret) {
+        return { status: 409, error: "Two-factor authentication is already on." };
+      }
+      if (!user?.totp_pending_secret) {
+        return { status: 400, error: "Start the setup first." };
+      }
+
+      const step = verifyTotp(user.totp_pending_secret, req.body?.code);
+      if (step === null) return { status: 400, error: WRONG_CODE };
+
+      await enableTotp(req.user.id, step);
+      return { recoveryCodes: await replaceRecoveryCodes(req.user.id) };
+    });
+
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ enabled: true, recoveryCodes: result.recoveryCodes });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+twoFactorRouter.post("/recovery-codes", async (req, res) => {
+  try {
+    const refused = await confirmIdentity(req);
+    if (refused) return refuse(res, refused);
+
+    const recoveryCodes = await withTransaction(() => replaceRecoveryCodes(req.user.id));
+    res.json({ recoveryCodes });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+twoFactorRouter.post("/disable", async (req, res) => {
+  try {
+    const refused = await confirmIdentity(req);
+    if (refused) return refuse(res, refused);
+
+    await withTransaction(async () => {
+      await disableTotp(req.user.id);
+      await deleteRecoveryCodes(req.user.id);
+    });
+
+    res.json({ enabled: false });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
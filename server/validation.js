@@ -0,0 +1,134 @@
+export const VALID_PRIORITIES = new Set(["high", "medium", "low"]);
+export const VALID_STATUSES = new Set(["todo", "in_progress", "done"]);
+
+// Returns "medium" when no priority is given, or undefined when the value is
+// not a known priority so callers can reject it.
+export function normalizePriority(value) {
+  if (value == null || value === "") return "medium";
+  return VALID_PRIORITIES.has(value) ? value : undefined;
+}
+
+// Due dates are "YYYY-MM-DD" days. Returns null to clear the date, or
+// undefined when the value is not a date that exists.
+export function normalizeDueDate(value) {
+  if (value == null || value === "") return null;
+  if (typeof value !== "string") return undefined;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return undefined;
+
+  // Rejects dates such as 2026-02-30 that match the pattern but do not exist.
+  const [year, month, day] = value.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? value : undefined;
+}
+
+// Due times are wall-clock "HH:MM" in the user's time zone. Returns null to
+// clear the time, or undefined when the value is not a valid time.
+export function normalizeDueTime(value) {
+  if (value == null || value === "") return null;
+  if (typeof value !== "string") return undefined;
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? value : undefined;
+}
+
+// For optional references such as projectId or assigneeId: null clears the
+// reference, undefined flags a value that is not a usable id so callers can
+// reject it.
+export function normalizeId(value) {
+  if (value == null || value === "") return null;
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : undefined;
+}
+
+// For router.param: answers 404 with `error` when an id in the path is not a
+// positive integer, so handlers never send NaN or 1.5 to the database.
+export function idParam(error) {
+  return (req, res, next, value) => {
+    if (normalizeId(value)) return next();
+    res.status(404).json({ error });
+  };
+}
+
+export const MAX_DESCRIPTION_LENGTH = 10000;
+
+const DANGEROUS_ELEMENT =
+  /<(script|style|iframe|frame|frameset|object|embed|applet|form|base|link|meta|svg|math|template)\b[\s\S]*?(?:<\/\1\s*>|$)/gi;
+const DANGEROUS_TAG =
+  /<\/?(script|style|iframe|frame|frameset|object|embed|applet|form|base|link|meta|svg|math|template)\b[^>]*>/gi;
+const EVENT_HANDLER = /(<[^>]*?)\s+on[a-z]+\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/gi;
+// URLs in HTML attributes, Markdown links and <autolinks>.
+const SCRIPT_URL = /((?:=\s*["']?|\]\(\s*<?|<)\s*)(?:javascript|vbscript|data)\s*:/gi;
+// A run of backticks closed by a run of the same length.
+const CODE_SPAN = /(?<!`)(`+)(?!`)[\s\S]*?(?<!`)\1(?!`)/g;
+const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})/;
+
+function stripDangerousHtml(text) {
+  let previous;
+  let current = text;
+  do {
+    previous = current;
+    current = current
+      .replace(DANGEROUS_ELEMENT, "")
+      .replace(DANGEROUS_TAG, "")
+      .replace(EVENT_HANDLER, "$1")
+      .replace(SCRIPT_URL, "$1blocked:");
+  } while (current !== previous);
+  return current;
+}
+
+// Descriptions are Markdown, and whatever reads them (the client, exports,
+// other API clients) may treat their HTML as HTML, so HTML that can run
+// script is removed before they are stored. Fenced code blocks and code spans
+// are shown as text, so they are set aside while the rest is cleaned and put
+// back as typed. The client sanitizes the rendered output again.
+function sanitizeMarkdown(text) {
+  const code = [];
+  const setAside = (match) => `\uE000${code.push(match) - 1}\uE001`;
+  const parts = [];
+  let prose = [];
+  let fence = null;
+
+  for (const line of text.split("\n")) {
+    const marker = FENCE_OPEN.exec(line);
+    if (fence) {
+      fence.lines.push(line);
+      const closes =
+        marker?.[1][0] === fence.marker[0] &&
+        marker[1].length >= fence.marker.length &&
+        !line.slice(marker[0].length).trim();
+      if (closes) {
+        parts.push(setAside(fence.lines.join("\n")));
+        fence = null;
+      }
+    } else if (marker) {
+      if (prose.length) parts.push(prose.join("\n").replace(CODE_SPAN, setAside));
+      prose = [];
+      fence = { marker: marker[1], lines: [line] };
+    } else {
+      prose.push(line);
+    }
+  }
+  // An unclosed fence runs to the end, as Markdown renders it.
+  if (fence) parts.push(setAside(fence.lines.join("\n")));
+  else if (prose.length) parts.push(prose.join("\n").replace(CODE_SPAN, setAside));
+
+  return stripDangerousHtml(parts.join("\n")).replace(
+    /\uE000(\d+)\uE001/g,
+    (match, index) => code[index] ?? "",
+  );
+}
+
+// Returns the cleaned description, null to clear it, or undefined when it is
+// too long so callers can reject it.
+export function normalizeDescription(value) {
+  if (value == null) return null;
+  const text = sanitizeMarkdown(String(value).replace(/\r\n/g, "\n")).trim();
+  if (!text) return null;
+  return text.length <= MAX_DESCRIPTION_LENGTH ? text : undefined;
+}
+
+// Deliberately loose: one "@", no whitespace and a dot in the domain. The
+// verification email is the real check. Returns null for anything else.
+export function normalizeEmail(value) {
+  const email = String(value ?? "").trim().toLowerCase();
+  if (email.length > 254) return null;
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+}